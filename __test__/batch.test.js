@@ -0,0 +1,126 @@
+'use strict';
+
+var range = require('lodash/range');
+var batch = require('../lib/batch.js');
+
+var table = 'TestTable';
+
+describe('batch', () => {
+  describe('#write()', () => {
+    var requests = range(0, 3).map(i => ({
+      PutRequest: { Item: { Node: 'node' + i, Type: 'Test' } }
+    }));
+
+    test('should throw an error if the requests exceed the batch size', () => {
+      expect(() =>
+        batch.write({
+          documentClient: {},
+          table,
+          requests: range(0, 26).map(() => requests[0])
+        })
+      ).toThrow('Requests exceed the batch write size');
+    });
+
+    test('should send the unprocessed items again', () => {
+      var documentClient = {
+        batchWrite: jest.fn(params => ({
+          promise: () =>
+            Promise.resolve({
+              UnprocessedItems:
+                params.RequestItems[table].length > 1
+                  ? { [table]: params.RequestItems[table].slice(1) }
+                  : {}
+            })
+        }))
+      };
+      var onResponse = jest.fn();
+      return batch
+        .write({ documentClient, table, requests, onResponse })
+        .then(unprocessed => {
+          expect(unprocessed).toEqual([]);
+          expect(documentClient.batchWrite.mock.calls.length).toEqual(3);
+          expect(onResponse.mock.calls.length).toEqual(3);
+        });
+    });
+
+    test('should return the items that could not be processed', () => {
+      var documentClient = {
+        batchWrite: jest.fn(params => ({
+          promise: () =>
+            Promise.resolve({ UnprocessedItems: params.RequestItems })
+        }))
+      };
+      return batch
+        .write({ documentClient, table, requests })
+        .then(unprocessed => {
+          expect(unprocessed).toEqual(requests);
+          expect(documentClient.batchWrite.mock.calls.length).toEqual(5);
+        });
+    });
+
+    test('should follow the attempts and delays of the retry policy', () => {
+      var documentClient = {
+        batchWrite: jest.fn(params => ({
+          promise: () =>
+            Promise.resolve({ UnprocessedItems: params.RequestItems })
+        }))
+      };
+      var retry = { maxAttempts: 2, delay: jest.fn(() => 1) };
+      return batch
+        .write({ documentClient, table, requests, retry })
+        .then(unprocessed => {
+          expect(unprocessed).toEqual(requests);
+          expect(documentClient.batchWrite.mock.calls.length).toEqual(2);
+          expect(retry.delay.mock.calls).toEqual([[1]]);
+        });
+    });
+  });
+
+  describe('#read()', () => {
+    var keys = range(0, 3).map(i => ({ Node: 'node' + i, Type: 'Test' }));
+
+    test('should throw an error if the keys exceed the batch size', () => {
+      expect(() =>
+        batch.read({
+          documentClient: {},
+          table,
+          keys: range(0, 101).map(() => keys[0])
+        })
+      ).toThrow('Keys exceed the batch get size');
+    });
+
+    test('should request the unprocessed keys again', () => {
+      var documentClient = {
+        batchGet: jest.fn(params => ({
+          promise: () => {
+            var keys = params.RequestItems[table].Keys;
+            return Promise.resolve({
+              Responses: { [table]: keys.slice(0, 1) },
+              UnprocessedKeys:
+                keys.length > 1 ? { [table]: { Keys: keys.slice(1) } } : {}
+            });
+          }
+        }))
+      };
+      return batch.read({ documentClient, table, keys }).then(result => {
+        expect(result.items).toEqual(keys);
+        expect(result.unprocessed).toEqual([]);
+      });
+    });
+
+    test('should request strongly consistent reads', () => {
+      var documentClient = {
+        batchGet: jest.fn(() => ({
+          promise: () => Promise.resolve({ Responses: { [table]: [] } })
+        }))
+      };
+      return batch
+        .read({ documentClient, table, keys, consistentRead: true })
+        .then(() => {
+          expect(documentClient.batchGet).toHaveBeenCalledWith({
+            RequestItems: { [table]: { Keys: keys, ConsistentRead: true } }
+          });
+        });
+    });
+  });
+});
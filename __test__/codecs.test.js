@@ -0,0 +1,117 @@
+'use strict';
+
+var Codecs = require('../lib/codecs.js');
+
+describe('Codecs', () => {
+  describe('#resolve()', () => {
+    test('should return the built-in codecs by name', () => {
+      expect(Codecs.resolve('number')).toBe(Codecs.CODECS.number);
+    });
+
+    test('should return custom codecs', () => {
+      var codec = { encode: value => value, decode: value => value };
+      expect(Codecs.resolve(codec)).toBe(codec);
+    });
+
+    test('should throw an error if the codec is not valid', () => {
+      expect(() => Codecs.resolve('uuid')).toThrow(
+        'Codec uuid is not supported'
+      );
+      expect(() => Codecs.resolve({ encode: value => value })).toThrow(
+        'Codec is not valid'
+      );
+    });
+  });
+
+  describe('number', () => {
+    var { encode, decode } = Codecs.CODECS.number;
+    var numbers = [
+      -Number.MAX_VALUE,
+      -1e21,
+      -10,
+      -9,
+      -0.5,
+      0,
+      Number.MIN_VALUE,
+      0.5,
+      9,
+      10,
+      1e21,
+      Number.MAX_VALUE
+    ];
+
+    test('should decode the encoded numbers', () => {
+      numbers.forEach(value => expect(decode(encode(value))).toEqual(value));
+      expect(decode(encode(-0))).toEqual(0);
+    });
+
+    test('should encode numbers into strings that sort like the numbers', () => {
+      var encoded = numbers.map(encode);
+      expect(encoded.slice().sort()).toEqual(encoded);
+      expect(encoded.every(value => value.length === 16)).toBe(true);
+    });
+
+    test('should throw an error if the value is not a finite number', () => {
+      expect(() => encode('9')).toThrow('Value is not a finite number');
+      expect(() => encode(Infinity)).toThrow('Value is not a finite number');
+    });
+
+    test('should return values that were not encoded as they are', () => {
+      expect(decode(9)).toEqual(9);
+      expect(decode('nine')).toEqual('nine');
+    });
+  });
+
+  describe('date', () => {
+    var { encode, decode } = Codecs.CODECS.date;
+
+    test('should decode the encoded dates', () => {
+      var date = new Date('2018-01-02T03:04:05.006Z');
+      expect(encode(date)).toEqual('2018-01-02T03:04:05.006Z');
+      expect(decode(encode(date))).toEqual(date);
+      expect(encode(date.getTime())).toEqual(encode(date));
+    });
+
+    test('should encode dates into strings that sort like the dates', () => {
+      var encoded = [
+        new Date('1970-01-01'),
+        new Date('2017-12-31T23:59:59Z'),
+        new Date('2018-01-01')
+      ].map(encode);
+      expect(encoded.slice().sort()).toEqual(encoded);
+    });
+
+    test('should throw an error if the value is not a date', () => {
+      expect(() => encode('yesterday')).toThrow('Value is not a date');
+      expect(() => encode(null)).toThrow('Value is not a date');
+    });
+  });
+
+  describe('boolean', () => {
+    var { encode, decode } = Codecs.CODECS.boolean;
+
+    test('should decode the encoded booleans', () => {
+      expect(encode(true)).toEqual('1');
+      expect(decode(encode(true))).toBe(true);
+      expect(decode(encode(false))).toBe(false);
+    });
+
+    test('should throw an error if the value is not a boolean', () => {
+      expect(() => encode(1)).toThrow('Value is not a boolean');
+    });
+  });
+
+  describe('object', () => {
+    var { encode, decode } = Codecs.CODECS.object;
+
+    test('should decode the encoded objects', () => {
+      var value = { a: [1, { b: true }] };
+      expect(typeof encode(value)).toEqual('string');
+      expect(decode(encode(value))).toEqual(value);
+    });
+
+    test('should throw an error if the value is not an object', () => {
+      expect(() => encode('a')).toThrow('Value is not an object');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+var Context = require('../lib/context.js');
+
+describe('Context', () => {
+  var context;
+  var calls;
+
+  function fetch(nodes) {
+    calls.push(nodes);
+    return Promise.resolve(
+      nodes.map(node => (node === 'missing' ? new Error('Not found') : node))
+    );
+  }
+
+  beforeEach(() => {
+    context = Context();
+    calls = [];
+  });
+
+  test('should share a single load between concurrent calls', () => {
+    return Promise.all([
+      context.load({ node: 'a', group: 'table', fetch }),
+      context.load({ node: 'a', group: 'table', fetch })
+    ]).then(values => {
+      expect(values).toEqual(['a', 'a']);
+      expect(calls).toEqual([['a']]);
+    });
+  });
+
+  test('should cache the loaded values', () => {
+    return context
+      .load({ node: 'a', group: 'table', fetch })
+      .then(() => context.load({ node: 'a', group: 'table', fetch }))
+      .then(value => {
+        expect(value).toEqual('a');
+        expect(calls).toHaveLength(1);
+      });
+  });
+
+  test('should batch the loads of the same tick by group', () => {
+    return Promise.all([
+      context.load({ node: 'a', group: 'table', fetch }),
+      context.load({ node: 'b', group: 'table', fetch }),
+      context.load({ node: 'c', group: 'other', fetch })
+    ]).then(values => {
+      expect(values).toEqual(['a', 'b', 'c']);
+      expect(calls).toEqual([['a', 'b'], ['c']]);
+    });
+  });
+
+  test('should reject the loads of error values without caching them', () => {
+    return Promise.all([
+      context.load({ node: 'a', group: 'table', fetch }),
+      context
+        .load({ node: 'missing', group: 'table', fetch })
+        .catch(error => error)
+    ])
+      .then(values => {
+        expect(values[0]).toEqual('a');
+        expect(values[1]).toEqual(new Error('Not found'));
+        return context
+          .load({ node: 'missing', group: 'table', fetch })
+          .catch(error => error);
+      })
+      .then(() => expect(calls).toEqual([['a', 'missing'], ['missing']]));
+  });
+
+  test('should load the invalidated nodes again', () => {
+    return context
+      .load({ node: 'a', group: 'table', fetch })
+      .then(() => context.load({ node: 'b', group: 'table', fetch }))
+      .then(() => {
+        context.invalidate(['a']);
+        return Promise.all([
+          context.load({ node: 'a', group: 'table', fetch }),
+          context.load({ node: 'b', group: 'table', fetch })
+        ]);
+      })
+      .then(() => expect(calls).toEqual([['a'], ['b'], ['a']]));
+  });
+
+  test('should not cache loads that were in flight when invalidated', () => {
+    var promise = context.load({ node: 'a', group: 'table', fetch });
+    context.invalidate(['a']);
+    return promise
+      .then(() => context.load({ node: 'a', group: 'table', fetch }))
+      .then(() => expect(calls).toEqual([['a'], ['a']]));
+  });
+
+  test('should remove every cached value on clear', () => {
+    return context
+      .load({ node: 'a', group: 'table', fetch })
+      .then(() => {
+        context.clear();
+        return context.load({ node: 'a', group: 'table', fetch });
+      })
+      .then(() => expect(calls).toEqual([['a'], ['a']]));
+  });
+
+  describe('#writtenNodes()', () => {
+    test('should return the nodes written by a record', () => {
+      expect(
+        Context.writtenNodes({
+          operation: 'put',
+          request: { Item: { Node: 'a', Type: 'b' } }
+        })
+      ).toEqual(['a']);
+      expect(
+        Context.writtenNodes({ operation: 'deleteNode', request: 'a' })
+      ).toEqual(['a']);
+      expect(
+        Context.writtenNodes({
+          operation: 'batchWrite',
+          request: {
+            RequestItems: {
+              table: [
+                { PutRequest: { Item: { Node: 'a', Type: 'b' } } },
+                { DeleteRequest: { Key: { Node: 'b', Type: 'b' } } }
+              ]
+            }
+          }
+        })
+      ).toEqual(['a', 'b']);
+      expect(
+        Context.writtenNodes({
+          operation: 'transactWrite',
+          request: {
+            TransactItems: [
+              { Update: { Key: { Node: 'a', Type: 'b' } } },
+              { Put: { Item: { Node: 'b', Type: 'c' } } },
+              { ConditionCheck: { Key: { Node: 'c', Type: 'c' } } }
+            ]
+          }
+        })
+      ).toEqual(['a', 'b']);
+    });
+
+    test('should return an empty list for reads', () => {
+      expect(
+        Context.writtenNodes({
+          operation: 'query',
+          request: { TableName: 'table' }
+        })
+      ).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+var expression = require('../lib/expression.js');
+
+describe('expression', () => {
+  var item = { Node: 'node', Type: 'Book', Data: 'Elantris', Pages: 622 };
+  var context = {
+    names: { '#Node': 'Node', '#Data': 'Data', '#Pages': 'Pages' },
+    values: { ':a': 'Ela', ':b': 600, ':c': 700, ':d': 'Book' }
+  };
+
+  function check(text) {
+    return expression.evaluate(expression.parse(text), item, context);
+  }
+
+  describe('#parse()', () => {
+    test('should throw an error on invalid expressions', () => {
+      expect(() => expression.parse('#Node =')).toThrow(
+        'Unexpected end of expression: #Node ='
+      );
+      expect(() => expression.parse('#Node = :a :b')).toThrow(
+        'Unexpected token :b on expression: #Node = :a :b'
+      );
+      expect(() => expression.parse('#Node ! :a')).toThrow(
+        'Invalid character on expression: ! :a'
+      );
+    });
+  });
+
+  describe('#evaluate()', () => {
+    test('should evaluate comparisons', () => {
+      expect(check('#Pages > :b')).toBe(true);
+      expect(check('#Pages >= :c')).toBe(false);
+      expect(check('Type = :d')).toBe(true);
+      expect(check('#Data <> :a')).toBe(true);
+      expect(check('#Data < :b')).toBe(false);
+    });
+
+    test('should evaluate BETWEEN, IN, and functions', () => {
+      expect(check('#Pages BETWEEN :b AND :c')).toBe(true);
+      expect(check('Type IN (:a, :d)')).toBe(true);
+      expect(check('begins_with(#Data, :a)')).toBe(true);
+      expect(check('contains(#Data, :a)')).toBe(true);
+      expect(check('attribute_exists(#Node)')).toBe(true);
+      expect(check('attribute_not_exists(Version)')).toBe(true);
+    });
+
+    test('should evaluate logical operators with precedence', () => {
+      expect(check('#Pages < :b AND #Pages > :c OR Type = :d')).toBe(true);
+      expect(check('#Pages < :b AND (#Pages > :c OR Type = :d)')).toBe(false);
+      expect(check('NOT attribute_exists(Version) AND #Pages > :b')).toBe(
+        true
+      );
+    });
+
+    test('should throw an error if a name or value is not defined', () => {
+      expect(() => check('#Type = :d')).toThrow(
+        'Attribute name #Type is not defined'
+      );
+      expect(() => check('#Node = :e')).toThrow(
+        'Attribute value :e is not defined'
+      );
+    });
+  });
+
+  describe('#update()', () => {
+    test('should apply the SET, REMOVE, and ADD clauses', () => {
+      expect(
+        expression.update(
+          'SET #Data = :a, Version = if_not_exists(Version, :b) + :c ' +
+            'REMOVE Type ADD #Pages :b',
+          item,
+          context
+        )
+      ).toEqual({ Node: 'node', Data: 'Ela', Pages: 1222, Version: 1300 });
+    });
+
+    test('should not modify the original item', () => {
+      expression.update('REMOVE #Data', item, context);
+      expect(item.Data).toEqual('Elantris');
+    });
+  });
+
+  describe('#project()', () => {
+    test('should return only the projected attributes', () => {
+      expect(expression.project('#Node, Type, Missing', item, context)).toEqual(
+        { Node: 'node', Type: 'Book' }
+      );
+      expect(expression.project(undefined, item, context)).toEqual(item);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+var formats = require('../lib/formats.js');
+
+describe('formats', () => {
+  var records = [
+    {
+      kind: 'node',
+      node: 'a',
+      type: 'Book',
+      data: { title: 'Elantris & <Mistborn>' },
+      properties: [{ Type: 'Pages', Data: 496 }]
+    },
+    { kind: 'node', node: 'b', type: 'Author', data: "Brandon 'Sanderson'" },
+    { kind: 'edge', node: 'a', type: 'Author', target: 'b' },
+    {
+      kind: 'edge',
+      node: 'b',
+      type: 'WroteBook',
+      target: 'a',
+      meta: { role: '"Writer"' }
+    }
+  ];
+
+  var write = format => {
+    var serializer = formats.serializer(format);
+    return (
+      serializer.header() +
+      records.map((record, i) => serializer.record(record, i)).join('') +
+      serializer.footer()
+    );
+  };
+
+  test('should throw an error if the format is not supported', () => {
+    expect(() => formats.serializer('csv')).toThrow(
+      'Format csv is not supported'
+    );
+    expect(() => formats.parse('csv', '')).toThrow(
+      'Format csv is not supported'
+    );
+  });
+
+  test('should write one JSON record per line on NDJSON', () => {
+    var lines = write('ndjson').split('\n');
+    expect(lines.length).toEqual(5);
+    expect(JSON.parse(lines[2])).toEqual(records[2]);
+  });
+
+  test('should write a list of records on JSON', () => {
+    expect(JSON.parse(write('json'))).toEqual(records);
+  });
+
+  test('should escape the GraphML values', () => {
+    var output = write('graphml');
+    expect(output).toContain('<graph edgedefault="directed">');
+    expect(output).toContain('<edge source="a" target="b">');
+    expect(output).toContain('Elantris &amp; &lt;Mistborn&gt;');
+    expect(output).not.toContain('<Mistborn>');
+  });
+
+  ['json', 'ndjson', 'graphml'].forEach(format =>
+    test(`should parse the records written on ${format}`, () => {
+      var parsed = formats.parse(format, Buffer.from(write(format)));
+      expect(parsed).toEqual(
+        records.map(
+          record =>
+            format === 'graphml' && record.kind === 'node'
+              ? Object.assign({ properties: [] }, record)
+              : record
+        )
+      );
+    })
+  );
+
+  test('should throw an error if the data is not a list of records', () => {
+    expect(() => formats.parse('json', '{}')).toThrow(
+      'Data is not a list of records'
+    );
+  });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+var history = require('../lib/history.js');
+
+describe('history', () => {
+  var db = () => ({
+    getNode: jest.fn(node => Promise.resolve({ Items: [{ Node: node }] })),
+    deleteNode: jest.fn(() => Promise.reject(new Error('Delete failed')))
+  });
+  var documentClient = () => ({
+    query: jest.fn(params => ({
+      promise: () =>
+        Promise.resolve({ Items: [], ConsumedCapacity: { TableName: 'T' } })
+    }))
+  });
+
+  describe('#tracker()', () => {
+    test('should record each driver call with its timing', () => {
+      var track = history.tracker({
+        action: 'get',
+        type: 'Book',
+        node: 'a',
+        db: db()
+      });
+      var before = Date.now();
+      return track.db.getNode('a').then(response => {
+        expect(response).toEqual({ Items: [{ Node: 'a' }] });
+        var [record] = track.dump();
+        expect(record).toMatchObject({
+          operation: 'getNode',
+          action: 'get',
+          type: 'Book',
+          node: 'a',
+          request: 'a',
+          response
+        });
+        expect(record.startedAt).toBeGreaterThanOrEqual(before);
+        expect(record.endedAt).toBeGreaterThanOrEqual(record.startedAt);
+        expect(Object.isFrozen(record)).toBe(true);
+      });
+    });
+
+    test('should record the errors of the driver calls once', () => {
+      var track = history.tracker({
+        action: 'destroy',
+        type: 'Book',
+        db: db()
+      });
+      return track.db
+        .deleteNode('a')
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          track(error);
+          expect(track.dump()).toMatchObject([
+            { operation: 'deleteNode', request: 'a', error }
+          ]);
+        });
+    });
+
+    test('should record the errors of the operation itself', () => {
+      var track = history.tracker({ action: 'update', type: 'Book' });
+      var error = new Error('Node is undefined');
+      track(error);
+      expect(track.dump()).toMatchObject([{ operation: 'update', error }]);
+    });
+
+    test('should leave out the methods missing on the drivers', () => {
+      var track = history.tracker({ action: 'get', type: 'Book', db: db() });
+      expect(Object.keys(track.db).sort()).toEqual(['deleteNode', 'getNode']);
+      expect(track.documentClient).toBe(undefined);
+    });
+
+    test('should ask the DocumentClient for the consumed capacity', () => {
+      var _documentClient = documentClient();
+      var track = history.tracker({
+        action: 'find',
+        type: 'Book',
+        documentClient: _documentClient,
+        consumedCapacity: 'TOTAL'
+      });
+      return track.documentClient
+        .query({ TableName: 'T' })
+        .promise()
+        .then(() => {
+          expect(_documentClient.query).toHaveBeenCalledWith({
+            TableName: 'T',
+            ReturnConsumedCapacity: 'TOTAL'
+          });
+          expect(track.dump()[0]).toMatchObject({
+            operation: 'query',
+            request: { TableName: 'T', ReturnConsumedCapacity: 'TOTAL' },
+            consumedCapacity: { TableName: 'T' }
+          });
+        });
+    });
+
+    test('should record notes', () => {
+      var track = history.tracker({ action: 'destroy', type: 'Book' });
+      track.note('cascade', { Node: 'a' });
+      expect(track.dump()).toMatchObject([
+        { operation: 'cascade', action: 'destroy', response: { Node: 'a' } }
+      ]);
+    });
+  });
+
+  describe('#subscribe()', () => {
+    test('should throw an error if the subscriber is not a function', () => {
+      expect(() => history.subscribe()).toThrow('Subscriber is not a function');
+    });
+
+    test('should publish the records to the subscribers', () => {
+      var records = [];
+      var onRecord = jest.fn();
+      var unsubscribe = history.subscribe(record => records.push(record));
+      var track = history.tracker({
+        action: 'get',
+        type: 'Book',
+        db: db(),
+        onRecord
+      });
+      return track.db.getNode('a').then(() => {
+        unsubscribe();
+        track.note('done');
+        expect(records).toEqual(track.dump().slice(0, 1));
+        expect(onRecord.mock.calls.map(call => call[0])).toEqual(track.dump());
+      });
+    });
+
+    test('should ignore the errors of the subscribers', () => {
+      var unsubscribe = history.subscribe(() => {
+        throw new Error('Subscriber failed');
+      });
+      var track = history.tracker({ action: 'get', type: 'Book', db: db() });
+      return track.db.getNode('a').then(response => {
+        unsubscribe();
+        expect(response).toEqual({ Items: [{ Node: 'a' }] });
+      });
+    });
+  });
+});
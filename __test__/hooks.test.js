@@ -0,0 +1,127 @@
+'use strict';
+
+var Hooks = require('../lib/hooks.js');
+
+describe('Hooks', () => {
+  test('should throw an error if the operation does not support hooks', () => {
+    expect(() => Hooks().before('get', () => {})).toThrow(
+      'Operation get does not support hooks'
+    );
+    expect(() => Hooks({ after: { collection: () => {} } })).toThrow(
+      'Operation collection does not support hooks'
+    );
+  });
+
+  test('should throw an error if the hook is not a function', () => {
+    expect(() => Hooks().after('create', {})).toThrow(
+      'Hook is not a function'
+    );
+  });
+
+  test('should list the wildcard hooks before the operation ones', () => {
+    var a = () => {};
+    var b = () => {};
+    var c = () => {};
+    var hooks = Hooks({ before: { create: [a, b], '*': c } });
+    expect(hooks.list('before', 'create')).toEqual([c, a, b]);
+    expect(hooks.list('before', 'set')).toEqual([c]);
+    expect(hooks.list('after', 'create')).toEqual([]);
+  });
+
+  test('should return a function that unregisters the hook', () => {
+    var hooks = Hooks();
+    var off = hooks.after('set', () => {});
+    off();
+    expect(hooks.list('after', 'set')).toEqual([]);
+  });
+
+  describe('#run()', () => {
+    var context = () => ({ operation: 'set', type: 'Book', args: [1] });
+
+    test('should call the operation right away if there are no hooks', () => {
+      var fn = jest.fn(x => x + 1);
+      var result = Hooks.run([Hooks()], context(), fn);
+      expect(fn).toHaveBeenCalledWith(1);
+      return result.then(value => expect(value).toEqual(2));
+    });
+
+    test('should reject the errors thrown by the operation', () => {
+      var fail = () => {
+        throw new Error('Node is undefined');
+      };
+      var hooks = Hooks({ before: { set: () => {} } });
+      return Promise.all([
+        expect(Hooks.run([Hooks()], context(), fail)).rejects.toHaveProperty(
+          'message',
+          'Node is undefined'
+        ),
+        expect(Hooks.run([hooks], context(), fail)).rejects.toHaveProperty(
+          'message',
+          'Node is undefined'
+        )
+      ]);
+    });
+
+    test('should let before hooks replace the arguments', () => {
+      var hooks = Hooks({ before: { set: ({ args }) => [args[0] * 10] } });
+      return Hooks.run([hooks], context(), x => x + 1).then(result => {
+        expect(result).toEqual(11);
+      });
+    });
+
+    test('should run the registries in order', () => {
+      var calls = [];
+      var first = Hooks({
+        before: { set: () => calls.push('first before') },
+        after: { set: () => calls.push('first after') }
+      });
+      var second = Hooks({
+        before: { set: () => calls.push('second before') },
+        after: { set: () => calls.push('second after') }
+      });
+      return Hooks.run([first, second], context(), () =>
+        calls.push('operation')
+      ).then(() => {
+        expect(calls).toEqual([
+          'first before',
+          'second before',
+          'operation',
+          'second after',
+          'first after'
+        ]);
+      });
+    });
+
+    test('should not call the operation if a before hook throws', () => {
+      var fn = jest.fn();
+      var hooks = Hooks({
+        before: {
+          set: () => {
+            throw new Error('Forbidden');
+          }
+        }
+      });
+      return Hooks.run([hooks], context(), fn)
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Forbidden');
+          expect(fn).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should pass the result or the error to the after hooks', () => {
+      var seen = [];
+      var hooks = Hooks({
+        after: { set: ({ result, error }) => seen.push(result || error) }
+      });
+      var error = new Error('Write failed');
+      return Hooks.run([hooks], context(), () => 'model')
+        .then(() => Hooks.run([hooks], context(), () => Promise.reject(error)))
+        .then(() => expect(true).toBe(false))
+        .catch(rejection => {
+          expect(rejection).toBe(error);
+          expect(seen).toEqual(['model', error]);
+        });
+    });
+  });
+});
@@ -57,23 +57,32 @@ describe('Model', () => {
   var Test = Model({ tenant, table, type, maxGSIK, documentClient });
 
   describe('#create()', () => {
-    test('should throw an error if data is undefined', () => {
-      expect(() => Test.create()).toThrow('Data is undefined');
+    test('should reject if data is undefined', () => {
+      return expect(Test.create()).rejects.toHaveProperty(
+        'message',
+        'Data is undefined'
+      );
     });
 
     test('should create just the node if properties is undefined', () => {
       return Test.create({ data })
         .then(result => {
           var node = result.node;
-          expect(result.history[0]).toEqual({
-            TableName: table,
-            Item: {
-              Data: JSON.stringify(data),
-              Node: node,
-              Target: node,
-              Type: type,
-              GSIK: node + '#0',
-              MaxGSIK: 0
+          expect(result.history[0]).toMatchObject({
+            operation: 'createNode',
+            action: 'create',
+            type,
+            request: { tenant, maxGSIK: 0, type, data },
+            response: {
+              TableName: table,
+              Item: {
+                Data: JSON.stringify(data),
+                Node: node,
+                Target: node,
+                Type: type,
+                GSIK: node + '#0',
+                MaxGSIK: 0
+              }
             }
           });
           expect(result.history[1]).toBe(undefined);
@@ -95,18 +104,22 @@ describe('Model', () => {
     test('should create the properties on the correct node', () => {
       return Test.create({ data, properties }).then(result => {
         var node = result.node;
-        expect(result.history[0]).toEqual({
-          TableName: table,
-          Item: {
-            Data: JSON.stringify(data),
-            Node: node,
-            Target: node,
-            Type: type,
-            GSIK: node + '#0',
-            MaxGSIK: 0
+        expect(result.history[0]).toMatchObject({
+          operation: 'createNode',
+          response: {
+            TableName: table,
+            Item: {
+              Data: JSON.stringify(data),
+              Node: node,
+              Target: node,
+              Type: type,
+              GSIK: node + '#0',
+              MaxGSIK: 0
+            }
           }
         });
-        expect(result.history[1]).toEqual({
+        expect(result.history[1].operation).toEqual('createProperties');
+        expect(result.history[1].response).toEqual({
           RequestItems: {
             TestTable: [
               {
@@ -151,19 +164,23 @@ describe('Model', () => {
             Data: '"Example"'
           }))
         );
-        expect(result.history[0]).toEqual({
-          TableName: table,
-          Item: {
-            Data: JSON.stringify(data),
-            Node: node,
-            Target: node,
-            Type: type,
-            GSIK: node + '#0',
-            MaxGSIK: 0
+        expect(result.history[0]).toMatchObject({
+          operation: 'createNode',
+          response: {
+            TableName: table,
+            Item: {
+              Data: JSON.stringify(data),
+              Node: node,
+              Target: node,
+              Type: type,
+              GSIK: node + '#0',
+              MaxGSIK: 0
+            }
           }
         });
         range(0, 3).forEach(i => {
-          expect(result.history[i + 1]).toEqual({
+          expect(result.history[i + 1].operation).toEqual('createEdge');
+          expect(result.history[i + 1].response).toEqual({
             Item: {
               Data: '"Example"',
               GSIK: node + '#0',
@@ -177,9 +194,10 @@ describe('Model', () => {
       });
     });
 
-    test('should throw an error if maxGSIK is undefined', () => {
+    test('should reject if maxGSIK is undefined', () => {
       var Test = Model({ tenant, table, type, documentClient });
-      expect(() => Test.create({ data: 'Something' })).toThrow(
+      return expect(Test.create({ data: 'Something' })).rejects.toHaveProperty(
+        'message',
         'Max GSIK is undefined'
       );
     });
@@ -195,6 +213,61 @@ describe('Model', () => {
       });
     });
 
+    test('should delete everything that was written if a write fails', () => {
+      var node = cuid();
+      var author = cuid();
+      var db = {
+        createNode: () => Promise.resolve({ Item: { Node: node } }),
+        createProperties: () => Promise.resolve({}),
+        getNode: () => Promise.resolve({ Items: [{ MaxGSIK: 0 }] }),
+        createEdge: config =>
+          config.type === 'Publisher'
+            ? Promise.reject(new Error('Write failed'))
+            : Promise.resolve({ Item: { Data: 'Data' } }),
+        deleteNode: jest.fn(() => Promise.resolve({})),
+        deletePropertyOrEdge: jest.fn(() => Promise.resolve({}))
+      };
+      var Test = Model({ tenant, table, type, maxGSIK, db });
+      return Test.create({
+        data,
+        properties,
+        edges: [
+          { Type: 'Author', Target: author, Inverse: 'WroteBook' },
+          { Type: 'Publisher', Target: cuid() }
+        ]
+      })
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Write failed');
+          expect(db.deleteNode).toHaveBeenCalledWith(node);
+          expect(db.deletePropertyOrEdge).toHaveBeenCalledWith({
+            node: author,
+            type: 'WroteBook'
+          });
+          expect(
+            error.history
+              .filter(entry => entry.operation === 'rollback')
+              .map(entry => entry.response)
+          ).toEqual([
+            {
+              Node: node,
+              Properties: ['One', 'Two'],
+              Edges: ['Author'],
+              InverseEdges: [{ Node: author, Type: 'WroteBook' }]
+            }
+          ]);
+          expect(
+            error.history.filter(entry => entry.error === error)
+          ).toMatchObject([
+            {
+              operation: 'createEdge',
+              action: 'create',
+              request: { type: 'Publisher' }
+            }
+          ]);
+        });
+    });
+
     test('should set a CreatedAt and UpdatedAt property if the `log` flag is set to true', () => {
       var Test = Model({
         tenant,
@@ -209,19 +282,26 @@ describe('Model', () => {
         .then(result => {
           var node = result.node;
           var now =
-            result.history[1].RequestItems.TestTable[0].PutRequest.Item.Data;
-          expect(result.history[0]).toEqual({
-            TableName: table,
-            Item: {
-              Data: JSON.stringify(data),
-              Node: node,
-              Target: node,
-              Type: type,
-              GSIK: node + '#0',
-              MaxGSIK: 0
+            result.history[1].response.RequestItems.TestTable[0].PutRequest
+              .Item.Data;
+          expect(result.history[0]).toMatchObject({
+            operation: 'createNode',
+            action: 'create',
+            type,
+            request: { tenant, maxGSIK: 0, type, data },
+            response: {
+              TableName: table,
+              Item: {
+                Data: JSON.stringify(data),
+                Node: node,
+                Target: node,
+                Type: type,
+                GSIK: node + '#0',
+                MaxGSIK: 0
+              }
             }
           });
-          expect(result.history[1]).toEqual({
+          expect(result.history[1].response).toEqual({
             RequestItems: {
               TestTable: [
                 {
@@ -252,6 +332,166 @@ describe('Model', () => {
     });
   });
 
+  describe('#update()', () => {
+    var tenant = cuid();
+    var node = cuid();
+    var book = cuid();
+    var comic = cuid();
+    var documentClient = () => ({
+      query: jest.fn(params => ({
+        promise: () => {
+          var gsik = params.ExpressionAttributeValues[':GSIK'];
+          return Promise.resolve({
+            Items:
+              gsik === tenant + '#1'
+                ? [{ Node: book, Type: 'Author', Target: node }]
+                : gsik === tenant + '#3'
+                  ? [{ Node: comic, Type: 'Author', Target: node }]
+                  : []
+          });
+        }
+      })),
+      update: jest.fn(params => ({ promise: () => Promise.resolve({}) }))
+    });
+    var db = () => ({
+      getNodeData: () => Promise.resolve({ Items: [{ Data: 'Brandon' }] }),
+      createProperty: jest.fn(() => Promise.resolve({}))
+    });
+
+    test('should reject if data is undefined', () => {
+      var Author = Model({
+        table,
+        type: 'Author',
+        node,
+        maxGSIK,
+        db: db(),
+        documentClient: documentClient()
+      });
+      return expect(Author.update()).rejects.toHaveProperty(
+        'message',
+        'Data is undefined'
+      );
+    });
+
+    test('should update the node and the edges that point to it', () => {
+      var _documentClient = documentClient();
+      var Author = Model({
+        tenant,
+        table,
+        type: 'Author',
+        node,
+        maxGSIK: 2,
+        db: db(),
+        documentClient: _documentClient
+      });
+      return Author.update({ data: 'Brandon Sanderson' }).then(result => {
+        expect(result.node).toEqual(node);
+        expect(result.data).toEqual('Brandon Sanderson');
+        expect(_documentClient.query).toHaveBeenCalledWith({
+          TableName: table,
+          IndexName: 'ByData',
+          KeyConditionExpression: '#GSIK = :GSIK AND #Data = :Data',
+          FilterExpression: '#Target = :Target AND #Node <> :Target',
+          ExpressionAttributeNames: {
+            '#GSIK': 'GSIK',
+            '#Data': 'Data',
+            '#Target': 'Target',
+            '#Node': 'Node'
+          },
+          ExpressionAttributeValues: {
+            ':GSIK': tenant + '#0',
+            ':Data': '"Brandon"',
+            ':Target': node
+          }
+        });
+        expect(_documentClient.update.mock.calls).toEqual([
+          [
+            {
+              TableName: table,
+              Key: { Node: node, Type: 'Author' },
+              UpdateExpression: 'SET #Data = :Data',
+              ConditionExpression: 'attribute_exists(#Node)',
+              ExpressionAttributeNames: { '#Data': 'Data', '#Node': 'Node' },
+              ExpressionAttributeValues: { ':Data': '"Brandon Sanderson"' }
+            }
+          ],
+          [
+            {
+              TableName: table,
+              Key: { Node: book, Type: 'Author' },
+              UpdateExpression: 'SET #Data = :Data',
+              ConditionExpression: '#Target = :Target',
+              ExpressionAttributeNames: { '#Data': 'Data', '#Target': 'Target' },
+              ExpressionAttributeValues: {
+                ':Data': '"Brandon Sanderson"',
+                ':Target': node
+              }
+            }
+          ]
+        ]);
+      });
+    });
+
+    test('should update the edges of sources with a larger maxGSIK', () => {
+      var _documentClient = documentClient();
+      var Author = Model({
+        tenant,
+        table,
+        type: 'Author',
+        node,
+        maxGSIK: 2,
+        db: db(),
+        documentClient: _documentClient
+      });
+      return Author.update({ data: 'Brandon Sanderson', sourceMaxGSIK: 4 }).then(
+        () => {
+          expect(
+            _documentClient.query.mock.calls.map(
+              call => call[0].ExpressionAttributeValues[':GSIK']
+            )
+          ).toEqual([0, 1, 2, 3].map(i => tenant + '#' + i));
+          expect(
+            _documentClient.update.mock.calls
+              .map(call => call[0].Key.Node)
+              .slice(1)
+              .sort()
+          ).toEqual([book, comic].sort());
+        }
+      );
+    });
+
+    test('should update the UpdatedAt property if the `log` flag is set to true', () => {
+      var _db = db();
+      var Author = Model({
+        table,
+        type: 'Author',
+        node,
+        maxGSIK,
+        db: _db,
+        documentClient: documentClient(),
+        log: true,
+        properties: [
+          { Type: 'CreatedAt', Data: 1 },
+          { Type: 'UpdatedAt', Data: 1 }
+        ]
+      });
+      return Author.update({ data: 'Brandon Sanderson' }).then(result => {
+        var now = _db.createProperty.mock.calls[0][0].data;
+        expect(_db.createProperty).toHaveBeenCalledWith({
+          tenant: '',
+          node,
+          type: 'UpdatedAt',
+          data: now,
+          maxGSIK
+        });
+        expect(result.properties).toEqual([
+          { Type: 'CreatedAt', Data: 1 },
+          { Type: 'UpdatedAt', Data: now }
+        ]);
+      });
+    });
+  });
+
   describe('#connect()', () => {
     var node = cuid();
     var type = 'Connection';
@@ -295,26 +535,31 @@ describe('Model', () => {
       documentClient
     });
 
-    test('should throw an error if node is undefined', () => {
-      expect(() => Test.connect({ type })).toThrow('Node is undefined');
+    test('should reject if node is undefined', () => {
+      return expect(Test.connect({ type })).rejects.toHaveProperty(
+        'message',
+        'Node is undefined'
+      );
     });
 
-    test('should throw an error if target is undefined', () => {
-      expect(() => TestC.connect({ type })).toThrow('Target is undefined');
+    test('should reject if target is undefined', () => {
+      return expect(TestC.connect({ type })).rejects.toHaveProperty(
+        'message',
+        'Target is undefined'
+      );
     });
 
-    test('should throw an error if type is undefined', () => {
-      expect(() => TestC.connect({ target: cuid() })).toThrow(
+    test('should reject if type is undefined', () => {
+      return expect(TestC.connect({ target: cuid() })).rejects.toHaveProperty(
+        'message',
         'Type is undefined'
       );
     });
 
     test('should accept another Model to make the connection', () => {
-      expect(() =>
-        TestC.connect({
-          target: TestB
-        })
-      ).not.toThrow('End node is undefined');
+      return TestC.connect({ target: TestB }).catch(error =>
+        expect(error.message).not.toEqual('End node is undefined')
+      );
     });
 
     test('should save the edge on the database', () => {
@@ -323,7 +568,7 @@ describe('Model', () => {
         type
       })
         .then(result => {
-          expect(result.history[0]).toEqual({
+          expect(result.history[0].response).toEqual({
             Item: {
               Data: '"Something"',
               GSIK: node + '#0',
@@ -352,7 +597,9 @@ describe('Model', () => {
         type
       }).then(result => {
         expect(TestC.maxGSIK).toEqual(maxGSIK);
-        expect(result.history[1]).toEqual({
+        expect(result.history[0].operation).toEqual('getNode');
+        expect(result.history[1].operation).toEqual('createEdge');
+        expect(result.history[1].response).toEqual({
           Item: {
             Data: '"Something"',
             GSIK: node + '#0',
@@ -378,22 +625,32 @@ describe('Model', () => {
       expect(Test.set({ type, data }) instanceof Promise).toBe(true);
     });
 
-    test('should throw an error if node is undefined', () => {
+    test('should reject if node is undefined', () => {
       var Test = Model({ tenant, type, table, maxGSIK, documentClient });
-      expect(() => Test.set()).toThrow('Node is undefined');
+      return expect(Test.set()).rejects.toHaveProperty(
+        'message',
+        'Node is undefined'
+      );
     });
 
-    test('should throw an error if type is undfined', () => {
-      expect(() => Test.set({ data })).toThrow('Type is undefined');
+    test('should reject if type is undfined', () => {
+      return expect(Test.set({ data })).rejects.toHaveProperty(
+        'message',
+        'Type is undefined'
+      );
     });
 
-    test('should throw an error if data is undfined', () => {
-      expect(() => Test.set({ type })).toThrow('Data is undefined');
+    test('should reject if data is undfined', () => {
+      return expect(Test.set({ type })).rejects.toHaveProperty(
+        'message',
+        'Data is undefined'
+      );
     });
 
     test('should create the new property on the node', () => {
       return Test.set({ type, data }).then(result => {
-        expect(result.history[0]).toEqual({
+        expect(result.history[0].operation).toEqual('createProperty');
+        expect(result.history[0].response).toEqual({
           TableName: table,
           Item: {
             Node: result.node,
@@ -425,7 +682,8 @@ describe('Model', () => {
 
       return Test.set({ type, data }).then(result => {
         expect(Test.maxGSIK).toEqual(maxGSIK);
-        expect(result.history[1]).toEqual({
+        expect(result.history[1].operation).toEqual('createProperty');
+        expect(result.history[1].response).toEqual({
           TableName: table,
           Item: {
             Node: result.node,
@@ -465,13 +723,14 @@ describe('Model', () => {
                   }
                 ]
               });
-            case '#Type, #Data, #Target':
+            case '#Type, #Data, #Target, #MetaData':
               return Promise.resolve({
                 Items: [
                   {
                     Type: 'EdgeType1',
                     Data: JSON.stringify('EdgeData1'),
-                    Target: target1
+                    Target: target1,
+                    MetaData: { role: 'Editor' }
                   },
                   {
                     Type: 'EdgeType2',
@@ -526,6 +785,7 @@ describe('Model', () => {
         expect(result.edges).toEqual([
           {
             Data: 'EdgeData1',
+            MetaData: { role: 'Editor' },
             Target: target1,
             Type: 'EdgeType1'
           },
@@ -656,80 +916,3222 @@ describe('Model', () => {
         });
       });
     });
-  });
 
-  describe('#destroy()', () => {
-    test('should throw an error if node is undefined', () => {
-      expect(() => Model({ type, table, documentClient }).destroy()).toThrow(
-        'Node is undefined'
-      );
+    test('should add the edge metadata to the listed models', () => {
+      var documentClient = Model.MemoryDocumentClient();
+      var node = cuid();
+      var target = cuid();
+      var db = {
+        getNodesWithPropertiesAndEdges: () =>
+          Promise.resolve({
+            Items: [
+              {
+                Node: node,
+                Data: JSON.stringify('Data'),
+                Properties: [],
+                Edges: [
+                  { Type: 'Author', Data: 'Author', Target: target },
+                  { Type: 'Editor', Data: 'Editor', Target: target }
+                ]
+              }
+            ]
+          })
+      };
+      var Test = Model({ tenant, table, type, maxGSIK, db, documentClient });
+      jest.spyOn(documentClient, 'batchGet');
+      return documentClient
+        .put({
+          TableName: table,
+          Item: {
+            Node: node,
+            Type: 'Author',
+            Data: JSON.stringify('Author'),
+            Target: target,
+            MetaData: { role: 'co-author' }
+          }
+        })
+        .promise()
+        .then(() => Test.collection())
+        .then(results => {
+          expect(results[0].edges).toEqual([
+            {
+              Type: 'Author',
+              Data: 'Author',
+              Target: target,
+              MetaData: { role: 'co-author' }
+            },
+            { Type: 'Editor', Data: 'Editor', Target: target }
+          ]);
+          expect(documentClient.batchGet).toHaveBeenCalledTimes(1);
+        });
     });
 
-    var node = cuid();
+    describe('pagination', () => {
+      var tenant = cuid();
+      var nodes = range(0, 5).map(() => cuid());
+      var partitions = {
+        [tenant + '#0']: nodes.slice(0, 3),
+        [tenant + '#1']: nodes.slice(3, 5)
+      };
+      var documentClient = {
+        query: jest.fn(params => ({
+          promise: () => {
+            var node = params.ExpressionAttributeValues[':Node'];
+            if (params.IndexName === undefined)
+              return Promise.resolve({
+                Items: [{ Node: node, Type: 'Prop', Data: '1' }]
+              });
+            var list = partitions[params.ExpressionAttributeValues[':GSIK']];
+            var start = params.ExclusiveStartKey
+              ? list.indexOf(params.ExclusiveStartKey.Node) + 1
+              : 0;
+            var items = list.slice(start, start + params.Limit);
+            return Promise.resolve({
+              Items: items.map(node => ({
+                Node: node,
+                Type: type,
+                Data: JSON.stringify('Data ' + node)
+              })),
+              LastEvaluatedKey:
+                start + params.Limit < list.length
+                  ? { Node: items[items.length - 1] }
+                  : undefined
+            });
+          }
+        }))
+      };
+      var Test = Model({
+        tenant,
+        table,
+        type,
+        maxGSIK: 2,
+        documentClient
+      });
 
-    var db = () => ({
-      deleteNode: params => Promise.resolve([{}, {}, {}])
-    });
+      test('should throw an error if limit is not a positive number', () => {
+        expect(() => Test.collection({ limit: 0 })).toThrow(
+          'Limit is not a positive number'
+        );
+      });
 
-    var Test = Model({ type, table, db: db(), node });
+      test('should throw an error if the cursor is not valid', () => {
+        expect(() => Test.collection({ cursor: 'cursor' })).toThrow(
+          'Cursor is not valid'
+        );
+      });
 
-    test('should return a promise', () => {
-      expect(Test.destroy() instanceof Promise).toBe(true);
-    });
+      test('should query the ByType index of each GSIK partition', () => {
+        return Test.collection({ limit: 1 }).then(() => {
+          expect(documentClient.query).toHaveBeenCalledWith({
+            TableName: table,
+            IndexName: 'ByType',
+            KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+            FilterExpression: '#Target = #Node',
+            ExpressionAttributeNames: {
+              '#GSIK': 'GSIK',
+              '#Type': 'Type',
+              '#Target': 'Target',
+              '#Node': 'Node'
+            },
+            ExpressionAttributeValues: { ':GSIK': tenant + '#0', ':Type': type },
+            Limit: 1
+          });
+        });
+      });
 
-    test('should destroy the node on the DynamoDB table', () => {
-      return Test.destroy().then(result => {
-        expect(result.type).toEqual(type);
-        expect(result.node).toEqual(undefined);
-        expect(result.properties).toEqual([]);
-        expect(result.edges).toEqual([]);
-        expect(result.history).toEqual([{}, {}, {}]);
+      test('should page through all the nodes', () => {
+        var result = [];
+        function next(cursor) {
+          return Test.collection({ limit: 2, cursor }).then(page => {
+            result = result.concat(page.models);
+            return page.cursor === null ? result : next(page.cursor);
+          });
+        }
+        return next().then(models => {
+          expect(models.map(model => model.node)).toEqual(nodes);
+          expect(models[0].data).toEqual('Data ' + nodes[0]);
+          expect(models[0].properties).toEqual([{ Type: 'Prop', Data: 1 }]);
+          expect(models[0].type).toEqual(type);
+        });
       });
-    });
-  });
 
-  describe('#remove()|#disconnect()', () => {
-    var db = () => ({
-      deletePropertyOrEdge: () => Promise.resolve({})
+      test('should skip the edges that share the node type', () => {
+        var utils = require('../lib/utils.js');
+        var documentClient = Model.MemoryDocumentClient();
+        var options = { table, tenant, maxGSIK: 1, documentClient };
+        var Author = Model(Object.assign({ type: 'Author' }, options));
+        var Book = Model(Object.assign({ type: 'Book' }, options));
+        var author;
+        return Author.createMany([{ data: 'Brandon' }])
+          .then(([result]) => {
+            author = result.node;
+            return Book.createMany([{ data: 'Elantris' }]);
+          })
+          .then(([result]) =>
+            documentClient
+              .put({
+                TableName: table,
+                Item: {
+                  Node: result.node,
+                  Type: 'Author',
+                  Data: JSON.stringify('Brandon'),
+                  Target: author,
+                  GSIK: utils.calculateGSIK({
+                    tenant,
+                    node: result.node,
+                    maxGSIK: 1
+                  })
+                }
+              })
+              .promise()
+          )
+          .then(() => Author.collection({ limit: 10 }))
+          .then(page => {
+            expect(page.models.map(model => model.node)).toEqual([author]);
+            expect(page.cursor).toEqual(null);
+          });
+      });
     });
+  });
 
+  describe('#find()', () => {
     var tenant = cuid();
-    var node = tenant + '#' + cuid();
-    var edge = 'edge';
-    var Test = Model({ tenant, node, table, type, db: db(), maxGSIK: 0 });
+    var book1 = cuid();
+    var book2 = cuid();
+    var author = cuid();
+    var documentClient = {
+      query: jest.fn(params => ({
+        promise: () => {
+          var gsik = params.ExpressionAttributeValues[':GSIK'];
+          var node = params.ExpressionAttributeValues[':Node'];
+          if (params.IndexName === undefined)
+            return Promise.resolve({
+              Items: [
+                {
+                  Node: node,
+                  Type: 'PublishedBy',
+                  Data: JSON.stringify('Tor Books')
+                }
+              ]
+            });
+          if (gsik === tenant + '#0' && !params.ExclusiveStartKey)
+            return Promise.resolve({
+              Items: [{ Node: book1, Type: 'PublishedBy' }],
+              LastEvaluatedKey: { Node: book1 }
+            });
+          if (gsik === tenant + '#0')
+            return Promise.resolve({
+              Items: [{ Node: author, Type: 'PublishedBy' }]
+            });
+          return Promise.resolve({
+            Items: [
+              { Node: book2, Type: 'PublishedBy' },
+              { Node: book1, Type: 'PublishedBy' }
+            ]
+          });
+        }
+      }))
+    };
+    var db = {
+      getNode: node =>
+        Promise.resolve({
+          Items: [
+            {
+              Node: node,
+              Type: node === author ? 'Author' : 'Book',
+              Data: 'Data ' + node
+            }
+          ]
+        })
+    };
+    var Book = Model({
+      tenant,
+      table,
+      type: 'Book',
+      maxGSIK: 2,
+      db,
+      documentClient
+    });
 
-    test('should return a promise', () => {
-      expect(Test.disconnect(edge) instanceof Promise).toBe(true);
+    test('should throw an error if the operator is undefined', () => {
+      expect(() => Book.find({ property: 'PublishedBy' })).toThrow(
+        'Operator is undefined'
+      );
     });
 
-    test('should throw if node is undefined', () => {
-      var Test = Model({ tenant, table, type, db: db(), maxGSIK: 0 });
-      expect(() => Test.disconnect(edge)).toThrow('Node is undefined');
+    test('should query the ByData index on every GSIK partition', () => {
+      documentClient.query.mockClear();
+      return Book.find({ property: 'PublishedBy', equals: 'Tor Books' }).then(
+        () => {
+          expect(documentClient.query).toHaveBeenCalledWith({
+            TableName: table,
+            IndexName: 'ByData',
+            KeyConditionExpression: '#GSIK = :GSIK AND #Data = :a',
+            FilterExpression: '#Type = :Type',
+            ExpressionAttributeNames: {
+              '#GSIK': 'GSIK',
+              '#Data': 'Data',
+              '#Type': 'Type'
+            },
+            ExpressionAttributeValues: {
+              ':GSIK': tenant + '#1',
+              ':Type': 'PublishedBy',
+              ':a': '"Tor Books"'
+            }
+          });
+          expect(
+            documentClient.query.mock.calls.filter(
+              call => call[0].IndexName === 'ByData'
+            ).length
+          ).toEqual(3);
+        }
+      );
     });
 
-    test('should throw if type is undefined', () => {
-      expect(() => Test.disconnect()).toThrow('Type is undefined');
+    test('should return the unique models of the node type', () => {
+      return Book.find({ property: 'PublishedBy', beginsWith: 'Tor' }).then(
+        books => {
+          expect(books.map(book => book.node).sort()).toEqual(
+            [book1, book2].sort()
+          );
+          books.forEach(book => {
+            expect(book.type).toEqual('Book');
+            expect(book.data).toEqual('Data ' + book.node);
+            expect(book.properties).toEqual([
+              { Type: 'PublishedBy', Data: 'Tor Books' }
+            ]);
+          });
+        }
+      );
     });
 
-    test('should delete the given edge', () => {
-      var Test = Model({
-        tenant,
-        node,
-        table,
-        type,
-        db: db(),
-        maxGSIK: 0,
-        data: 'Data',
-        properties: [{ Type: 'Prop', Data: 1 }],
-        edges: [{ Type: edge, Target: cuid(), Data: 'Test' }]
+    test('should search the node main data if the property is undefined', () => {
+      documentClient.query.mockClear();
+      return Book.find({ equals: 'Elantris' }).then(() => {
+        expect(
+          documentClient.query.mock.calls[0][0].ExpressionAttributeValues[
+            ':Type'
+          ]
+        ).toEqual('Book');
       });
+    });
+  });
 
-      return Test.disconnect(edge).then(result => {
-        expect(result.node).toEqual(node);
-        expect(result.data).toEqual('Data');
+  describe('#traverse()', () => {
+    var book = cuid();
+    var author = cuid();
+    var publisher = cuid();
+    var edges = {
+      [book]: [{ Type: 'Author', Target: author, Data: 'Brandon Sanderson' }],
+      [author]: [{ Type: 'Publisher', Target: publisher, Data: 'Tor Books' }],
+      [publisher]: []
+    };
+    var db = {
+      getNode: node =>
+        Promise.resolve({
+          Items: [{ Node: node, Type: 'Publisher', Data: 'Tor Books' }]
+        }),
+      getNodeProperties: node => Promise.resolve({ Items: [] }),
+      getNodeEdges: node => Promise.resolve({ Items: edges[node] })
+    };
+
+    test('should throw an error if node is undefined', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK, db });
+      expect(() => Book.traverse()).toThrow('Node is undefined');
+    });
+
+    test('should return the models at the end of the traversal', () => {
+      var Book = Model({
+        table,
+        tenant,
+        type: 'Book',
+        node: book,
+        maxGSIK,
+        db,
+        schema: { edges: { Author: { target: 'Author' } } }
+      });
+      return Book.traverse()
+        .out('Author')
+        .out('Publisher')
+        .toModels()
+        .then(models => {
+          expect(models.length).toEqual(1);
+          expect(models[0].node).toEqual(publisher);
+          expect(models[0].type).toEqual('Publisher');
+          expect(models[0].data).toEqual('Tor Books');
+          expect(models[0].tenant).toEqual(tenant);
+        });
+    });
+  });
+
+  describe('#incoming()', () => {
+    var tenant = cuid();
+    var author = cuid();
+    var book1 = cuid();
+    var book2 = cuid();
+    var documentClient = {
+      query: jest.fn(params => ({
+        promise: () =>
+          Promise.resolve({
+            Items:
+              params.IndexName === undefined
+                ? [
+                    {
+                      Type: 'Author',
+                      Target: author,
+                      Data: JSON.stringify('Brandon')
+                    }
+                  ]
+                : params.ExpressionAttributeValues[':GSIK'] === tenant + '#0'
+                  ? [{ Node: book1, Type: 'Author', Target: author }]
+                  : [
+                      { Node: book2, Type: 'Author', Target: author },
+                      { Node: book1, Type: 'Author', Target: author }
+                    ]
+          })
+      }))
+    };
+    var db = {
+      getNode: node =>
+        Promise.resolve({
+          Items: [{ Node: node, Type: 'Book', Data: 'Data ' + node }]
+        })
+    };
+    var Author = Model({
+      tenant,
+      table,
+      type: 'Author',
+      node: author,
+      maxGSIK: 2,
+      db,
+      documentClient
+    });
+
+    test('should throw an error if type is undefined', () => {
+      expect(() => Author.incoming()).toThrow('Type is undefined');
+    });
+
+    test('should query the ByType index on every tenant GSIK partition', () => {
+      documentClient.query.mockClear();
+      return Author.incoming({ type: 'Author' }).then(() => {
+        expect(
+          documentClient.query.mock.calls.filter(
+            call => call[0].IndexName === 'ByType'
+          ).length
+        ).toEqual(2);
+        expect(documentClient.query).toHaveBeenCalledWith({
+          TableName: table,
+          IndexName: 'ByType',
+          KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+          FilterExpression: '#Target = :Target AND #Node <> :Target',
+          ExpressionAttributeNames: {
+            '#GSIK': 'GSIK',
+            '#Type': 'Type',
+            '#Target': 'Target',
+            '#Node': 'Node'
+          },
+          ExpressionAttributeValues: {
+            ':GSIK': tenant + '#1',
+            ':Type': 'Author',
+            ':Target': author
+          }
+        });
+      });
+    });
+
+    test('should query the partitions of a larger source maxGSIK', () => {
+      documentClient.query.mockClear();
+      expect(() =>
+        Author.incoming({ type: 'Author', sourceMaxGSIK: '3' })
+      ).toThrow('Source max GSIK is not a number');
+      return Author.incoming({ type: 'Author', sourceMaxGSIK: 3 }).then(() => {
+        expect(
+          documentClient.query.mock.calls
+            .filter(call => call[0].IndexName === 'ByType')
+            .map(call => call[0].ExpressionAttributeValues[':GSIK'])
+        ).toEqual([tenant + '#0', tenant + '#1', tenant + '#2']);
+      });
+    });
+
+    test('should return the models of the source nodes', () => {
+      return Author.incoming({ type: 'Author' }).then(books => {
+        expect(books.map(book => book.node).sort()).toEqual(
+          [book1, book2].sort()
+        );
+        books.forEach(book => {
+          expect(book.type).toEqual('Book');
+          expect(book.data).toEqual('Data ' + book.node);
+          expect(book.edges).toEqual([
+            { Type: 'Author', Target: author, Data: 'Brandon' }
+          ]);
+        });
+      });
+    });
+  });
+
+  describe('inverse edges', () => {
+    var book = cuid();
+    var author = cuid();
+    var db = () => ({
+      getNode: jest.fn(node =>
+        Promise.resolve({ Items: [{ Node: node, MaxGSIK: 3 }] })
+      ),
+      getNodeEdges: jest.fn(node =>
+        Promise.resolve({
+          Items:
+            node === author
+              ? [{ Type: 'WroteBook', Target: book, Data: 'Elantris' }]
+              : [{ Type: 'Author', Target: author, Data: 'Brandon' }]
+        })
+      ),
+      createEdge: jest.fn(config =>
+        Promise.resolve({
+          Item: {
+            Node: config.node,
+            Target: config.target,
+            Type: config.type,
+            Data: 'Data'
+          }
+        })
+      ),
+      deletePropertyOrEdge: jest.fn(() => Promise.resolve({}))
+    });
+
+    test('should create the inverse edge on connect', () => {
+      var _db = db();
+      var Book = Model({ table, type: 'Book', node: book, maxGSIK, db: _db });
+      return Book.connect({
+        type: 'Author',
+        target: author,
+        inverse: 'WroteBook'
+      }).then(result => {
+        expect(_db.createEdge).toHaveBeenCalledWith({
+          tenant: '',
+          type: 'Author',
+          node: book,
+          target: author,
+          maxGSIK
+        });
+        expect(_db.createEdge).toHaveBeenCalledWith({
+          tenant: '',
+          type: 'WroteBook',
+          node: author,
+          target: book,
+          maxGSIK: 3
+        });
+        expect(result.edges).toEqual([
+          { Node: book, Target: author, Type: 'Author', Data: 'Data' }
+        ]);
+      });
+    });
+
+    test('should use the inverse type declared on the schema', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        db: Object.assign(_db, {
+          createNode: () => Promise.resolve({ Item: { Node: book } })
+        }),
+        schema: { edges: { Author: { inverse: 'WroteBook' } } }
+      });
+      return Book.create({
+        data: 'Elantris',
+        edges: [{ Type: 'Author', Target: author }]
+      }).then(() => {
+        expect(_db.createEdge.mock.calls.map(call => call[0].type)).toEqual([
+          'Author',
+          'WroteBook'
+        ]);
+      });
+    });
+
+    test('should create the inverse edge on the tenant of a cross tenant target', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        tenant: 'a',
+        node: 'a#' + book,
+        maxGSIK,
+        db: _db,
+        strictTenant: true,
+        schema: {
+          edges: { Author: { inverse: 'WroteBook', crossTenant: true } }
+        }
+      });
+      return Book.connect({ type: 'Author', target: 'b#' + author }).then(
+        () => {
+          expect(_db.createEdge.mock.calls.map(call => call[0])).toEqual([
+            {
+              tenant: 'a',
+              type: 'Author',
+              node: 'a#' + book,
+              target: 'b#' + author,
+              maxGSIK
+            },
+            {
+              tenant: 'b',
+              type: 'WroteBook',
+              node: 'b#' + author,
+              target: 'a#' + book,
+              maxGSIK: 3
+            }
+          ]);
+        }
+      );
+    });
+
+    test('should delete the written edge if the inverse one fails', () => {
+      var _db = db();
+      _db.createEdge = jest.fn(
+        config =>
+          config.type === 'WroteBook'
+            ? Promise.reject(new Error('Write failed'))
+            : Promise.resolve({ Item: {} })
+      );
+      var Book = Model({ table, type: 'Book', node: book, maxGSIK, db: _db });
+      return Book.connect({
+        type: 'Author',
+        target: author,
+        inverse: 'WroteBook'
+      })
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Write failed');
+          expect(_db.deletePropertyOrEdge).toHaveBeenCalledWith({
+            node: book,
+            type: 'Author'
+          });
+        });
+    });
+
+    test('should remove the inverse edge on disconnect', () => {
+      var _db = db();
+      var Book = Model({ table, type: 'Book', node: book, maxGSIK, db: _db });
+      return Book.disconnect('Author', { inverse: 'WroteBook' }).then(() => {
+        expect(_db.deletePropertyOrEdge.mock.calls).toEqual([
+          [{ node: author, type: 'WroteBook' }],
+          [{ node: book, type: 'Author' }]
+        ]);
+      });
+    });
+
+    test('should not remove an inverse edge that points to another node', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: cuid(),
+        maxGSIK,
+        db: _db,
+        edges: [{ Type: 'Author', Target: author }]
+      });
+      return Book.disconnect('Author', { inverse: 'WroteBook' }).then(() => {
+        expect(_db.deletePropertyOrEdge.mock.calls.length).toEqual(1);
+      });
+    });
+  });
+
+  describe('edge metadata', () => {
+    var book = cuid();
+    var author = cuid();
+    var db = () => ({
+      createEdge: jest.fn(config =>
+        Promise.resolve({
+          Item: {
+            Node: config.node,
+            Target: config.target,
+            Type: config.type,
+            Data: 'Brandon'
+          }
+        })
+      ),
+      deletePropertyOrEdge: jest.fn(() => Promise.resolve({}))
+    });
+    var documentClient = error => ({
+      update: jest.fn(params => ({
+        promise: () => (error ? Promise.reject(error) : Promise.resolve({}))
+      }))
+    });
+
+    test('should reject if the document client is undefined', () => {
+      var Book = Model({ table, type: 'Book', node: book, maxGSIK, db: db() });
+      return Promise.all([
+        expect(
+          Book.connect({ type: 'Author', target: author, meta: {} })
+        ).rejects.toHaveProperty('message', 'Document client is undefined'),
+        expect(
+          Book.updateEdge({ type: 'Author', meta: {} })
+        ).rejects.toHaveProperty('message', 'Document client is undefined')
+      ]);
+    });
+
+    test('should store the metadata on connect', () => {
+      var _db = db();
+      var _documentClient = documentClient();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: book,
+        maxGSIK,
+        db: _db,
+        documentClient: _documentClient
+      });
+      return Book.connect({
+        type: 'Author',
+        target: author,
+        meta: { role: 'co-author' }
+      }).then(result => {
+        expect(_documentClient.update).toHaveBeenCalledWith({
+          TableName: table,
+          Key: { Node: book, Type: 'Author' },
+          UpdateExpression: 'SET #MetaData = :MetaData',
+          ConditionExpression: 'attribute_exists(#Target)',
+          ExpressionAttributeNames: {
+            '#MetaData': 'MetaData',
+            '#Target': 'Target'
+          },
+          ExpressionAttributeValues: { ':MetaData': { role: 'co-author' } }
+        });
+        expect(result.edges).toEqual([
+          {
+            Node: book,
+            Target: author,
+            Type: 'Author',
+            Data: 'Brandon',
+            MetaData: { role: 'co-author' }
+          }
+        ]);
+      });
+    });
+
+    test('should delete the edge if the metadata write fails', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: book,
+        maxGSIK,
+        db: _db,
+        documentClient: documentClient(new Error('Write failed'))
+      });
+      return Book.connect({
+        type: 'Author',
+        target: author,
+        meta: { role: 'co-author' }
+      })
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Write failed');
+          expect(_db.deletePropertyOrEdge).toHaveBeenCalledWith({
+            node: book,
+            type: 'Author'
+          });
+        });
+    });
+
+    test('should update the metadata of an existing edge', () => {
+      var _db = db();
+      var _documentClient = documentClient();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: book,
+        maxGSIK,
+        db: _db,
+        documentClient: _documentClient,
+        edges: [{ Type: 'Author', Target: author, Data: 'Brandon' }]
+      });
+      return Book.updateEdge({
+        type: 'Author',
+        meta: { since: 2019 }
+      }).then(result => {
+        expect(_db.createEdge).not.toHaveBeenCalled();
+        expect(_db.deletePropertyOrEdge).not.toHaveBeenCalled();
+        expect(
+          _documentClient.update.mock.calls[0][0].ExpressionAttributeValues
+        ).toEqual({ ':MetaData': { since: 2019 } });
+        expect(result.edges).toEqual([
+          {
+            Type: 'Author',
+            Target: author,
+            Data: 'Brandon',
+            MetaData: { since: 2019 }
+          }
+        ]);
+      });
+    });
+  });
+
+  describe('#createMany()', () => {
+    var tenant = cuid();
+    var author = cuid();
+    var documentClient = () => ({
+      batchWrite: jest.fn(params => ({
+        promise: () => {
+          var failed = params.RequestItems[table].filter(
+            request => request.PutRequest.Item.Data === '"Unprocessed"'
+          );
+          return Promise.resolve({
+            UnprocessedItems: failed.length > 0 ? { [table]: failed } : {}
+          });
+        }
+      }))
+    });
+    var db = () => ({
+      createEdge: jest.fn(() =>
+        Promise.resolve({ Item: { Data: '"Brandon Sanderson"' } })
+      ),
+      deleteNode: jest.fn(() => Promise.resolve({}))
+    });
+
+    test('should reject if the list is not an array', () => {
+      var Test = Model({
+        table,
+        type,
+        maxGSIK,
+        db: db(),
+        documentClient: documentClient()
+      });
+      return expect(Test.createMany()).rejects.toHaveProperty(
+        'message',
+        'List is not an array'
+      );
+    });
+
+    test('should write the nodes in chunks of 25 requests', () => {
+      var _documentClient = documentClient();
+      var Test = Model({
+        tenant,
+        table,
+        type,
+        maxGSIK,
+        db: db(),
+        documentClient: _documentClient
+      });
+      var list = range(0, 13).map(i => ({
+        data: 'Node ' + i,
+        properties: [{ Type: 'Index', Data: i }]
+      }));
+      return Test.createMany(list).then(results => {
+        var calls = _documentClient.batchWrite.mock.calls;
+        expect(calls.length).toEqual(2);
+        expect(calls[0][0].RequestItems[table].length).toEqual(24);
+        expect(calls[1][0].RequestItems[table].length).toEqual(2);
+        expect(calls[0][0].RequestItems[table][0]).toEqual({
+          PutRequest: {
+            Item: {
+              Node: results[0].node,
+              Type: type,
+              Data: '"Node 0"',
+              Target: results[0].node,
+              GSIK: tenant + '#0',
+              MaxGSIK: maxGSIK
+            }
+          }
+        });
+        expect(results.map(result => result.model.data)).toEqual(
+          list.map(item => item.data)
+        );
+      });
+    });
+
+    test('should return the errors of each item in input order', () => {
+      var _db = db();
+      var Test = Model({
+        tenant,
+        table,
+        type,
+        maxGSIK,
+        db: _db,
+        documentClient: documentClient()
+      });
+      return Test.createMany([
+        { data: 'Node 0' },
+        {},
+        { data: 'Unprocessed' },
+        { data: 'Node 3', edges: [{ Type: 'Author', Target: author }] }
+      ]).then(results => {
+        expect(results[0].model.data).toEqual('Node 0');
+        expect(results[1].error.message).toEqual('Data is undefined');
+        expect(results[2].error.message).toEqual('Item was not processed');
+        expect(_db.deleteNode).toHaveBeenCalledWith(results[2].node);
+        expect(results[3].model.edges).toEqual([
+          { Type: 'Author', Target: author, Data: '"Brandon Sanderson"' }
+        ]);
+      });
+    });
+
+    test('should roll back the items whose edges fail', () => {
+      var _db = Object.assign(db(), {
+        createEdge: () => Promise.reject(new Error('Write failed'))
+      });
+      var Test = Model({
+        tenant,
+        table,
+        type,
+        maxGSIK,
+        db: _db,
+        documentClient: documentClient()
+      });
+      return Test.createMany([
+        { data: 'Node 0', edges: [{ Type: 'Author', Target: author }] }
+      ]).then(results => {
+        expect(results[0].error.message).toEqual('Write failed');
+        expect(_db.deleteNode).toHaveBeenCalledWith(results[0].node);
+      });
+    });
+  });
+
+  describe('#getMany()', () => {
+    var nodes = range(0, 150).map(() => cuid());
+    var missing = cuid();
+    var itemsOf = node =>
+      node === missing
+        ? []
+        : [
+            {
+              Node: node,
+              Type: type,
+              Data: JSON.stringify('Data ' + node),
+              Target: node
+            },
+            { Node: node, Type: 'Prop', Data: '1' }
+          ];
+    var documentClient = {
+      batchGet: jest.fn(params => ({
+        promise: () =>
+          Promise.resolve({
+            Responses: {
+              [table]: params.RequestItems[table].Keys.map(key =>
+                itemsOf(key.Node).find(item => item.Type === key.Type)
+              ).filter(item => item !== undefined)
+            }
+          })
+      })),
+      query: jest.fn(params => ({
+        promise: () =>
+          Promise.resolve({
+            Items: itemsOf(params.ExpressionAttributeValues[':Node'])
+          })
+      }))
+    };
+    var Test = Model({ table, type, maxGSIK, documentClient });
+
+    beforeEach(() => {
+      documentClient.batchGet.mockClear();
+      documentClient.query.mockClear();
+    });
+
+    test('should throw an error if nodes is not an array', () => {
+      expect(() => Test.getMany()).toThrow('Nodes is not an array');
+    });
+
+    test('should read the items declared on the schema in chunks of 100 keys', () => {
+      var Test = Model({
+        table,
+        type,
+        maxGSIK,
+        documentClient,
+        schema: { properties: { Prop: {} } }
+      });
+      return Test.getMany(nodes).then(results => {
+        var calls = documentClient.batchGet.mock.calls;
+        expect(calls.length).toEqual(8);
+        expect(calls[0][0].RequestItems[table].Keys.length).toEqual(100);
+        expect(calls[0][0].RequestItems[table].Keys.slice(0, 5)).toEqual(
+          [type, 'CreatedAt', 'DeletedAt', 'UpdatedAt', 'Prop'].map(Type => ({
+            Node: nodes[0],
+            Type
+          }))
+        );
+        expect(calls[7][0].RequestItems[table].Keys.length).toEqual(50);
+        expect(documentClient.query).not.toHaveBeenCalled();
+        expect(results[149].model.properties).toEqual([
+          { Type: 'Prop', Data: 1 }
+        ]);
+      });
+    });
+
+    test('should return the models in input order', () => {
+      var list = [nodes[2], missing, nodes[0]];
+      return Test.getMany(list).then(results => {
+        expect(results.map(result => result.node)).toEqual(list);
+        expect(results[0].model.data).toEqual('Data ' + nodes[2]);
+        expect(results[0].model.properties).toEqual([
+          { Type: 'Prop', Data: 1 }
+        ]);
+        expect(results[1].error.message).toEqual('Node was not found');
+        expect(results[2].model.node).toEqual(nodes[0]);
+      });
+    });
+
+    test('should read each node without a schema with a single query', () => {
+      var documentClient = Model.MemoryDocumentClient();
+      var Book = Model({ table, type: 'Book', maxGSIK, documentClient });
+      return Book.createMany([
+        { data: 'Elantris', properties: [{ Type: 'Pages', Data: 600 }] },
+        { data: 'Warbreaker', properties: [{ Type: 'Pages', Data: 650 }] }
+      ]).then(created => {
+        jest.spyOn(documentClient, 'batchGet');
+        jest.spyOn(documentClient, 'query');
+        return Book.getMany(created.map(result => result.node)).then(
+          results => {
+            expect(documentClient.batchGet).not.toHaveBeenCalled();
+            expect(documentClient.query).toHaveBeenCalledTimes(2);
+            expect(
+              results.map(result => result.model.properties[0].Data)
+            ).toEqual([600, 650]);
+          }
+        );
+      });
+    });
+
+    test('should read the nodes with a schema on one BatchGetItem call', () => {
+      var documentClient = Model.MemoryDocumentClient();
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        documentClient,
+        schema: {
+          properties: { Pages: { codec: 'number' } },
+          edges: { Author: {} }
+        }
+      });
+      var nodes;
+      return Book.createMany([
+        { data: 'Elantris', properties: [{ Type: 'Pages', Data: 600 }] },
+        { data: 'Warbreaker', properties: [{ Type: 'Pages', Data: 650 }] },
+        { data: 'Mistborn' }
+      ])
+        .then(created => {
+          nodes = created.map(result => result.node);
+          return Book.destroy(nodes[2], { soft: true });
+        })
+        .then(() =>
+          Model({
+            table,
+            type: 'Book',
+            maxGSIK,
+            documentClient,
+            node: nodes[0]
+          }).connect({ type: 'Author', target: nodes[1] })
+        )
+        .then(() => {
+          jest.spyOn(documentClient, 'batchGet');
+          jest.spyOn(documentClient, 'query');
+          return Book.getMany(nodes);
+        })
+        .then(results => {
+          expect(documentClient.batchGet).toHaveBeenCalledTimes(1);
+          expect(documentClient.query).not.toHaveBeenCalled();
+          expect(results[0].model.properties).toEqual([
+            { Type: 'Pages', Data: 600 }
+          ]);
+          expect(results[0].model.edges).toMatchObject([
+            { Type: 'Author', Target: nodes[1] }
+          ]);
+          expect(results[1].model.data).toEqual('Warbreaker');
+          expect(results[2].error.message).toEqual('Node is deleted');
+        });
+    });
+  });
+
+  describe('versioned', () => {
+    var documentClient;
+    var Book;
+    var Author;
+    var nodeItem = node =>
+      documentClient
+        .dump(table)
+        .filter(item => item.Node === node && item.Type === 'Book')[0];
+    var stale = () => {
+      throw new Error('Stale write was not rejected');
+    };
+
+    beforeEach(() => {
+      documentClient = Model.MemoryDocumentClient();
+      Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK: 4,
+        documentClient,
+        versioned: true
+      });
+      Author = Model({ table, type: 'Author', maxGSIK: 4, documentClient });
+    });
+
+    test('should read the data and the version on one consistent read', () => {
+      jest.spyOn(documentClient, 'get');
+      return Book.create({ data: 'Elantris' })
+        .then(book => book.set({ type: 'Pages', data: 600 }))
+        .then(book =>
+          Model({
+            table,
+            type: 'Book',
+            node: book.node,
+            maxGSIK: 4,
+            documentClient,
+            versioned: true
+          }).get()
+        )
+        .then(book => {
+          expect(book.data).toEqual('Elantris');
+          expect(book.version).toEqual(1);
+          expect(documentClient.get).toHaveBeenCalledWith({
+            TableName: table,
+            Key: { Node: book.node, Type: 'Book' },
+            ConsistentRead: true
+          });
+        });
+    });
+
+    test('should reject writes if the version is undefined', () => {
+      var Test = Model({
+        table,
+        type: 'Book',
+        node: cuid(),
+        maxGSIK: 4,
+        documentClient,
+        versioned: true
+      });
+      return Test.set({ type: 'Prop', data: 1 })
+        .then(stale)
+        .catch(error => expect(error.message).toEqual('Version is undefined'));
+    });
+
+    test('should bump the version on the transaction of the write', () => {
+      jest.spyOn(documentClient, 'transactWrite');
+      return Book.create({ data: 'Elantris' })
+        .then(book => book.set({ type: 'Pages', data: 600 }))
+        .then(book => {
+          var items = documentClient.transactWrite.mock.calls[0][0]
+            .TransactItems;
+          expect(documentClient.transactWrite).toHaveBeenCalledTimes(1);
+          expect(items[0].Update).toEqual({
+            TableName: table,
+            Key: { Node: book.node, Type: 'Book' },
+            UpdateExpression: 'SET #Version = :next',
+            ConditionExpression:
+              'attribute_exists(#Node) AND attribute_not_exists(#Version)',
+            ExpressionAttributeNames: {
+              '#Version': 'Version',
+              '#Node': 'Node'
+            },
+            ExpressionAttributeValues: { ':next': 1 }
+          });
+          expect(items[1].Put.Item).toMatchObject({
+            Node: book.node,
+            Type: 'Pages',
+            Data: '600'
+          });
+          expect(book.version).toEqual(1);
+          expect(nodeItem(book.node).Version).toEqual(1);
+        });
+    });
+
+    test('should reject stale writes without writing anything', () => {
+      var book;
+      return Book.create({ data: 'Elantris' })
+        .then(result => {
+          book = result;
+          return book.set({ type: 'Pages', data: 600 });
+        })
+        .then(() => book.set({ type: 'Title', data: 'Warbreaker' }))
+        .then(stale)
+        .catch(error => {
+          expect(error instanceof Model.ConcurrentModificationError).toBe(true);
+          expect(error.node).toEqual(book.node);
+          expect(error.expected).toEqual(0);
+          expect(error.version).toEqual(1);
+          expect(
+            documentClient.dump(table).filter(item => item.Type === 'Title')
+          ).toEqual([]);
+          expect(nodeItem(book.node).Version).toEqual(1);
+        });
+    });
+
+    test('should keep the version if the write fails', () => {
+      var book;
+      return Book.create({ data: 'Elantris' })
+        .then(result => {
+          book = result;
+          return book.updateEdge({ type: 'Author', meta: { order: 1 } });
+        })
+        .then(stale)
+        .catch(error => {
+          expect(error.code).toEqual('TransactionCanceledException');
+          expect(nodeItem(book.node).Version).toBeUndefined();
+        });
+    });
+
+    test('should update the data and the version on one write', () => {
+      var book;
+      jest.spyOn(documentClient, 'update');
+      return Book.create({ data: 'Elantris' })
+        .then(result => {
+          book = result;
+          return book.update({ data: 'Warbreaker' });
+        })
+        .then(result => {
+          expect(documentClient.update).toHaveBeenCalledTimes(1);
+          expect(result.version).toEqual(1);
+          expect(nodeItem(book.node)).toMatchObject({
+            Data: JSON.stringify('Warbreaker'),
+            Version: 1
+          });
+          return book.update({ data: 'Mistborn' });
+        })
+        .then(stale)
+        .catch(error => {
+          expect(error instanceof Model.ConcurrentModificationError).toBe(true);
+          expect(nodeItem(book.node).Data).toEqual(
+            JSON.stringify('Warbreaker')
+          );
+        });
+    });
+
+    test('should write the edge and its inverse on one transaction', () => {
+      var author;
+      jest.spyOn(documentClient, 'transactWrite');
+      return Author.create({ data: 'Brandon Sanderson' })
+        .then(result => {
+          author = result;
+          return Book.create({ data: 'Elantris' });
+        })
+        .then(book =>
+          book.connect({
+            type: 'Author',
+            target: author.node,
+            inverse: 'WroteBook'
+          })
+        )
+        .then(book => {
+          var items = documentClient.transactWrite.mock.calls[0][0]
+            .TransactItems;
+          expect(items.map(item => item.Put && item.Put.Item)).toEqual([
+            undefined,
+            expect.objectContaining({
+              Node: book.node,
+              Type: 'Author',
+              Target: author.node,
+              Data: JSON.stringify('Brandon Sanderson')
+            }),
+            expect.objectContaining({
+              Node: author.node,
+              Type: 'WroteBook',
+              Target: book.node,
+              Data: JSON.stringify('Elantris')
+            })
+          ]);
+          expect(book.version).toEqual(1);
+        });
+    });
+
+    test('should write the inverse edge on the tenant of a cross tenant target', () => {
+      var author;
+      jest.spyOn(documentClient, 'transactWrite');
+      return Model({
+        table,
+        type: 'Author',
+        tenant: 'b',
+        maxGSIK: 4,
+        documentClient
+      })
+        .create({ data: 'Brandon Sanderson' })
+        .then(result => {
+          author = result;
+          return Model({
+            table,
+            type: 'Book',
+            tenant: 'a',
+            maxGSIK: 4,
+            documentClient,
+            versioned: true,
+            strictTenant: true,
+            schema: {
+              edges: { Author: { inverse: 'WroteBook', crossTenant: true } }
+            }
+          }).create({ data: 'Elantris' });
+        })
+        .then(book => book.connect({ type: 'Author', target: author.node }))
+        .then(() => {
+          var items = documentClient.transactWrite.mock.calls[0][0]
+            .TransactItems;
+          expect(items[1].Put.Item.GSIK.indexOf('a#')).toEqual(0);
+          expect(items[2].Put.Item).toMatchObject({
+            Node: author.node,
+            Type: 'WroteBook'
+          });
+          expect(items[2].Put.Item.GSIK.indexOf('b#')).toEqual(0);
+        });
+    });
+
+    test('should not destroy a stale node', () => {
+      var book;
+      return Book.create({ data: 'Elantris' })
+        .then(result => {
+          book = result;
+          return book.set({ type: 'Pages', data: 600 });
+        })
+        .then(() => book.destroy())
+        .then(stale)
+        .catch(error => {
+          expect(error instanceof Model.ConcurrentModificationError).toBe(true);
+          expect(nodeItem(book.node)).toBeDefined();
+          expect(
+            documentClient.dump(table).filter(item => item.Type === 'Pages')
+          ).toHaveLength(1);
+        });
+    });
+
+    test('should read the versions of the collection nodes', () => {
+      var book;
+      return Book.create({ data: 'Elantris' })
+        .then(result => result.set({ type: 'Pages', data: 600 }))
+        .then(result => {
+          book = result;
+          return Model({
+            table,
+            type: 'Book',
+            node: cuid(),
+            version: 5,
+            maxGSIK: 4,
+            documentClient,
+            versioned: true,
+            db: {
+              getNodesWithPropertiesAndEdges: () =>
+                Promise.resolve({
+                  Items: [
+                    {
+                      Node: book.node,
+                      Data: 'Elantris',
+                      Properties: [{ Type: 'Pages', Data: 600 }],
+                      Edges: []
+                    }
+                  ]
+                })
+            }
+          }).collection();
+        })
+        .then(models => {
+          expect(models.map(model => model.version)).toEqual([1]);
+          return models[0].set({ type: 'Title', data: 'Elantris' });
+        })
+        .then(result => {
+          expect(result.version).toEqual(2);
+          expect(nodeItem(book.node).Version).toEqual(2);
+        });
+    });
+  });
+
+  describe('#get() include', () => {
+    var book = cuid();
+    var author = cuid();
+    var publisher = cuid();
+    var db = {
+      getNodeData: node =>
+        Promise.resolve({ Items: [{ Node: node, Data: 'Elantris' }] }),
+      getNodeProperties: node => Promise.resolve({ Items: [] })
+    };
+    var tableItems = {
+      [book]: [
+        { Type: 'Author', Target: author, Data: 'Brandon' },
+        { Type: 'PublishedBy', Target: publisher, Data: 'Tor' },
+        { Type: 'Related', Target: cuid(), Data: 'Warbreaker' }
+      ],
+      [author]: [
+        { Type: 'Writer', Target: author, Data: 'Data Writer', MaxGSIK: 3 },
+        { Type: 'Born', Data: 1975 }
+      ],
+      [publisher]: [
+        { Type: 'Publisher', Target: publisher, Data: 'Data Publisher' }
+      ]
+    };
+    var itemsOf = (items, node) =>
+      (items[node] || []).map(item =>
+        Object.assign({}, item, { Node: node, Data: JSON.stringify(item.Data) })
+      );
+    var documentClient = (items = tableItems) => ({
+      query: jest.fn(params => ({
+        promise: () =>
+          Promise.resolve({
+            Items: itemsOf(items, params.ExpressionAttributeValues[':Node'])
+          })
+      })),
+      batchGet: jest.fn(params => ({
+        promise: () =>
+          Promise.resolve({
+            Responses: {
+              [table]: params.RequestItems[table].Keys.map(key =>
+                itemsOf(items, key.Node).find(item => item.Type === key.Type)
+              ).filter(item => item !== undefined)
+            }
+          })
+      }))
+    });
+
+    test('should throw an error if include is not an array', () => {
+      var Book = Model({ table, type: 'Book', node: book, db });
+      expect(() => Book.get({ include: 'Author' })).toThrow(
+        'Include is not an array'
+      );
+    });
+
+    test('should throw an error if the document client is undefined', () => {
+      var Book = Model({ table, type: 'Book', node: book, db });
+      expect(() => Book.get({ include: ['Author'] })).toThrow(
+        'Document client is undefined'
+      );
+    });
+
+    test('should read the targets with a known schema in batches', () => {
+      var _documentClient = documentClient();
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        db,
+        documentClient: _documentClient,
+        schema: { edges: { Author: { target: 'Writer' } } }
+      });
+      return Book.get(book, {
+        include: [
+          { type: 'Author', schema: { properties: { Born: {} } } },
+          { type: 'PublishedBy', target: 'Publisher' }
+        ]
+      }).then(result => {
+        var calls = _documentClient.batchGet.mock.calls;
+        var queried = _documentClient.query.mock.calls.map(
+          call => call[0].ExpressionAttributeValues[':Node']
+        );
+        expect(calls.length).toEqual(1);
+        expect(calls[0][0].RequestItems[table].Keys).toEqual(
+          ['Writer', 'CreatedAt', 'DeletedAt', 'UpdatedAt', 'Born'].map(
+            Type => ({ Node: author, Type })
+          )
+        );
+        expect(queried).toEqual([book, publisher]);
+        expect(Object.keys(result.included)).toEqual(['Author', 'PublishedBy']);
+        expect(result.included.Author.node).toEqual(author);
+        expect(result.included.Author.type).toEqual('Writer');
+        expect(result.included.Author.data).toEqual('Data Writer');
+        expect(result.included.Author.properties).toEqual([
+          { Type: 'Born', Data: 1975 }
+        ]);
+        expect(result.included.Author.maxGSIK).toEqual(3);
+        expect(result.included.PublishedBy.type).toEqual('Publisher');
+        expect(result.included.PublishedBy.data).toEqual('Data Publisher');
+      });
+    });
+
+    test('should skip edge types without an edge or a target', () => {
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        db,
+        documentClient: documentClient({
+          [book]: [{ Type: 'Author', Target: cuid() }]
+        })
+      });
+      return Book.get(book, { include: ['Author', 'Editor'] }).then(result => {
+        expect(result.included).toEqual({});
+      });
+    });
+  });
+
+  describe('MemoryDocumentClient', () => {
+    test('should be exported by the module', () => {
+      expect(typeof Model.MemoryDocumentClient).toEqual('function');
+    });
+
+    test('should work as the document client of a model', () => {
+      var documentClient = Model.MemoryDocumentClient();
+      var Author = Model({ table, type: 'Author', maxGSIK: 4, documentClient });
+      var Book = Model({ table, type: 'Book', maxGSIK: 4, documentClient });
+      var author;
+      return Author.create({ data: 'Brandon Sanderson' })
+        .then(result => {
+          author = result;
+          return Book.create({
+            data: 'Elantris',
+            properties: [{ Type: 'PublishedBy', Data: 'Tor Books' }],
+            edges: [{ Type: 'Author', Target: author.node }]
+          });
+        })
+        .then(book => Book.get(book.node))
+        .then(book => {
+          expect(book.data).toEqual('Elantris');
+          expect(book.properties.map(property => property.Data)).toEqual([
+            'Tor Books'
+          ]);
+          expect(book.edges.map(edge => edge.Target)).toEqual([author.node]);
+          expect(book.edges[0].Data).toEqual('Brandon Sanderson');
+        });
+    });
+  });
+
+  describe('hooks', () => {
+    var node = cuid();
+    var db = () => ({
+      createProperty: jest.fn(config =>
+        Promise.resolve({ Item: { Node: config.node, Type: config.type } })
+      ),
+      deleteNode: jest.fn(() => Promise.resolve({}))
+    });
+
+    test('should let before hooks normalize the input', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: _db,
+        hooks: {
+          before: {
+            set: ({ args }) => [
+              Object.assign({}, args[0], { data: args[0].data.trim() })
+            ]
+          }
+        }
+      });
+      return Book.set({ type: 'PublishedBy', data: ' Tor Books ' }).then(() => {
+        expect(_db.createProperty.mock.calls[0][0].data).toEqual('Tor Books');
+      });
+    });
+
+    test('should let before hooks veto the operation', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: _db,
+        hooks: {
+          before: {
+            destroy: context => {
+              throw new Error(`Cannot destroy ${context.type} ${context.node}`);
+            }
+          }
+        }
+      });
+      return Book.destroy()
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual(`Cannot destroy Book ${node}`);
+          expect(_db.deleteNode).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should run the global hooks on every model', () => {
+      var events = [];
+      var off = Model.hooks.after('*', context =>
+        events.push([context.operation, context.type, context.result.node])
+      );
+      var Book = Model({ table, type: 'Book', node, maxGSIK, db: db() });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' }).then(() => {
+        off();
+        expect(events).toEqual([['set', 'Book', node]]);
+      });
+    });
+
+    test('should keep the hooks on the next models', () => {
+      var after = jest.fn();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: db(),
+        hooks: { after: { set: after } }
+      });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' })
+        .then(book => book.set({ type: 'Pages', data: 622 }))
+        .then(() => expect(after.mock.calls.length).toEqual(2));
+    });
+
+    test('should reject the errors of the operations with or without hooks', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK, db: db() });
+      var set = () => Book.set({ type: 'PublishedBy', data: 'Tor Books' });
+      var without = set();
+      var off = Model.hooks.before('*', () => {});
+      var withHooks = set();
+      off();
+      return Promise.all(
+        [without, withHooks].map(promise =>
+          expect(promise).rejects.toHaveProperty('message', 'Node is undefined')
+        )
+      );
+    });
+  });
+
+  describe('history', () => {
+    var node = cuid();
+    var db = () => ({
+      getNode: () => Promise.resolve({ Items: [{ MaxGSIK: 0 }] }),
+      createProperty: config =>
+        Promise.resolve({ Item: { Node: config.node, Type: config.type } })
+    });
+
+    test('should name each record after the driver method', () => {
+      var Book = Model({ table, type: 'Book', node, db: db() });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' }).then(
+        result => {
+          expect(result.history.map(record => record.operation)).toEqual([
+            'getNode',
+            'createProperty'
+          ]);
+          expect(result.history[1]).toMatchObject({
+            action: 'set',
+            type: 'Book',
+            node,
+            request: { node, type: 'PublishedBy', data: 'Tor Books' },
+            response: { Item: { Node: node, Type: 'PublishedBy' } }
+          });
+          expect(typeof result.history[1].startedAt).toEqual('number');
+          expect(typeof result.history[1].endedAt).toEqual('number');
+        }
+      );
+    });
+
+    test('should throw an error if onRecord is not a function', () => {
+      expect(() => Model({ table, type, db: db(), onRecord: true })).toThrow(
+        'On record is not a function'
+      );
+    });
+
+    test('should publish the records as they happen', () => {
+      var records = [];
+      var global = [];
+      var unsubscribe = Model.subscribe(record => global.push(record));
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        db: db(),
+        onRecord: record => records.push(record)
+      });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' }).then(
+        result => {
+          unsubscribe();
+          expect(records).toEqual(result.history);
+          expect(global).toEqual(result.history);
+        }
+      );
+    });
+
+    test('should record the consumed capacity of the DocumentClient calls', () => {
+      var _documentClient = {
+        update: jest.fn(() => ({
+          promise: () =>
+            Promise.resolve({
+              ConsumedCapacity: { TableName: table, CapacityUnits: 1 }
+            })
+        }))
+      };
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: db(),
+        documentClient: _documentClient,
+        consumedCapacity: 'TOTAL'
+      });
+      return Book.updateEdge({ type: 'Author', meta: { role: 'Editor' } }).then(
+        result => {
+          expect(_documentClient.update.mock.calls[0][0]).toMatchObject({
+            ReturnConsumedCapacity: 'TOTAL'
+          });
+          expect(result.history).toMatchObject([
+            {
+              operation: 'update',
+              action: 'updateEdge',
+              consumedCapacity: { TableName: table, CapacityUnits: 1 }
+            }
+          ]);
+        }
+      );
+    });
+  });
+
+  describe('retry', () => {
+    var node = cuid();
+    var throttled = () =>
+      Object.assign(new Error('Throughput exceeded'), {
+        code: 'ProvisionedThroughputExceededException'
+      });
+
+    test('should throw an error if the retry policy is invalid', () => {
+      expect(() =>
+        Model({ table, type, db: {}, retry: { maxAttempts: 0 } })
+      ).toThrow('Max attempts is not a positive integer');
+    });
+
+    test('should retry the throttled calls and record each attempt', () => {
+      var createProperty = jest
+        .fn()
+        .mockReturnValueOnce(Promise.reject(throttled()))
+        .mockReturnValueOnce(Promise.resolve({ Item: { Node: node } }));
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: { createProperty },
+        retry: { baseDelay: 0 }
+      });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' }).then(
+        result => {
+          expect(createProperty.mock.calls.length).toEqual(2);
+          expect(result.history).toMatchObject([
+            { operation: 'createProperty', attempt: 1 },
+            {
+              operation: 'createProperty',
+              attempt: 2,
+              response: { Item: { Node: node } }
+            }
+          ]);
+          expect(result.history[0].error.code).toEqual(
+            'ProvisionedThroughputExceededException'
+          );
+        }
+      );
+    });
+
+    test('should give up after the max attempts', () => {
+      var error = throttled();
+      var createProperty = jest.fn(() => Promise.reject(error));
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: { createProperty },
+        retry: { maxAttempts: 3, baseDelay: 0 }
+      });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' })
+        .then(() => expect(true).toBe(false))
+        .catch(result => {
+          expect(result).toBe(error);
+          expect(createProperty.mock.calls.length).toEqual(3);
+        });
+    });
+
+    test('should not retry other errors', () => {
+      var createProperty = jest.fn(() =>
+        Promise.reject(new Error('Write failed'))
+      );
+      var Book = Model({
+        table,
+        type: 'Book',
+        node,
+        maxGSIK,
+        db: { createProperty }
+      });
+      return Book.set({ type: 'PublishedBy', data: 'Tor Books' })
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Write failed');
+          expect(createProperty.mock.calls.length).toEqual(1);
+        });
+    });
+
+    var db = () => ({
+      createNode: () => Promise.resolve({ Item: { Node: node } }),
+      createProperties: config =>
+        Promise.resolve({
+          UnprocessedItems: {
+            [table]: config.properties.slice(1).map(prop => ({
+              PutRequest: { Item: { Node: node, Type: prop.Type } }
+            }))
+          }
+        }),
+      deleteNode: jest.fn(() => Promise.resolve({}))
+    });
+    var properties = [{ Type: 'One', Data: 1 }, { Type: 'Two', Data: 2 }];
+
+    test('should send again the properties left unprocessed', () => {
+      var _documentClient = {
+        batchWrite: jest.fn(() => ({
+          promise: () => Promise.resolve({ UnprocessedItems: {} })
+        }))
+      };
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        db: db(),
+        documentClient: _documentClient,
+        retry: { baseDelay: 0 }
+      });
+      return Book.create({ data, properties }).then(result => {
+        expect(_documentClient.batchWrite.mock.calls[0][0]).toEqual({
+          RequestItems: {
+            [table]: [{ PutRequest: { Item: { Node: node, Type: 'Two' } } }]
+          }
+        });
+        expect(result.history.map(record => record.operation)).toEqual([
+          'createNode',
+          'createProperties',
+          'batchWrite'
+        ]);
+      });
+    });
+
+    test('should roll back the node if the properties stay unprocessed', () => {
+      var _db = db();
+      var _documentClient = {
+        batchWrite: jest.fn(params => ({
+          promise: () =>
+            Promise.resolve({ UnprocessedItems: params.RequestItems })
+        }))
+      };
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        db: _db,
+        documentClient: _documentClient,
+        retry: { maxAttempts: 2, baseDelay: 0 }
+      });
+      return Book.create({ data, properties })
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual('Items were not processed');
+          expect(_documentClient.batchWrite.mock.calls.length).toEqual(2);
+          expect(_db.deleteNode).toHaveBeenCalledWith(node);
+        });
+    });
+  });
+
+  describe('#repartition()', () => {
+    var utils = require('../lib/utils.js');
+    var setup = count => {
+      var documentClient = Model.MemoryDocumentClient();
+      var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+      return Book.createMany(
+        range(0, count).map(i => ({
+          data: 'Book ' + i,
+          properties: [{ Type: 'Pages', Data: 100 + i }]
+        }))
+      ).then(results => ({
+        documentClient,
+        nodes: results.map(result => result.node)
+      }));
+    };
+    var expectMigrated = (documentClient, nodes, maxGSIK) =>
+      documentClient
+        .dump(table)
+        .filter(item => nodes.indexOf(item.Node) > -1)
+        .forEach(item => {
+          expect(item.GSIK).toEqual(
+            utils.calculateGSIK({ node: item.Node, maxGSIK })
+          );
+          if (item.Type === 'Book') expect(item.MaxGSIK).toEqual(maxGSIK);
+        });
+
+    test('should throw an error if maxGSIK is not a number', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+      expect(() => Book.repartition()).toThrow('Max GSIK is not a number');
+    });
+
+    test('should throw an error if maxGSIK is decreased', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK: 4, documentClient });
+      expect(() => Book.repartition({ maxGSIK: 2 })).toThrow(
+        'Max GSIK can not be decreased'
+      );
+    });
+
+    test('should rewrite the GSIK and MaxGSIK of every node', () => {
+      return setup(6).then(({ documentClient, nodes }) => {
+        var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+        return Book.repartition({ maxGSIK: 4 }).then(result => {
+          expect(result.cursor).toEqual(null);
+          expect(result.nodes.sort()).toEqual(nodes.slice().sort());
+          expectMigrated(documentClient, nodes, 4);
+          var Repartitioned = Model({
+            table,
+            type: 'Book',
+            maxGSIK: 4,
+            documentClient
+          });
+          return Repartitioned.collection({ limit: 10 }).then(page =>
+            expect(page.models.length).toEqual(6)
+          );
+        });
+      });
+    });
+
+    test('should resume the migration from a cursor', () => {
+      return setup(5).then(({ documentClient, nodes }) => {
+        var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+        var migrated = [];
+        var step = cursor =>
+          Book.repartition({ maxGSIK: 3, limit: 2, cursor }).then(result => {
+            expect(result.nodes.length).toBeLessThanOrEqual(2);
+            migrated = migrated.concat(result.nodes);
+            return result.cursor === null ? undefined : step(result.cursor);
+          });
+        return step().then(() => {
+          expect(migrated.sort()).toEqual(nodes.slice().sort());
+          expectMigrated(documentClient, nodes, 3);
+        });
+      });
+    });
+
+    test('should skip the nodes that were already migrated', () => {
+      return setup(3).then(({ documentClient, nodes }) => {
+        var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+        return Book.repartition({ maxGSIK: 4 })
+          .then(() => Book.repartition({ maxGSIK: 4 }))
+          .then(result => {
+            expect(result.nodes).toEqual([]);
+            expect(result.cursor).toEqual(null);
+          });
+      });
+    });
+
+    test('should throw an error if the cursor is for another maxGSIK', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK: 1, documentClient });
+      var cursor = utils.encodeCursor({ maxGSIK: 3, partitions: {} });
+      expect(() => Book.repartition({ maxGSIK: 4, cursor })).toThrow(
+        'Cursor is not valid'
+      );
+    });
+  });
+
+  describe('export and import', () => {
+    test('should be exported by the module', () => {
+      expect(typeof Model.export).toEqual('function');
+      expect(typeof Model.import).toEqual('function');
+    });
+
+    test('should copy a graph between tables through GraphML', () => {
+      var source = Model.MemoryDocumentClient();
+      var target = Model.MemoryDocumentClient();
+      var Author = Model({
+        table,
+        type: 'Author',
+        maxGSIK,
+        documentClient: source
+      });
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        documentClient: source
+      });
+      var author;
+      return Author.createMany([{ data: 'Brandon Sanderson' }])
+        .then(([result]) => {
+          author = result.node;
+          return Book.createMany([
+            {
+              data: 'Elantris',
+              properties: [{ Type: 'Pages', Data: 496 }],
+              edges: [{ Type: 'Author', Target: author, MetaData: { n: 1 } }]
+            }
+          ]);
+        })
+        .then(([book]) =>
+          Model.export({
+            documentClient: source,
+            table,
+            maxGSIK,
+            types: ['Book', 'Author'],
+            format: 'graphml'
+          }).then(exported =>
+            Model.import({
+              documentClient: target,
+              table,
+              maxGSIK,
+              tenant: 'copy',
+              format: 'graphml',
+              data: exported.output
+            }).then(imported => {
+              expect(imported.errors).toEqual([]);
+              expect(imported.edges).toEqual(1);
+              return Model({
+                table,
+                type: 'Book',
+                node: imported.nodes[book.node],
+                maxGSIK,
+                documentClient: target
+              }).get();
+            }).then(copy => {
+              expect(copy.node.indexOf('copy#')).toEqual(0);
+              expect(copy.data).toEqual('Elantris');
+              expect(copy.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+              expect(copy.edges.map(edge => edge.MetaData)).toEqual([{ n: 1 }]);
+              expect(copy.edges[0].Target).not.toEqual(author);
+              expect(copy.edges[0].Data).toEqual('Brandon Sanderson');
+            })
+          )
+        );
+    });
+
+    test('should keep the values with a codec on a round trip', () => {
+      var source = Model.MemoryDocumentClient();
+      var target = Model.MemoryDocumentClient();
+      var schemas = {
+        Book: {
+          data: { codec: 'date' },
+          properties: { Pages: { codec: 'number' } }
+        }
+      };
+      var options = { table, maxGSIK, schemas };
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        documentClient: source,
+        schema: schemas.Book
+      });
+      var book;
+      return Book.createMany([
+        {
+          data: new Date('2018-01-01'),
+          properties: [{ Type: 'Pages', Data: 496 }]
+        }
+      ])
+        .then(([result]) => {
+          book = result;
+          return Model.export(
+            Object.assign({ documentClient: source, types: ['Book'] }, options)
+          );
+        })
+        .then(exported =>
+          Model.import(
+            Object.assign(
+              { documentClient: target, data: exported.output },
+              options
+            )
+          )
+        )
+        .then(imported => {
+          var stored = documentClient =>
+            documentClient
+              .dump(table)
+              .map(item => item.Data)
+              .sort();
+          expect(imported.errors).toEqual([]);
+          expect(stored(target)).toEqual(stored(source));
+          return Model({
+            table,
+            type: 'Book',
+            node: imported.nodes[book.node],
+            maxGSIK,
+            documentClient: target,
+            schema: schemas.Book
+          }).get();
+        })
+        .then(copy => {
+          expect(copy.data).toEqual(new Date('2018-01-01'));
+          expect(copy.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+        });
+    });
+
+    test('should import the nodes exported with log on a schema', () => {
+      var source = Model.MemoryDocumentClient();
+      var target = Model.MemoryDocumentClient();
+      var schemas = { Book: { properties: { Pages: { type: 'number' } } } };
+      var options = { table, maxGSIK, schemas, log: true };
+      var Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK,
+        log: true,
+        documentClient: source,
+        schema: schemas.Book
+      });
+      var book;
+      return Book.createMany([
+        { data: 'Elantris', properties: [{ Type: 'Pages', Data: 496 }] }
+      ])
+        .then(([result]) => {
+          book = result;
+          return Model.export(
+            Object.assign({ documentClient: source, types: ['Book'] }, options)
+          );
+        })
+        .then(exported => {
+          expect(exported.nodes).toEqual(1);
+          expect(exported.output).not.toMatch('CreatedAt');
+          return Model.import(
+            Object.assign(
+              { documentClient: target, data: exported.output },
+              options
+            )
+          );
+        })
+        .then(imported => {
+          expect(imported.errors).toEqual([]);
+          expect(
+            target
+              .dump(table)
+              .filter(item => item.Type === 'CreatedAt')
+              .map(item => item.Node)
+          ).toEqual([imported.nodes[book.node]]);
+        });
+    });
+  });
+
+  describe('strict tenant', () => {
+    var documentClient = Model.MemoryDocumentClient();
+    var options = { table, maxGSIK: 4, documentClient, strictTenant: true };
+    var Author;
+    var author;
+    var foreign;
+
+    beforeEach(() => {
+      var Foreign = Model(
+        Object.assign({ type: 'Author', tenant: 'b' }, options)
+      );
+      Author = Model(Object.assign({ type: 'Author', tenant: 'a' }, options));
+      return Promise.all([
+        Author.create({ data: 'Brandon Sanderson' }),
+        Foreign.create({ data: 'Robert Jordan' })
+      ]).then(([a, b]) => {
+        author = a;
+        foreign = b;
+      });
+    });
+
+    test('should export the TenantIsolationError class', () => {
+      var error = new Model.TenantIsolationError({ node: 'b#1', tenant: 'a' });
+      expect(error instanceof Error).toBe(true);
+      expect(error.name).toEqual('TenantIsolationError');
+      expect(error.message).toEqual('Node b#1 does not belong to tenant a');
+    });
+
+    test('should read nodes of its own tenant', () => {
+      return Author.get(author.node).then(model => {
+        expect(model.data).toEqual('Brandon Sanderson');
+      });
+    });
+
+    test('should reject reading or destroying nodes of another tenant', () => {
+      expect(() => Author.get(foreign.node)).toThrow(
+        Model.TenantIsolationError
+      );
+      return expect(Author.destroy(foreign.node)).rejects.toHaveProperty(
+        'message',
+        `Node ${foreign.node} does not belong to tenant a`
+      );
+    });
+
+    test('should reject the other operations on nodes of another tenant', () => {
+      var Foreign = Model(
+        Object.assign({}, options, {
+          type: 'Author',
+          tenant: 'a',
+          node: foreign.node
+        })
+      );
+      [
+        () => Foreign.incoming({ type: 'Friend' }),
+        () => Foreign.traverse()
+      ].forEach(operation =>
+        expect(operation).toThrow(Model.TenantIsolationError)
+      );
+      return Promise.all(
+        [
+          Foreign.set({ type: 'Name', data: 'Jim Rigney' }),
+          Foreign.remove('Name'),
+          Foreign.update({ data: 'Jim Rigney' }),
+          Foreign.updateEdge({ type: 'Friend', meta: { since: 1990 } })
+        ].map(promise =>
+          expect(promise).rejects.toBeInstanceOf(Model.TenantIsolationError)
+        )
+      );
+    });
+
+    test('should not check the tenant if it is not strict', () => {
+      return Model(
+        Object.assign({}, options, {
+          type: 'Author',
+          tenant: 'a',
+          strictTenant: false
+        })
+      )
+        .get(foreign.node)
+        .then(model => expect(model.data).toEqual('Robert Jordan'));
+    });
+
+    test('should return an error for each node of another tenant on getMany', () => {
+      return Author.getMany([author.node, foreign.node]).then(results => {
+        expect(results[0].model.data).toEqual('Brandon Sanderson');
+        expect(results[1].error.name).toEqual('TenantIsolationError');
+      });
+    });
+
+    test('should reject edges to nodes of another tenant', () => {
+      var Book = Model(Object.assign({ type: 'Book', tenant: 'a' }, options));
+      var edges = [{ Type: 'Author', Target: foreign.node }];
+      return author
+        .connect({ type: 'Friend', target: foreign })
+        .catch(error => error)
+        .then(error => {
+          expect(error.node).toEqual(foreign.node);
+          expect(error.tenant).toEqual('a');
+          expect(error.edge).toEqual('Friend');
+          return expect(
+            Book.create({ data: 'Elantris', edges })
+          ).rejects.toBeInstanceOf(Model.TenantIsolationError);
+        })
+        .then(() => Book.createMany([{ data: 'Elantris', edges }]))
+        .then(([result]) => {
+          expect(result.error.name).toEqual('TenantIsolationError');
+        });
+    });
+
+    test('should allow edges to other tenants if the schema allows it', () => {
+      var Book = Model(
+        Object.assign({ type: 'Book', tenant: 'a' }, options, {
+          schema: {
+            edges: { Author: {}, Translator: { crossTenant: true } }
+          }
+        })
+      );
+      return Book.create({
+        data: 'Elantris',
+        edges: [{ Type: 'Translator', Target: foreign.node }]
+      }).then(book => {
+        expect(book.edges.map(edge => edge.Target)).toEqual([foreign.node]);
+        return expect(
+          book.connect({ type: 'Author', target: foreign.node })
+        ).rejects.toBeInstanceOf(Model.TenantIsolationError);
+      });
+    });
+  });
+
+  describe('codecs', () => {
+    var documentClient;
+    var Book;
+
+    beforeEach(() => {
+      documentClient = Model.MemoryDocumentClient();
+      Book = Model({
+        table,
+        type: 'Book',
+        maxGSIK: 4,
+        documentClient,
+        schema: {
+          data: { codec: 'date' },
+          properties: {
+            Pages: { type: 'number', codec: 'number' },
+            Available: { type: 'boolean', codec: 'boolean' },
+            Title: {
+              type: 'string',
+              codec: {
+                encode: value => value.toUpperCase(),
+                decode: value => value.toLowerCase()
+              }
+            }
+          }
+        }
+      });
+    });
+
+    test('should store the encoded values', () => {
+      return Book.create({
+        data: new Date('2018-01-01'),
+        properties: [
+          { Type: 'Pages', Data: 9 },
+          { Type: 'Available', Data: true },
+          { Type: 'Title', Data: 'elantris' }
+        ]
+      }).then(book => {
+        var items = documentClient
+          .dump(table)
+          .filter(item => item.Node === book.node);
+        expect(items.map(item => item.Data).sort()).toEqual([
+          JSON.stringify('1'),
+          JSON.stringify('2018-01-01T00:00:00.000Z'),
+          JSON.stringify('ELANTRIS'),
+          JSON.stringify('c022000000000000')
+        ]);
+        expect(book.data).toEqual(new Date('2018-01-01'));
+      });
+    });
+
+    test('should decode the values on get and collection', () => {
+      return Book.createMany([
+        {
+          data: new Date('2018-01-01'),
+          properties: [{ Type: 'Pages', Data: 9 }]
+        }
+      ])
+        .then(([result]) =>
+          Promise.all([
+            Book.get(result.node),
+            Book.collection({ limit: 10 })
+          ])
+        )
+        .then(([book, page]) => {
+          [book, page.models[0]].forEach(model => {
+            expect(model.data).toEqual(new Date('2018-01-01'));
+            expect(model.properties).toEqual([{ Type: 'Pages', Data: 9 }]);
+          });
+        });
+    });
+
+    test('should encode the values of set and update', () => {
+      return Book.create({ data: new Date('2018-01-01') })
+        .then(book =>
+          book
+            .set({ type: 'Available', data: false })
+            .then(() => book.update({ data: new Date('2019-01-01') }))
+            .then(() => Book.get(book.node))
+        )
+        .then(book => {
+          expect(book.data).toEqual(new Date('2019-01-01'));
+          expect(book.properties).toEqual([{ Type: 'Available', Data: false }]);
+        });
+    });
+
+    test('should find numeric and date ranges in order', () => {
+      return Book.createMany(
+        [9, 10, 100, -1].map(pages => ({
+          data: new Date(2018, 0, pages + 2),
+          properties: [{ Type: 'Pages', Data: pages }]
+        }))
+      )
+        .then(() =>
+          Promise.all([
+            Book.find({ property: 'Pages', gt: 9 }),
+            Book.find({ property: 'Pages', between: [-5, 50] }),
+            Book.find({ lt: new Date(2018, 0, 11) })
+          ])
+        )
+        .then(([gt, between, lt]) => {
+          var pages = models =>
+            models.map(model => model.properties[0].Data).sort((a, b) => a - b);
+          expect(pages(gt)).toEqual([10, 100]);
+          expect(pages(between)).toEqual([-1, 9, 10]);
+          expect(pages(lt)).toEqual([-1]);
+        });
+    });
+
+    test('should reject values that can not be encoded', () => {
+      return expect(Book.create({ data: 'tomorrow' })).rejects.toHaveProperty(
+        'message',
+        'Value is not a date'
+      );
+    });
+  });
+
+  describe('unique properties', () => {
+    var documentClient;
+    var User;
+    var sentinels = () =>
+      documentClient
+        .dump(table)
+        .filter(item => item.Type === 'Unique')
+        .map(item => [item.Node.split('#').pop(), item.Owner]);
+    var expectError = (promise, node) =>
+      promise.then(
+        () => {
+          throw new Error('Should have failed');
+        },
+        error => {
+          expect(error instanceof Model.UniqueConstraintError).toBe(true);
+          expect(error.node).toEqual(node);
+        }
+      );
+
+    beforeEach(() => {
+      documentClient = Model.MemoryDocumentClient();
+      User = Model({
+        table,
+        type: 'User',
+        tenant: 'a',
+        maxGSIK: 4,
+        documentClient,
+        schema: { properties: { Email: { unique: true }, Name: {} } }
+      });
+    });
+
+    test('should release the values of the nodes destroyed by a cascade', () => {
+      var Group = Model({
+        table,
+        type: 'Group',
+        tenant: 'a',
+        maxGSIK: 4,
+        documentClient,
+        schema: { edges: { Admin: { target: 'User', cascade: true } } }
+      });
+      var user;
+      return User.create({
+        data: 'Brandon',
+        properties: [
+          { Type: 'Email', Data: 'a@b.c' },
+          { Type: 'Name', Data: 'Brandon' }
+        ]
+      })
+        .then(result => {
+          user = result;
+          return Group.create({
+            data: 'Writers',
+            edges: [{ Type: 'Admin', Target: user.node }]
+          });
+        })
+        .then(group => {
+          expect(sentinels()).toEqual([[JSON.stringify('a@b.c'), user.node]]);
+          return group.destroy({ cascade: true });
+        })
+        .then(() => {
+          expect(sentinels()).toEqual([]);
+          return User.create({
+            data: 'Jim',
+            properties: [{ Type: 'Email', Data: 'a@b.c' }]
+          });
+        });
+    });
+
+    test('should reject creating a node with a used value', () => {
+      var user;
+      return User.create({
+        data: 'Brandon',
+        properties: [{ Type: 'Email', Data: 'a@b.c' }]
+      })
+        .then(result => {
+          user = result;
+          return expectError(
+            User.create({
+              data: 'Robert',
+              properties: [
+                { Type: 'Email', Data: 'a@b.c' },
+                { Type: 'Name', Data: 'Robert' }
+              ]
+            }),
+            user.node
+          );
+        })
+        .then(() => {
+          expect(sentinels()).toEqual([['"a@b.c"', user.node]]);
+          expect(
+            documentClient.dump(table).filter(item => item.Type === 'User')
+          ).toHaveLength(1);
+        });
+    });
+
+    test('should allow the same value on other tenants', () => {
+      var Other = Model({
+        table,
+        type: 'User',
+        tenant: 'b',
+        maxGSIK: 4,
+        documentClient,
+        schema: { properties: { Email: { unique: true } } }
+      });
+      var properties = [{ Type: 'Email', Data: 'a@b.c' }];
+      return Promise.all([
+        User.create({ data: 'Brandon', properties }),
+        Other.create({ data: 'Brandon', properties })
+      ]).then(() => expect(sentinels()).toHaveLength(2));
+    });
+
+    test('should reject the duplicated entries of createMany', () => {
+      return User.createMany([
+        { data: 'Brandon', properties: [{ Type: 'Email', Data: 'a@b.c' }] },
+        { data: 'Robert', properties: [{ Type: 'Email', Data: 'a@b.c' }] },
+        { data: 'Patrick', properties: [{ Type: 'Email', Data: 'd@e.f' }] }
+      ]).then(results => {
+        var failed = results.filter(result => result.error !== undefined);
+        expect(failed).toHaveLength(1);
+        expect(failed[0].error.name).toEqual('UniqueConstraintError');
+        expect(sentinels()).toHaveLength(2);
+      });
+    });
+
+    test('should swap the reserved value on set', () => {
+      var first;
+      return Promise.all([
+        User.create({
+          data: 'Brandon',
+          properties: [{ Type: 'Email', Data: 'a@b.c' }]
+        }),
+        User.create({ data: 'Robert' })
+      ])
+        .then(([a, b]) => {
+          first = a;
+          return expectError(
+            b.set({ type: 'Email', data: 'a@b.c' }),
+            first.node
+          );
+        })
+        .then(() => first.set({ type: 'Email', data: 'a@b.c' }))
+        .then(() => first.set({ type: 'Email', data: 'd@e.f' }))
+        .then(() => {
+          expect(sentinels()).toEqual([['"d@e.f"', first.node]]);
+        });
+    });
+
+    test('should release the value on remove and destroy', () => {
+      return User.create({
+        data: 'Brandon',
+        properties: [{ Type: 'Email', Data: 'a@b.c' }]
+      })
+        .then(user => user.remove('Email'))
+        .then(() => expect(sentinels()).toEqual([]))
+        .then(() =>
+          User.create({
+            data: 'Robert',
+            properties: [{ Type: 'Email', Data: 'a@b.c' }]
+          })
+        )
+        .then(user => user.destroy())
+        .then(() => expect(sentinels()).toEqual([]));
+    });
+  });
+
+  describe('soft destroy', () => {
+    var documentClient;
+    var Author;
+    var Book;
+    var author;
+    var book;
+
+    beforeEach(() => {
+      documentClient = Model.MemoryDocumentClient();
+      Author = Model({ table, type: 'Author', maxGSIK: 4, documentClient });
+      Book = Model({ table, type: 'Book', maxGSIK: 4, documentClient });
+      return Author.createMany([{ data: 'Brandon Sanderson' }])
+        .then(([result]) => {
+          author = result.node;
+          return Book.createMany([
+            {
+              data: 'Elantris',
+              properties: [{ Type: 'Pages', Data: 496 }],
+              edges: [{ Type: 'Author', Target: author }]
+            },
+            { data: 'Warbreaker' }
+          ]);
+        })
+        .then(([result]) => {
+          book = result.node;
+        });
+    });
+
+    test('should reject if a soft destroy cascades', () => {
+      return expect(
+        Book.destroy(book, { soft: true, cascade: true })
+      ).rejects.toHaveProperty('message', 'Soft destroys can not cascade');
+    });
+
+    test('should reject if the TTL is not a positive number', () => {
+      return expect(
+        Book.destroy(book, { soft: true, ttl: -1 })
+      ).rejects.toHaveProperty('message', 'TTL is not a positive number');
+    });
+
+    test('should mark the node as deleted, and hide it', () => {
+      return Book.destroy(book, { soft: true })
+        .then(model => {
+          expect(model.node).toEqual(undefined);
+          expect(
+            documentClient.dump(table).filter(item => item.Node === book)
+          ).toHaveLength(4);
+          return Book.get(book).then(
+            () => {
+              throw new Error('Should have failed');
+            },
+            error => expect(error.message).toEqual('Node is deleted')
+          );
+        })
+        .then(() =>
+          Promise.all([
+            Model({ table, type: 'Book', node: book, documentClient }).get({
+              withDeleted: true
+            }),
+            Book.collection({ limit: 10 }),
+            Book.collection({ limit: 10, withDeleted: true }),
+            Book.getMany([book])
+          ])
+        )
+        .then(([model, page, all, [result]]) => {
+          expect(model.data).toEqual('Elantris');
+          expect(page.models.map(model => model.data)).toEqual(['Warbreaker']);
+          expect(all.models).toHaveLength(2);
+          expect(result.error.message).toEqual('Node is deleted');
+        });
+    });
+
+    test('should set the expiration of every item if a TTL is given', () => {
+      var now = Math.floor(Date.now() / 1000);
+      return Book.destroy(book, { soft: true, ttl: 3600 }).then(() => {
+        var items = documentClient
+          .dump(table)
+          .filter(item => item.Node === book);
+        expect(items).toHaveLength(4);
+        items.forEach(item => {
+          expect(item.ExpiresAt).toBeGreaterThanOrEqual(now + 3600);
+          expect(item.ExpiresAt).toBeLessThan(now + 3602);
+        });
+      });
+    });
+
+    test('should expire the unique values of the node with its items', () => {
+      var User = Model({
+        table,
+        type: 'User',
+        maxGSIK: 4,
+        documentClient,
+        schema: { properties: { Email: { unique: true } } }
+      });
+      var sentinel = () =>
+        documentClient.dump(table).filter(item => item.Type === 'Unique')[0];
+      var user;
+      return User.createMany([
+        { data: 'Brandon', properties: [{ Type: 'Email', Data: 'a@b.c' }] }
+      ])
+        .then(([result]) => {
+          user = result.node;
+          return User.destroy(user, { soft: true, ttl: 3600 });
+        })
+        .then(() => {
+          var expiresAt = documentClient
+            .dump(table)
+            .find(item => item.Node === user && item.Type === 'User')
+            .ExpiresAt;
+          expect(sentinel().Owner).toEqual(user);
+          expect(sentinel().ExpiresAt).toEqual(expiresAt);
+          return User.restore(user);
+        })
+        .then(() => {
+          expect(sentinel().Owner).toEqual(user);
+          expect(sentinel().ExpiresAt).toEqual(undefined);
+        });
+    });
+
+    test('should restore the node and its edges', () => {
+      return Book.destroy(book, { soft: true, ttl: 3600 })
+        .then(() => Book.restore(book))
+        .then(model => {
+          expect(model.node).toEqual(book);
+          expect(model.data).toEqual('Elantris');
+          expect(model.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+          expect(model.edges.map(edge => edge.Target)).toEqual([author]);
+          expect(model.history.map(entry => entry.action)).toContain(
+            'restore'
+          );
+          documentClient
+            .dump(table)
+            .filter(item => item.Node === book)
+            .forEach(item => expect(item.ExpiresAt).toEqual(undefined));
+          return Model({ table, type: 'Book', documentClient }).get(book);
+        })
+        .then(model => expect(model.data).toEqual('Elantris'));
+    });
+
+    test('should reject restoring a node that is not deleted', () => {
+      return Book.restore(book).then(
+        () => {
+          throw new Error('Should have failed');
+        },
+        error => expect(error.message).toEqual('Node is not deleted')
+      );
+    });
+  });
+
+  describe('mutable', () => {
+    var documentClient;
+    var options;
+
+    beforeEach(() => {
+      documentClient = Model.MemoryDocumentClient();
+      options = { table, maxGSIK: 4, documentClient, mutable: true };
+    });
+
+    test('should update the same model on each operation', () => {
+      var Author = Model(Object.assign({ type: 'Author' }, options));
+      var book = Model(Object.assign({ type: 'Book' }, options));
+      var author;
+      return Author.create({ data: 'Brandon Sanderson' })
+        .then(result => {
+          author = result;
+          return book.create({ data: 'Elantris' });
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.node).toBeDefined();
+          expect(book.data).toEqual('Elantris');
+          expect(book.history.map(entry => entry.action)).toEqual([
+            'create'
+          ]);
+          return book.set({ type: 'Pages', data: 496 });
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+          return book.connect({ type: 'Author', target: author });
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.edges.map(edge => edge.Target)).toEqual([author.node]);
+          return book.remove('Pages');
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.properties).toEqual([]);
+          expect(book.edges).toHaveLength(1);
+          return book.get();
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.data).toEqual('Elantris');
+          expect(book.history.map(entry => entry.action)).toContain('get');
+          return book.destroy();
+        })
+        .then(result => {
+          expect(result).toBe(book);
+          expect(book.node).toEqual(undefined);
+          expect(book.data).toEqual(undefined);
+          expect(book.edges).toEqual([]);
+          expect(book.history.map(entry => entry.operation)).toContain(
+            'deleteNode'
+          );
+        });
+    });
+
+    test('should return new models for the other nodes', () => {
+      var Book = Model(Object.assign({ type: 'Book' }, options));
+      return Book.createMany([{ data: 'Elantris' }, { data: 'Warbreaker' }])
+        .then(() => Book.collection({ limit: 10 }))
+        .then(page => {
+          expect(page.models).toHaveLength(2);
+          expect(page.models[0]).not.toBe(Book);
+          expect(Book.node).toEqual(undefined);
+        });
+    });
+
+    test('should return new models if it is not set', () => {
+      var Book = Model({ table, type: 'Book', maxGSIK: 4, documentClient });
+      return Book.create({ data: 'Elantris' }).then(book => {
+        expect(book).not.toBe(Book);
+        expect(Book.node).toEqual(undefined);
+        return book.set({ type: 'Pages', data: 496 }).then(result => {
+          expect(result.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+          expect(book.properties).toEqual([]);
+        });
+      });
+    });
+  });
+
+  describe('context', () => {
+    var memory;
+    var documentClient;
+    var queries;
+    var batchGets;
+
+    beforeEach(() => {
+      memory = Model.MemoryDocumentClient();
+      queries = [];
+      batchGets = [];
+      documentClient = Object.assign({}, memory, {
+        query: params => {
+          var node = params.ExpressionAttributeValues[':Node'];
+          if (node !== undefined) queries.push(node);
+          return memory.query(params);
+        },
+        batchGet: params => {
+          batchGets.push(params);
+          return memory.batchGet(params);
+        }
+      });
+    });
+
+    function models(context) {
+      var options = { table, maxGSIK: 4, documentClient, context };
+      return {
+        Author: Model(Object.assign({ type: 'Author' }, options)),
+        Book: Model(Object.assign({ type: 'Book' }, options))
+      };
+    }
+
+    test('should export the Context factory', () => {
+      expect(typeof Model.Context).toEqual('function');
+    });
+
+    test('should read each node once', () => {
+      var { Book } = models(Model.Context());
+      var node;
+      return Book.create({ data: 'Elantris' })
+        .then(book => {
+          node = book.node;
+          return book.set({ type: 'Pages', data: 496 });
+        })
+        .then(() => {
+          queries = [];
+          return Promise.all([Book.get(node), Book.get(node)]);
+        })
+        .then(books => {
+          expect(books.map(book => book.data)).toEqual([
+            'Elantris',
+            'Elantris'
+          ]);
+          expect(books[0].properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+          return Book.get(node);
+        })
+        .then(book => {
+          expect(book.data).toEqual('Elantris');
+          expect(queries).toEqual([node]);
+        });
+    });
+
+    test('should read the edges of the node', () => {
+      var { Author, Book } = models(Model.Context());
+      var author;
+      return Author.create({ data: 'Brandon Sanderson' })
+        .then(result => {
+          author = result;
+          return Book.create({ data: 'Elantris' });
+        })
+        .then(book =>
+          book.connect({ type: 'Author', target: author, data: 'Author' })
+        )
+        .then(book => Book.get(book.node))
+        .then(book => {
+          expect(book.edges).toHaveLength(1);
+          expect(book.edges[0].Target).toEqual(author.node);
+          expect(book.edges[0].Type).toEqual('Author');
+        });
+    });
+
+    test('should invalidate the nodes written through the context', () => {
+      var { Book } = models(Model.Context());
+      var book;
+      var node;
+      return Book.create({ data: 'Elantris' })
+        .then(result => {
+          book = result;
+          node = book.node;
+          return Book.get(node);
+        })
+        .then(() => book.set({ type: 'Pages', data: 496 }))
+        .then(() => Book.get(node))
+        .then(book => {
+          expect(book.properties).toEqual([{ Type: 'Pages', Data: 496 }]);
+          expect(queries.filter(query => query === node)).toHaveLength(2);
+        });
+    });
+
+    test('should read the nodes requested on the same tick in batches', () => {
+      var options = {
+        table,
+        maxGSIK: 4,
+        documentClient,
+        context: Model.Context()
+      };
+      var schema = { properties: { Pages: { type: 'number' } } };
+      var Book = node =>
+        Model(Object.assign({ type: 'Book', node, schema }, options));
+      var Author = node =>
+        Model(Object.assign({ type: 'Author', node }, options));
+      var books;
+      var authors;
+      return Promise.all([
+        Book().createMany(
+          range(5).map(n => ({
+            data: 'Book ' + n,
+            properties: [{ Type: 'Pages', Data: n }]
+          }))
+        ),
+        Author().createMany(range(3).map(n => ({ data: 'Author ' + n })))
+      ])
+        .then(results => {
+          books = results[0].map(result => result.node);
+          authors = results[1].map(result => result.node);
+          queries = [];
+          return Promise.all(books.map(node => Book(node).get()));
+        })
+        .then(results => {
+          expect(results.map(book => book.data)).toEqual(
+            range(5).map(n => 'Book ' + n)
+          );
+          expect(results[3].properties).toEqual([{ Type: 'Pages', Data: 3 }]);
+          expect(batchGets).toHaveLength(1);
+          expect(queries).toEqual([]);
+          return Promise.all(authors.map(node => Author(node).get()));
+        })
+        .then(results => {
+          expect(results.map(author => author.data)).toEqual(
+            range(3).map(n => 'Author ' + n)
+          );
+          expect(batchGets).toHaveLength(1);
+          expect(queries.sort()).toEqual(authors.slice().sort());
+        });
+    });
+
+    test('should not share the cache between contexts', () => {
+      var first = models(Model.Context());
+      var second = models(Model.Context());
+      var node;
+      return first.Book.create({ data: 'Elantris' })
+        .then(book => {
+          node = book.node;
+          return first.Book.get(node);
+        })
+        .then(() => second.Book.get(node))
+        .then(() => {
+          expect(queries.filter(query => query === node)).toHaveLength(2);
+        });
+    });
+  });
+
+  describe('#destroy()', () => {
+    test('should reject if node is undefined', () => {
+      return expect(
+        Model({ type, table, documentClient }).destroy()
+      ).rejects.toHaveProperty('message', 'Node is undefined');
+    });
+
+    var node = cuid();
+
+    var db = () => ({
+      deleteNode: params => Promise.resolve([{}, {}, {}])
+    });
+
+    var Test = Model({ type, table, db: db(), node });
+
+    test('should return a promise', () => {
+      expect(Test.destroy() instanceof Promise).toBe(true);
+    });
+
+    test('should destroy the node on the DynamoDB table', () => {
+      return Test.destroy().then(result => {
+        expect(result.type).toEqual(type);
+        expect(result.node).toEqual(undefined);
+        expect(result.properties).toEqual([]);
+        expect(result.edges).toEqual([]);
+        expect(result.history).toMatchObject([
+          {
+            operation: 'deleteNode',
+            action: 'destroy',
+            type,
+            node,
+            request: node,
+            response: [{}, {}, {}]
+          }
+        ]);
+      });
+    });
+
+    describe('cascade', () => {
+      var book = cuid();
+      var review = cuid();
+      var author = cuid();
+      var data = {
+        [book]: 'Elantris',
+        [review]: 'Great book',
+        [author]: 'Brandon'
+      };
+      var cascadeDb = () => ({
+        getNodeData: jest.fn(node =>
+          Promise.resolve({ Items: [{ Node: node, Data: data[node] }] })
+        ),
+        getNode: jest.fn(node =>
+          Promise.resolve({
+            Items: [{ Node: node, Type: 'Review', Data: data[node] }]
+          })
+        ),
+        getNodeProperties: jest.fn(() => Promise.resolve({ Items: [] })),
+        getNodeEdges: jest.fn(node =>
+          Promise.resolve({
+            Items:
+              node === book
+                ? [
+                    { Type: 'Review', Target: review },
+                    { Type: 'Author', Target: author }
+                  ]
+                : []
+          })
+        ),
+        deletePropertyOrEdge: jest.fn(() => Promise.resolve({})),
+        deleteNode: jest.fn(() => Promise.resolve({}))
+      });
+      var documentClient = () => ({
+        query: jest.fn(params => ({
+          promise: () =>
+            Promise.resolve({
+              Items:
+                params.ExpressionAttributeValues[':Data'] === '"Elantris"' &&
+                params.ExpressionAttributeValues[':GSIK'] === '0'
+                  ? [{ Node: author, Type: 'WroteBook', Target: book }]
+                  : []
+            })
+        }))
+      });
+
+      test('should reject if the document client is undefined', () => {
+        var Book = Model({ table, type: 'Book', node: book, db: cascadeDb() });
+        return expect(Book.destroy({ cascade: true })).rejects.toHaveProperty(
+          'message',
+          'Document client is undefined'
+        );
+      });
+
+      test('should delete the edges that point to the node', () => {
+        var _db = cascadeDb();
+        var _documentClient = documentClient();
+        var Book = Model({
+          table,
+          type: 'Book',
+          maxGSIK: 2,
+          db: _db,
+          documentClient: _documentClient
+        });
+        return Book.destroy(book, { cascade: true }).then(result => {
+          var queries = _documentClient.query.mock.calls.map(call => call[0]);
+          expect(queries.map(query => query.IndexName)).toEqual([
+            'ByData',
+            'ByData'
+          ]);
+          expect(queries[0].ExpressionAttributeValues).toEqual({
+            ':GSIK': '0',
+            ':Data': '"Elantris"',
+            ':Target': book
+          });
+          expect(_db.deletePropertyOrEdge.mock.calls).toEqual([
+            [{ node: author, type: 'WroteBook' }]
+          ]);
+          expect(_db.deleteNode.mock.calls).toEqual([[book]]);
+          expect(result.node).toEqual(undefined);
+          expect(
+            result.history.find(entry => entry.operation === 'cascade').response
+          ).toEqual({
+            Node: book,
+            Edges: [{ Node: author, Type: 'WroteBook' }],
+            Nodes: []
+          });
+        });
+      });
+
+      test('should query the partitions of a larger source maxGSIK', () => {
+        var _documentClient = documentClient();
+        var Book = Model({
+          table,
+          type: 'Book',
+          maxGSIK: 1,
+          db: cascadeDb(),
+          documentClient: _documentClient
+        });
+        return expect(
+          Book.destroy(book, { cascade: true, sourceMaxGSIK: null })
+        ).rejects
+          .toHaveProperty('message', 'Source max GSIK is not a number')
+          .then(() => Book.destroy(book, { cascade: true, sourceMaxGSIK: 3 }))
+          .then(() => {
+            expect(
+              _documentClient.query.mock.calls.map(
+                call => call[0].ExpressionAttributeValues[':GSIK']
+              )
+            ).toEqual(['0', '1', '2']);
+          });
+      });
+
+      test('should destroy the targets of edges declared with cascade', () => {
+        var _db = cascadeDb();
+        var _documentClient = documentClient();
+        var Book = Model({
+          table,
+          type: 'Book',
+          node: book,
+          maxGSIK: 1,
+          db: _db,
+          documentClient: _documentClient,
+          schema: {
+            edges: {
+              Review: { target: 'Review', cascade: true },
+              Author: { target: 'Author' }
+            }
+          }
+        });
+        return Book.destroy({ cascade: true }).then(result => {
+          var data = _documentClient.query.mock.calls.map(
+            call => call[0].ExpressionAttributeValues[':Data']
+          );
+          expect(data).toEqual(['"Elantris"', '"Great book"']);
+          expect(_db.getNodeProperties.mock.calls).toEqual([[review]]);
+          expect(_db.deleteNode.mock.calls).toEqual([[review], [book]]);
+          expect(
+            result.history.find(entry => entry.operation === 'cascade').response
+          ).toEqual({
+            Node: book,
+            Edges: [{ Node: author, Type: 'WroteBook' }],
+            Nodes: [review]
+          });
+        });
+      });
+    });
+  });
+
+  describe('#remove()|#disconnect()', () => {
+    var db = () => ({
+      deletePropertyOrEdge: () => Promise.resolve({})
+    });
+
+    var tenant = cuid();
+    var node = tenant + '#' + cuid();
+    var edge = 'edge';
+    var Test = Model({ tenant, node, table, type, db: db(), maxGSIK: 0 });
+
+    test('should return a promise', () => {
+      expect(Test.disconnect(edge) instanceof Promise).toBe(true);
+    });
+
+    test('should reject if node is undefined', () => {
+      var Test = Model({ tenant, table, type, db: db(), maxGSIK: 0 });
+      return expect(Test.disconnect(edge)).rejects.toHaveProperty(
+        'message',
+        'Node is undefined'
+      );
+    });
+
+    test('should reject if type is undefined', () => {
+      return expect(Test.disconnect()).rejects.toHaveProperty(
+        'message',
+        'Type is undefined'
+      );
+    });
+
+    test('should delete the given edge', () => {
+      var Test = Model({
+        tenant,
+        node,
+        table,
+        type,
+        db: db(),
+        maxGSIK: 0,
+        data: 'Data',
+        properties: [{ Type: 'Prop', Data: 1 }],
+        edges: [{ Type: edge, Target: cuid(), Data: 'Test' }]
+      });
+
+      return Test.disconnect(edge).then(result => {
+        expect(result.node).toEqual(node);
+        expect(result.data).toEqual('Data');
         expect(result.properties).toEqual([{ Type: 'Prop', Data: 1 }]);
         expect(result.edges).toEqual([]);
       });
     });
   });
+
+  describe('#schema', () => {
+    var schema = {
+      data: { type: 'string' },
+      properties: {
+        Published: { type: 'string', required: true },
+        Pages: { type: 'number', default: 0 }
+      },
+      edges: {
+        Author: { target: 'Author' }
+      }
+    };
+    var db = () => ({
+      createNode: jest.fn(),
+      createProperty: jest.fn(),
+      createEdge: jest.fn()
+    });
+
+    test('should reject invalid data on create before calling the db', () => {
+      var _db = db();
+      var Book = Model({ table, type: 'Book', maxGSIK: 0, db: _db, schema });
+      return Promise.all([
+        expect(
+          Book.create({
+            data: 'Elantris',
+            properties: [{ Type: 'PublishedBy', Data: 'Tor Books' }]
+          })
+        ).rejects.toHaveProperty(
+          'message',
+          'Property PublishedBy is not defined on the Book schema'
+        ),
+        expect(Book.create({ data: 'Elantris' })).rejects.toHaveProperty(
+          'message',
+          'Property Published is required on the Book schema'
+        ),
+        expect(
+          Book.create({
+            data: 'Elantris',
+            properties: [{ Type: 'Published', Data: '21/04/2005' }],
+            edges: [{ Type: 'Publisher', Target: cuid() }]
+          })
+        ).rejects.toHaveProperty(
+          'message',
+          'Edge Publisher is not defined on the Book schema'
+        )
+      ]).then(() => expect(_db.createNode).not.toHaveBeenCalled());
+    });
+
+    test('should add the default properties on create', () => {
+      var node = cuid();
+      var _db = {
+        createNode: () => Promise.resolve({ Item: { Node: node } }),
+        createProperties: jest.fn(() => Promise.resolve({}))
+      };
+      var Book = Model({ table, type: 'Book', maxGSIK: 0, db: _db, schema });
+      var properties = [{ Type: 'Published', Data: '21/04/2005' }];
+      return Book.create({ data: 'Elantris', properties }).then(result => {
+        expect(result.properties).toEqual([
+          { Type: 'Published', Data: '21/04/2005' },
+          { Type: 'Pages', Data: 0 }
+        ]);
+        expect(_db.createProperties.mock.calls[0][0].properties).toEqual(
+          result.properties
+        );
+      });
+    });
+
+    test('should reject invalid properties on set before calling the db', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: cuid(),
+        maxGSIK: 0,
+        db: _db,
+        schema
+      });
+      return expect(Book.set({ type: 'Pages', data: '100' }))
+        .rejects.toHaveProperty(
+          'message',
+          'Property Pages is not of type number'
+        )
+        .then(() => expect(_db.createProperty).not.toHaveBeenCalled());
+    });
+
+    test('should reject invalid edges on connect before calling the db', () => {
+      var _db = db();
+      var Book = Model({
+        table,
+        type: 'Book',
+        node: cuid(),
+        maxGSIK: 0,
+        db: _db,
+        schema
+      });
+      var Publisher = Model({
+        table,
+        type: 'Publisher',
+        node: cuid(),
+        maxGSIK: 0,
+        db: _db
+      });
+      return expect(Book.connect({ type: 'Author', target: Publisher }))
+        .rejects.toHaveProperty(
+          'message',
+          'Edge Author must target a Author node, not a Publisher node'
+        )
+        .then(() => expect(_db.createEdge).not.toHaveBeenCalled());
+    });
+  });
 });
@@ -0,0 +1,368 @@
+'use strict';
+
+var range = require('lodash/range');
+var MemoryDocumentClient = require('../lib/memory.js');
+
+var TableName = 'TestTable';
+
+describe('MemoryDocumentClient', () => {
+  function seed(documentClient) {
+    return Promise.all(
+      [
+        { Node: 'a', Type: 'Book', Data: '"Elantris"', GSIK: '0' },
+        { Node: 'a', Type: 'Pages', Data: '622', GSIK: '0' },
+        {
+          Node: 'a',
+          Type: 'Author',
+          Data: '"Brandon"',
+          Target: 'b',
+          GSIK: '0'
+        },
+        { Node: 'b', Type: 'Author', Data: '"Brandon"', GSIK: '1', MaxGSIK: 2 },
+        { Node: 'c', Type: 'Book', Data: '"Warbreaker"', GSIK: '0' }
+      ].map(Item => documentClient.put({ TableName, Item }).promise())
+    );
+  }
+
+  describe('#put()|#get()|#delete()', () => {
+    test('should write, read, and delete items', () => {
+      var documentClient = MemoryDocumentClient();
+      var Key = { Node: 'a', Type: 'Book' };
+      return seed(documentClient)
+        .then(() => documentClient.get({ TableName, Key }).promise())
+        .then(response => {
+          expect(response.Item).toEqual(
+            Object.assign({ Data: '"Elantris"', GSIK: '0' }, Key)
+          );
+          return documentClient.delete({ TableName, Key }).promise();
+        })
+        .then(() => documentClient.get({ TableName, Key }).promise())
+        .then(response => expect(response).toEqual({}));
+    });
+
+    test('should reject items without their key', () => {
+      return MemoryDocumentClient()
+        .put({ TableName, Item: { Node: 'a' } })
+        .promise()
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.code).toEqual('ValidationException');
+          expect(error.message).toEqual(
+            'One of the required keys was not given a value'
+          );
+        });
+    });
+
+    test('should check the condition expression', () => {
+      var documentClient = MemoryDocumentClient();
+      return seed(documentClient)
+        .then(() =>
+          documentClient
+            .put({
+              TableName,
+              Item: { Node: 'a', Type: 'Book' },
+              ConditionExpression: 'attribute_not_exists(#Node)',
+              ExpressionAttributeNames: { '#Node': 'Node' }
+            })
+            .promise()
+        )
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.code).toEqual('ConditionalCheckFailedException');
+        });
+    });
+  });
+
+  describe('#update()', () => {
+    test('should apply the update expression', () => {
+      var documentClient = MemoryDocumentClient();
+      return seed(documentClient)
+        .then(() =>
+          documentClient
+            .update({
+              TableName,
+              Key: { Node: 'a', Type: 'Book' },
+              UpdateExpression: 'SET #Version = :next',
+              ConditionExpression: 'attribute_not_exists(#Version)',
+              ExpressionAttributeNames: { '#Version': 'Version' },
+              ExpressionAttributeValues: { ':next': 1 },
+              ReturnValues: 'UPDATED_NEW'
+            })
+            .promise()
+        )
+        .then(response => {
+          expect(response).toEqual({ Attributes: { Version: 1 } });
+        });
+    });
+
+    test('should not update key attributes', () => {
+      return MemoryDocumentClient()
+        .update({
+          TableName,
+          Key: { Node: 'a', Type: 'Book' },
+          UpdateExpression: 'SET #Type = :type',
+          ExpressionAttributeNames: { '#Type': 'Type' },
+          ExpressionAttributeValues: { ':type': 'Author' }
+        })
+        .promise()
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.message).toEqual(
+            'Cannot update attribute, it is part of the key'
+          );
+        });
+    });
+  });
+
+  describe('#query()', () => {
+    var documentClient = MemoryDocumentClient();
+    var seeded = seed(documentClient);
+
+    function query(params) {
+      return seeded.then(() =>
+        documentClient
+          .query(Object.assign({ TableName }, params))
+          .promise()
+      );
+    }
+
+    test('should query the items of a node sorted by type', () => {
+      return query({
+        KeyConditionExpression: '#Node = :Node',
+        ExpressionAttributeNames: { '#Node': 'Node', '#Type': 'Type' },
+        ExpressionAttributeValues: { ':Node': 'a' },
+        ProjectionExpression: '#Type'
+      }).then(response => {
+        expect(response.Items).toEqual([
+          { Type: 'Author' },
+          { Type: 'Book' },
+          { Type: 'Pages' }
+        ]);
+      });
+    });
+
+    test('should query the ByType index with its projection', () => {
+      return query({
+        IndexName: 'ByType',
+        KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+        FilterExpression: '#Node <> :Node',
+        ExpressionAttributeNames: {
+          '#GSIK': 'GSIK',
+          '#Type': 'Type',
+          '#Node': 'Node'
+        },
+        ExpressionAttributeValues: {
+          ':GSIK': '1',
+          ':Type': 'Author',
+          ':Node': 'a'
+        }
+      }).then(response => {
+        expect(response.Items).toEqual([
+          { Node: 'b', Type: 'Author', Data: '"Brandon"', GSIK: '1' }
+        ]);
+      });
+    });
+
+    test('should query the ByData index with range conditions', () => {
+      return query({
+        IndexName: 'ByData',
+        KeyConditionExpression: '#GSIK = :GSIK AND begins_with(#Data, :Data)',
+        ExpressionAttributeNames: { '#GSIK': 'GSIK', '#Data': 'Data' },
+        ExpressionAttributeValues: { ':GSIK': '0', ':Data': '"' },
+        ScanIndexForward: false
+      }).then(response => {
+        expect(response.Items.map(item => item.Data)).toEqual([
+          '"Warbreaker"',
+          '"Elantris"',
+          '"Brandon"'
+        ]);
+      });
+    });
+
+    test('should page the results with Limit and ExclusiveStartKey', () => {
+      var params = {
+        IndexName: 'ByType',
+        KeyConditionExpression: '#GSIK = :GSIK',
+        FilterExpression: '#Type <> :Type',
+        ExpressionAttributeNames: { '#GSIK': 'GSIK', '#Type': 'Type' },
+        ExpressionAttributeValues: { ':GSIK': '0', ':Type': 'Pages' },
+        Limit: 2
+      };
+      return query(params)
+        .then(response => {
+          expect(response.Items.map(item => item.Type)).toEqual([
+            'Author',
+            'Book'
+          ]);
+          expect(response.LastEvaluatedKey).toEqual({
+            Node: 'a',
+            Type: 'Book',
+            GSIK: '0'
+          });
+          return query(
+            Object.assign({}, params, {
+              ExclusiveStartKey: response.LastEvaluatedKey
+            })
+          );
+        })
+        .then(response => {
+          expect(response.Items.map(item => item.Node)).toEqual(['c']);
+          expect(response.ScannedCount).toEqual(2);
+          expect(response.LastEvaluatedKey).toEqual(undefined);
+        });
+    });
+
+    test('should reject unknown indexes and invalid key conditions', () => {
+      var requests = [
+        query({ IndexName: 'ByTarget', KeyConditionExpression: 'Target = :a' }),
+        query({
+          KeyConditionExpression: '#Type = :Type',
+          ExpressionAttributeNames: { '#Type': 'Type' },
+          ExpressionAttributeValues: { ':Type': 'Book' }
+        })
+      ];
+      return Promise.all(
+        requests.map(promise => promise.catch(error => error.message))
+      ).then(messages => {
+        expect(messages).toEqual([
+          'The table does not have the specified index: ByTarget',
+          'Query key condition not supported'
+        ]);
+      });
+    });
+  });
+
+  describe('#batchWrite()|#batchGet()', () => {
+    test('should write and read many items', () => {
+      var documentClient = MemoryDocumentClient();
+      var keys = range(0, 3).map(i => ({ Node: 'node' + i, Type: 'Test' }));
+      return documentClient
+        .batchWrite({
+          RequestItems: {
+            [TableName]: keys.map(Item => ({ PutRequest: { Item } }))
+          }
+        })
+        .promise()
+        .then(response => {
+          expect(response.UnprocessedItems).toEqual({});
+          return documentClient
+            .batchWrite({
+              RequestItems: {
+                [TableName]: [{ DeleteRequest: { Key: keys[1] } }]
+              }
+            })
+            .promise();
+        })
+        .then(() =>
+          documentClient
+            .batchGet({ RequestItems: { [TableName]: { Keys: keys } } })
+            .promise()
+        )
+        .then(response => {
+          expect(response.Responses[TableName]).toEqual([keys[0], keys[2]]);
+          expect(documentClient.dump(TableName)).toEqual([keys[0], keys[2]]);
+        });
+    });
+
+    test('should reject batches over the DynamoDB limits', () => {
+      var documentClient = MemoryDocumentClient();
+      var keys = range(0, 101).map(i => ({ Node: 'node' + i, Type: 'Test' }));
+      var requests = [
+        documentClient
+          .batchWrite({
+            RequestItems: {
+              [TableName]: keys
+                .slice(0, 26)
+                .map(Item => ({ PutRequest: { Item } }))
+            }
+          })
+          .promise(),
+        documentClient
+          .batchGet({ RequestItems: { [TableName]: { Keys: keys } } })
+          .promise()
+      ];
+      return Promise.all(
+        requests.map(promise => promise.catch(error => error.message))
+      ).then(messages => {
+        expect(messages).toEqual([
+          'Too many items requested for the BatchWriteItem call',
+          'Too many items requested for the BatchGetItem call'
+        ]);
+      });
+    });
+  });
+
+  describe('#transactWrite()', () => {
+    var Key = { Node: 'a', Type: 'Book' };
+    var bump = {
+      Update: {
+        TableName,
+        Key,
+        UpdateExpression: 'SET #Version = :next',
+        ConditionExpression: 'attribute_not_exists(#Version)',
+        ExpressionAttributeNames: { '#Version': 'Version' },
+        ExpressionAttributeValues: { ':next': 1 }
+      }
+    };
+    var put = {
+      Put: { TableName, Item: { Node: 'a', Type: 'Publisher', Data: '"Tor"' } }
+    };
+
+    test('should run every action', () => {
+      var documentClient = MemoryDocumentClient();
+      return seed(documentClient)
+        .then(() =>
+          documentClient
+            .transactWrite({
+              TransactItems: [
+                bump,
+                put,
+                { Delete: { TableName, Key: { Node: 'c', Type: 'Book' } } }
+              ]
+            })
+            .promise()
+        )
+        .then(() => {
+          var items = documentClient.dump(TableName);
+          expect(items.find(item => item.Type === 'Book').Version).toEqual(1);
+          expect(items.map(item => item.Type)).toContain('Publisher');
+          expect(items.map(item => item.Node)).not.toContain('c');
+        });
+    });
+
+    test('should write nothing if a condition fails', () => {
+      var documentClient = MemoryDocumentClient();
+      return seed(documentClient)
+        .then(() =>
+          documentClient.transactWrite({ TransactItems: [bump] }).promise()
+        )
+        .then(() =>
+          documentClient
+            .transactWrite({ TransactItems: [bump, put] })
+            .promise()
+        )
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.code).toEqual('TransactionCanceledException');
+          expect(error.message).toMatch('[ConditionalCheckFailed, None]');
+          expect(error.CancellationReasons).toEqual([
+            { Code: 'ConditionalCheckFailed' },
+            { Code: 'None' }
+          ]);
+          expect(
+            documentClient.dump(TableName).map(item => item.Type)
+          ).not.toContain('Publisher');
+        });
+    });
+
+    test('should reject many actions on the same item', () => {
+      return MemoryDocumentClient()
+        .transactWrite({ TransactItems: [bump, { Delete: { TableName, Key } }] })
+        .promise()
+        .then(() => expect(true).toBe(false))
+        .catch(error => {
+          expect(error.code).toEqual('ValidationException');
+        });
+    });
+  });
+});
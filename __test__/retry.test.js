@@ -0,0 +1,87 @@
+'use strict';
+
+var Retry = require('../lib/retry.js');
+
+describe('Retry', () => {
+  test('should throw an error if max attempts is not a positive integer', () => {
+    expect(() => Retry({ maxAttempts: 0 })).toThrow(
+      'Max attempts is not a positive integer'
+    );
+    expect(() => Retry({ maxAttempts: 1.5 })).toThrow(
+      'Max attempts is not a positive integer'
+    );
+  });
+
+  test('should throw an error if the delays are not positive numbers', () => {
+    expect(() => Retry({ baseDelay: -1 })).toThrow(
+      'Base delay is not a positive number'
+    );
+    expect(() => Retry({ maxDelay: '1' })).toThrow(
+      'Max delay is not a positive number'
+    );
+  });
+
+  test('should throw an error if retryable is not an array or a function', () => {
+    expect(() => Retry({ retryable: 'ThrottlingException' })).toThrow(
+      'Retryable is not an array or a function'
+    );
+  });
+
+  describe('#shouldRetry()', () => {
+    var throttled = Object.assign(new Error('Throttled'), {
+      code: 'ProvisionedThroughputExceededException'
+    });
+
+    test('should retry the throttling errors until the max attempts', () => {
+      var retry = Retry({ maxAttempts: 3 });
+      expect(retry.shouldRetry(throttled, 1)).toBe(true);
+      expect(retry.shouldRetry(throttled, 2)).toBe(true);
+      expect(retry.shouldRetry(throttled, 3)).toBe(false);
+    });
+
+    test('should not retry other errors', () => {
+      var error = Object.assign(new Error('Failed'), {
+        code: 'ConditionalCheckFailedException'
+      });
+      expect(Retry().shouldRetry(error, 1)).toBe(false);
+      expect(Retry().shouldRetry(new Error('Failed'), 1)).toBe(false);
+    });
+
+    test('should match the error codes or names on the retryable list', () => {
+      class TimeoutError extends Error {
+        constructor() {
+          super('Timeout');
+          this.name = 'TimeoutError';
+        }
+      }
+      var retry = Retry({ retryable: ['TimeoutError'] });
+      expect(retry.shouldRetry(new TimeoutError(), 1)).toBe(true);
+      expect(retry.shouldRetry(throttled, 1)).toBe(false);
+    });
+
+    test('should accept a function to check the errors', () => {
+      var retry = Retry({ retryable: error => error.message === 'Timeout' });
+      expect(retry.shouldRetry(new Error('Timeout'), 1)).toBe(true);
+      expect(retry.shouldRetry(throttled, 1)).toBe(false);
+    });
+  });
+
+  describe('#delay()', () => {
+    var random = Math.random;
+
+    afterEach(() => {
+      Math.random = random;
+    });
+
+    test('should grow exponentially up to the max delay', () => {
+      Math.random = () => 0.999999;
+      var retry = Retry({ baseDelay: 100, maxDelay: 500 });
+      expect([1, 2, 3, 4].map(retry.delay)).toEqual([99, 199, 399, 499]);
+    });
+
+    test('should add a random jitter', () => {
+      Math.random = () => 0.5;
+      expect(Retry({ baseDelay: 100 }).delay(2)).toEqual(100);
+    });
+  });
+});
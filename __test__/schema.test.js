@@ -0,0 +1,191 @@
+'use strict';
+
+var Schema = require('../lib/schema.js');
+
+var type = 'Book';
+
+describe('Schema', () => {
+  var schema = Schema(
+    {
+      data: { type: 'string' },
+      properties: {
+        Published: { type: 'string', required: true },
+        Pages: { type: 'number', default: 0 },
+        Isbn: { type: value => /^\d{13}$/.test(value) }
+      },
+      edges: {
+        Author: { target: 'Author' },
+        Review: { target: 'Review', cascade: true },
+        Related: {},
+        Publisher: { crossTenant: true }
+      }
+    },
+    type
+  );
+
+  test('should throw an error if the definition is not an object', () => {
+    expect(() => Schema('schema', type)).toThrow('Schema is not an object');
+  });
+
+  test('should throw an error if a value type is not valid', () => {
+    expect(() =>
+      Schema({ properties: { Published: { type: 'date' } } }, type)
+    ).toThrow('Property Published type date is not valid');
+  });
+
+  describe('#validateData()', () => {
+    test('should throw an error if the data type does not match', () => {
+      expect(() => schema.validateData(1)).toThrow(
+        'Book data is not of type string'
+      );
+    });
+
+    test('should not throw if the data is valid', () => {
+      expect(() => schema.validateData('Elantris')).not.toThrow();
+    });
+  });
+
+  describe('#validateProperty()', () => {
+    test('should throw an error if the property is not defined', () => {
+      expect(() => schema.validateProperty('PublishedBy', 'Tor')).toThrow(
+        'Property PublishedBy is not defined on the Book schema'
+      );
+    });
+
+    test('should throw an error if the property type does not match', () => {
+      expect(() => schema.validateProperty('Pages', '100')).toThrow(
+        'Property Pages is not of type number'
+      );
+    });
+
+    test('should use custom validation functions', () => {
+      expect(() => schema.validateProperty('Isbn', '123')).toThrow(
+        'Property Isbn is not valid'
+      );
+      expect(() =>
+        schema.validateProperty('Isbn', '9780765350374')
+      ).not.toThrow();
+    });
+  });
+
+  describe('#validateProperties()', () => {
+    test('should throw an error if a required property is missing', () => {
+      expect(() =>
+        schema.validateProperties([{ Type: 'Pages', Data: 1 }])
+      ).toThrow('Property Published is required on the Book schema');
+    });
+  });
+
+  describe('#applyDefaults()', () => {
+    test('should add the default value of the missing properties', () => {
+      expect(
+        schema.applyDefaults([{ Type: 'Published', Data: '21/04/2005' }])
+      ).toEqual([
+        { Type: 'Published', Data: '21/04/2005' },
+        { Type: 'Pages', Data: 0 }
+      ]);
+    });
+
+    test('should not override existing properties', () => {
+      expect(schema.applyDefaults([{ Type: 'Pages', Data: 10 }])).toEqual([
+        { Type: 'Pages', Data: 10 }
+      ]);
+    });
+  });
+
+  describe('#validateEdge()', () => {
+    test('should throw an error if the edge is not defined', () => {
+      expect(() => schema.validateEdge('PublishedBy', 'node')).toThrow(
+        'Edge PublishedBy is not defined on the Book schema'
+      );
+    });
+
+    test('should throw an error if the target type does not match', () => {
+      expect(() =>
+        schema.validateEdge('Author', { node: 'node', type: 'Publisher' })
+      ).toThrow('Edge Author must target a Author node, not a Publisher node');
+    });
+
+    test('should accept node ids as targets', () => {
+      expect(() => schema.validateEdge('Author', 'node')).not.toThrow();
+    });
+  });
+
+  describe('#targetOf()', () => {
+    test('should return the declared target type', () => {
+      expect(schema.targetOf('Author')).toEqual('Author');
+      expect(schema.targetOf('Related')).toEqual(undefined);
+      expect(schema.targetOf('PublishedBy')).toEqual(undefined);
+    });
+  });
+
+  describe('#itemTypes()', () => {
+    test('should return the declared property and edge types', () => {
+      expect(schema.itemTypes()).toEqual([
+        'Published',
+        'Pages',
+        'Isbn',
+        'Author',
+        'Review',
+        'Related',
+        'Publisher'
+      ]);
+    });
+  });
+
+  describe('#cascades()', () => {
+    test('should return true only for edges declared with cascade', () => {
+      expect(schema.cascades('Review')).toBe(true);
+      expect(schema.cascades('Author')).toBe(false);
+      expect(schema.cascades('PublishedBy')).toBe(false);
+    });
+  });
+
+  describe('#allowsCrossTenant()', () => {
+    test('should return true only for edges declared with crossTenant', () => {
+      expect(schema.allowsCrossTenant('Publisher')).toBe(true);
+      expect(schema.allowsCrossTenant('Author')).toBe(false);
+      expect(schema.allowsCrossTenant('PublishedBy')).toBe(false);
+    });
+  });
+
+  describe('#codecOf()', () => {
+    var codec = { encode: value => value, decode: value => value };
+    var schema = Schema(
+      {
+        data: { type: 'object', codec: 'date' },
+        properties: { Pages: { codec: 'number' }, Isbn: { codec } }
+      },
+      type
+    );
+
+    test('should throw an error if a codec is not valid', () => {
+      expect(() =>
+        Schema({ properties: { Pages: { codec: 'integer' } } }, type)
+      ).toThrow('Codec integer is not supported');
+    });
+
+    test('should return the codec of the properties or the data', () => {
+      expect(schema.codecOf('Pages').encode(1)).toEqual('bff0000000000000');
+      expect(schema.codecOf('Isbn')).toBe(codec);
+      expect(schema.codecOf(type).decode('2018-01-01')).toEqual(
+        new Date('2018-01-01')
+      );
+      expect(schema.codecOf('Published')).toEqual(undefined);
+    });
+  });
+
+  describe('#isUnique()|#uniques()', () => {
+    var schema = Schema(
+      { properties: { Email: { unique: true }, Name: {} } },
+      'User'
+    );
+
+    test('should return the properties declared with unique', () => {
+      expect(schema.isUnique('Email')).toBe(true);
+      expect(schema.isUnique('Name')).toBe(false);
+      expect(schema.isUnique('Phone')).toBe(false);
+      expect(schema.uniques()).toEqual(['Email']);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+var MemoryDocumentClient = require('../lib/memory.js');
+var transfer = require('../lib/transfer.js');
+var utils = require('../lib/utils.js');
+
+var table = 'TestTable';
+
+describe('transfer', () => {
+  describe('#exportGraph()', () => {
+    var maxGSIK = 2;
+    var documentClient = MemoryDocumentClient();
+    var node = (id, type, data) => ({
+      Node: id,
+      Type: type,
+      Data: JSON.stringify(data),
+      Target: id,
+      GSIK: utils.calculateGSIK({ node: id, maxGSIK }),
+      MaxGSIK: maxGSIK
+    });
+
+    beforeAll(() =>
+      Promise.all(
+        [
+          node('book', 'Book', 'Elantris'),
+          node('author', 'Author', 'Brandon Sanderson'),
+          node('review', 'Review', 'Great book'),
+          node('deleted', 'Book', 'Warbreaker'),
+          { Node: 'book', Type: 'Pages', Data: '496', GSIK: '0' },
+          { Node: 'book', Type: 'CreatedAt', Data: '1', GSIK: '0' },
+          { Node: 'deleted', Type: 'DeletedAt', Data: '2', GSIK: '0' },
+          {
+            Node: 'author',
+            Type: 'Rank',
+            Data: '"bff0000000000000"',
+            GSIK: '0'
+          },
+          {
+            Node: 'book',
+            Type: 'Author',
+            Data: '"Brandon Sanderson"',
+            Target: 'author',
+            GSIK: '0',
+            MetaData: { role: 'Writer' }
+          }
+        ].map(Item => documentClient.put({ TableName: table, Item }).promise())
+      )
+    );
+
+    test('should throw an error if types is not an array', () => {
+      expect(() =>
+        transfer.exportGraph({ documentClient, table, maxGSIK })
+      ).toThrow('Types is not an array');
+    });
+
+    test('should throw an error if the format is not supported', () => {
+      expect(() =>
+        transfer.exportGraph({
+          documentClient,
+          table,
+          maxGSIK,
+          types: ['Book'],
+          format: 'xml'
+        })
+      ).toThrow('Format xml is not supported');
+    });
+
+    test('should export the live nodes of the types with its properties and edges', () => {
+      return transfer
+        .exportGraph({
+          documentClient,
+          table,
+          maxGSIK,
+          types: ['Book', 'Author']
+        })
+        .then(result => {
+          expect(result.nodes).toEqual(2);
+          expect(result.edges).toEqual(1);
+          expect(
+            result.output
+              .trim()
+              .split('\n')
+              .map(line => JSON.parse(line))
+          ).toEqual([
+            {
+              kind: 'node',
+              node: 'book',
+              type: 'Book',
+              data: 'Elantris',
+              properties: [{ Type: 'Pages', Data: 496 }]
+            },
+            {
+              kind: 'edge',
+              node: 'book',
+              type: 'Author',
+              target: 'author',
+              meta: { role: 'Writer' }
+            },
+            {
+              kind: 'node',
+              node: 'author',
+              type: 'Author',
+              data: 'Brandon Sanderson',
+              properties: [{ Type: 'Rank', Data: 'bff0000000000000' }]
+            }
+          ]);
+        });
+    });
+
+    test('should decode the values with the schema of their node type', () => {
+      return transfer
+        .exportGraph({
+          documentClient,
+          table,
+          maxGSIK,
+          types: ['Author'],
+          format: 'json',
+          schemas: {
+            Author: {
+              data: { codec: { encode: v => v, decode: v => v.toUpperCase() } },
+              properties: { Rank: { codec: 'number' } }
+            },
+            Book: { properties: { Rank: { codec: 'boolean' } } }
+          }
+        })
+        .then(result => {
+          var [record] = JSON.parse(result.output);
+          expect(record.data).toEqual('BRANDON SANDERSON');
+          expect(record.properties).toEqual([{ Type: 'Rank', Data: 1 }]);
+        });
+    });
+
+    test('should throw an error if a schema is not valid', () => {
+      expect(() =>
+        transfer.exportGraph({
+          documentClient,
+          table,
+          maxGSIK,
+          types: ['Author'],
+          schemas: { Author: 'schema' }
+        })
+      ).toThrow('Schema is not an object');
+    });
+
+    test('should send each chunk to the write function', () => {
+      var chunks = [];
+      return transfer
+        .exportGraph({
+          documentClient,
+          table,
+          maxGSIK,
+          types: ['Author'],
+          format: 'json',
+          write: chunk =>
+            new Promise(resolve =>
+              setTimeout(() => resolve(chunks.push(chunk)))
+            )
+        })
+        .then(result => {
+          expect(result).toEqual({ nodes: 1, edges: 0 });
+          expect(chunks.length).toEqual(3);
+          expect(JSON.parse(chunks.join(''))[0].node).toEqual('author');
+        });
+    });
+  });
+
+  describe('#importGraph()', () => {
+    var records = [
+      { kind: 'node', node: 'book', type: 'Book', data: 'Elantris' },
+      { kind: 'node', node: 'author', type: 'Author', data: 'Brandon' },
+      { kind: 'node', node: 'broken', type: 'Book', data: 'Broken' },
+      { kind: 'edge', node: 'book', type: 'Author', target: 'author' },
+      { kind: 'edge', node: 'book', type: 'Series', target: 'outside' },
+      { kind: 'edge', node: 'broken', type: 'Author', target: 'author' }
+    ];
+    var connect = jest.fn(() => Promise.resolve({}));
+    var Model = jest.fn(options => ({
+      create: config =>
+        config.data === 'Broken'
+          ? Promise.reject(new Error('Create failed'))
+          : Promise.resolve({ node: 'new-' + config.data }),
+      connect
+    }));
+
+    test('should throw an error if data is undefined', () => {
+      expect(() => transfer.importGraph(Model, {})).toThrow(
+        'Data is undefined'
+      );
+    });
+
+    test('should create the nodes, and then connect them with the new ids', () => {
+      var progress = [];
+      return transfer
+        .importGraph(Model, {
+          data: records,
+          table,
+          tenant: 'copy',
+          concurrency: 1,
+          onProgress: value => progress.push(value)
+        })
+        .then(result => {
+          expect(result.nodes).toEqual({
+            book: 'new-Elantris',
+            author: 'new-Brandon'
+          });
+          expect(result.edges).toEqual(2);
+          expect(result.errors.map(entry => entry.record.node)).toEqual([
+            'broken',
+            'broken'
+          ]);
+          expect(Model.mock.calls[0][0]).toEqual({
+            table,
+            tenant: 'copy',
+            type: 'Book'
+          });
+          expect(
+            Model.mock.calls
+              .filter(call => call[0].node !== undefined)
+              .map(call => [call[0].type, call[0].node])
+          ).toEqual([['Book', 'new-Elantris'], ['Book', 'new-Elantris']]);
+          expect(connect.mock.calls).toEqual([
+            [{ target: 'new-Brandon', type: 'Author' }],
+            [{ target: 'outside', type: 'Series' }]
+          ]);
+          expect(progress[2]).toEqual({
+            phase: 'nodes',
+            done: 3,
+            total: 6,
+            errors: 1
+          });
+          expect(progress[5]).toEqual({
+            phase: 'edges',
+            done: 6,
+            total: 6,
+            errors: 2
+          });
+        });
+    });
+
+    test('should keep importing after a record that throws on create', () => {
+      var Throwing = () => ({
+        create: config => {
+          if (config.data === 'Broken') throw new Error('Data is not valid');
+          return Promise.resolve({ node: 'new-' + config.data });
+        },
+        connect
+      });
+      return transfer
+        .importGraph(Throwing, { data: records.slice(0, 3), table })
+        .then(result => {
+          expect(result.nodes).toEqual({
+            book: 'new-Elantris',
+            author: 'new-Brandon'
+          });
+          expect(result.errors).toEqual([
+            { record: records[2], error: new Error('Data is not valid') }
+          ]);
+        });
+    });
+
+    test('should use the schema of each node type on its models', () => {
+      var schemas = { Book: { properties: { Pages: { codec: 'number' } } } };
+      Model.mockClear();
+      return transfer
+        .importGraph(Model, {
+          data: records,
+          table,
+          schema: { data: { type: 'string' } },
+          schemas
+        })
+        .then(() => {
+          var options = Model.mock.calls.reduce((acc, call) => {
+            acc[call[0].type] = call[0];
+            return acc;
+          }, {});
+          expect(options.Book.schema).toBe(schemas.Book);
+          expect(options.Author.schema).toEqual({ data: { type: 'string' } });
+          expect(options.Book.schemas).toBeUndefined();
+        });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+var Traversal = require('../lib/traversal.js');
+
+describe('Traversal', () => {
+  var graph = {
+    book: [
+      { Type: 'Author', Target: 'author1', Data: 'Brandon Sanderson' },
+      { Type: 'Author', Target: 'author2', Data: 'Robert Jordan' },
+      { Type: 'Publisher', Target: 'publisher1', Data: 'Tor Books' }
+    ],
+    author1: [
+      { Type: 'WroteBook', Target: 'book', Data: 'Elantris' },
+      { Type: 'Publisher', Target: 'publisher1', Data: 'Tor Books' }
+    ],
+    author2: [
+      { Type: 'Publisher', Target: 'publisher1', Data: 'Tor Books' },
+      { Type: 'Publisher', Target: 'publisher2', Data: 'Orbit' }
+    ],
+    publisher1: [],
+    publisher2: []
+  };
+  var db = {
+    getNodeEdges: jest.fn(node => Promise.resolve({ Items: graph[node] }))
+  };
+  var toModel = node => Promise.resolve({ node });
+  var traversal = Traversal({ db, start: ['book'], toModel });
+
+  test('should throw an error if the start nodes are undefined', () => {
+    expect(() => Traversal({ db, toModel })).toThrow('Start is undefined');
+  });
+
+  test('should throw an error if the filter is not a function', () => {
+    expect(() => traversal.out('Author', 'filter')).toThrow(
+      'Filter is not a function'
+    );
+  });
+
+  test('should throw an error if the max depth is exceeded', () => {
+    var traversal = Traversal({ db, start: ['book'], toModel, maxDepth: 1 });
+    expect(() => traversal.out('Author').out('Publisher')).toThrow(
+      'Max depth exceeded'
+    );
+  });
+
+  test('should not modify the original traversal', () => {
+    var next = traversal.out('Author');
+    expect(traversal.depth).toEqual(0);
+    expect(next.depth).toEqual(1);
+  });
+
+  test('should follow the edges of the given type', () => {
+    return traversal
+      .out('Author')
+      .toNodes()
+      .then(nodes => {
+        expect(nodes).toEqual(['author1', 'author2']);
+      });
+  });
+
+  test('should not visit the same node twice', () => {
+    return traversal
+      .out('Author')
+      .out()
+      .toNodes()
+      .then(nodes => {
+        expect(nodes).toEqual(['publisher1', 'publisher2']);
+      });
+  });
+
+  test('should filter the edges on each hop', () => {
+    return traversal
+      .out('Author', edge => edge.Data === 'Robert Jordan')
+      .out('Publisher', edge => Promise.resolve(edge.Data === 'Orbit'))
+      .toNodes()
+      .then(nodes => {
+        expect(nodes).toEqual(['publisher2']);
+      });
+  });
+
+  test('should return the models of the reached nodes', () => {
+    return traversal
+      .out('Publisher')
+      .toModels()
+      .then(models => {
+        expect(models).toEqual([{ node: 'publisher1' }]);
+      });
+  });
+});
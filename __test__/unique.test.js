@@ -0,0 +1,103 @@
+'use strict';
+
+var MemoryDocumentClient = require('../lib/memory.js');
+var errors = require('../lib/errors.js');
+var unique = require('../lib/unique.js');
+
+var table = 'TestTable';
+
+describe('unique', () => {
+  var documentClient;
+  var value = { table, tenant: 'a', type: 'User', property: 'Email' };
+
+  beforeEach(() => {
+    documentClient = MemoryDocumentClient();
+    value = Object.assign({}, value, { documentClient, value: 'a@b.c' });
+  });
+
+  describe('#keyOf()', () => {
+    test('should return a key per tenant, type, property and value', () => {
+      expect(unique.keyOf(value)).toEqual({
+        Node: 'a#Unique#User#Email#"a@b.c"',
+        Type: 'Unique'
+      });
+      expect(unique.keyOf(Object.assign({}, value, { tenant: '' })).Node).toBe(
+        'Unique#User#Email#"a@b.c"'
+      );
+    });
+  });
+
+  describe('#reserve()', () => {
+    test('should write a sentinel item owned by the node', () => {
+      return unique
+        .reserve(Object.assign({ node: 'a#1' }, value))
+        .then(() => {
+          expect(documentClient.dump(table)).toEqual([
+            Object.assign({ Owner: 'a#1' }, unique.keyOf(value))
+          ]);
+        });
+    });
+
+    test('should succeed if the node already owns the value', () => {
+      var config = Object.assign({ node: 'a#1' }, value);
+      return unique
+        .reserve(config)
+        .then(() => unique.reserve(config))
+        .then(() => expect(documentClient.dump(table).length).toEqual(1));
+    });
+
+    test('should reject with the node that owns the value', () => {
+      return unique
+        .reserve(Object.assign({ node: 'a#1' }, value))
+        .then(() => unique.reserve(Object.assign({ node: 'a#2' }, value)))
+        .then(
+          () => {
+            throw new Error('Should have failed');
+          },
+          error => {
+            expect(error instanceof errors.UniqueConstraintError).toBe(true);
+            expect(error.node).toEqual('a#1');
+            expect(error.property).toEqual('Email');
+            expect(error.value).toEqual('a@b.c');
+            expect(error.message).toEqual(
+              'Property Email value "a@b.c" is already used by node a#1'
+            );
+          }
+        );
+    });
+  });
+
+  describe('#release()', () => {
+    test('should delete the sentinel item only if the node owns it', () => {
+      return unique
+        .reserve(Object.assign({ node: 'a#1' }, value))
+        .then(() => unique.release(Object.assign({ node: 'a#2' }, value)))
+        .then(() => expect(documentClient.dump(table).length).toEqual(1))
+        .then(() => unique.release(Object.assign({ node: 'a#1' }, value)))
+        .then(() => expect(documentClient.dump(table)).toEqual([]));
+    });
+  });
+
+  describe('#expire()', () => {
+    var expire = (node, expiresAt) =>
+      Object.assign({ node, attribute: 'ExpiresAt', expiresAt }, value);
+
+    test('should set the expiration only if the node owns the value', () => {
+      var expiresAt = () => documentClient.dump(table)[0].ExpiresAt;
+      return unique
+        .reserve(Object.assign({ node: 'a#1' }, value))
+        .then(() => unique.expire(expire('a#2', 5)))
+        .then(() => expect(expiresAt()).toEqual(undefined))
+        .then(() => unique.expire(expire('a#1', 5)))
+        .then(() => expect(expiresAt()).toEqual(5))
+        .then(() => unique.expire(expire('a#1')))
+        .then(() => expect(expiresAt()).toEqual(undefined));
+    });
+
+    test('should not write a sentinel that does not exist', () => {
+      return unique
+        .expire(expire('a#1', 5))
+        .then(() => expect(documentClient.dump(table)).toEqual([]));
+    });
+  });
+});
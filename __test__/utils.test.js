@@ -0,0 +1,214 @@
+'use strict';
+
+var utils = require('../lib/utils.js');
+
+describe('utils', () => {
+  describe('#listGSIK()', () => {
+    test('should throw an error if maxGSIK is undefined', () => {
+      expect(() => utils.listGSIK({ tenant: 'a' })).toThrow(
+        'Max GSIK is undefined'
+      );
+    });
+
+    test('should return a single partition if maxGSIK is smaller than 2', () => {
+      expect(utils.listGSIK({ tenant: 'a', maxGSIK: 0 })).toEqual(['a#0']);
+      expect(utils.listGSIK({ tenant: 'a', maxGSIK: 1 })).toEqual(['a#0']);
+    });
+
+    test('should return all the tenant partitions', () => {
+      expect(utils.listGSIK({ tenant: 'a', maxGSIK: 3 })).toEqual([
+        'a#0',
+        'a#1',
+        'a#2'
+      ]);
+      expect(utils.listGSIK({ maxGSIK: 2 })).toEqual(['0', '1']);
+    });
+  });
+
+  describe('#encodeCursor()|#decodeCursor()', () => {
+    test('should return an empty state if the cursor is undefined', () => {
+      expect(utils.decodeCursor()).toEqual({});
+      expect(utils.decodeCursor(null)).toEqual({});
+    });
+
+    test('should decode an encoded state', () => {
+      var state = { 0: null, 1: { Node: 'a', Type: 'b', GSIK: 'c#1' } };
+      var cursor = utils.encodeCursor(state);
+      expect(typeof cursor).toEqual('string');
+      expect(utils.decodeCursor(cursor)).toEqual(state);
+    });
+
+    test('should throw an error if the cursor is not valid', () => {
+      expect(() => utils.decodeCursor('not a cursor')).toThrow(
+        'Cursor is not valid'
+      );
+    });
+  });
+
+  describe('#parseData()', () => {
+    test('should parse JSON strings', () => {
+      expect(utils.parseData('"Example"')).toEqual('Example');
+      expect(utils.parseData('1')).toEqual(1);
+    });
+
+    test('should return the original value if it is not JSON', () => {
+      expect(utils.parseData('Example')).toEqual('Example');
+      expect(utils.parseData(1)).toEqual(1);
+    });
+  });
+
+  describe('#parseCondition()', () => {
+    test('should throw an error if the operator is undefined', () => {
+      expect(() => utils.parseCondition({})).toThrow('Operator is undefined');
+    });
+
+    test('should throw an error if more than one operator is used', () => {
+      expect(() => utils.parseCondition({ lt: 1, gt: 0 })).toThrow(
+        'Only one operator can be used'
+      );
+    });
+
+    test('should encode the values as they are stored', () => {
+      expect(utils.parseCondition({ equals: 'Tor Books' })).toEqual({
+        expression: '#Data = :a',
+        values: { ':a': '"Tor Books"' }
+      });
+      expect(utils.parseCondition({ gte: 1 })).toEqual({
+        expression: '#Data >= :a',
+        values: { ':a': '1' }
+      });
+    });
+
+    test('should remove the closing quote on begins with conditions', () => {
+      expect(utils.parseCondition({ beginsWith: 'Tor' })).toEqual({
+        expression: 'begins_with(#Data, :a)',
+        values: { ':a': '"Tor' }
+      });
+      expect(() => utils.parseCondition({ beginsWith: 1 })).toThrow(
+        'Begins with value is not a string'
+      );
+    });
+
+    test('should use two values on between conditions', () => {
+      expect(utils.parseCondition({ between: ['a', 'c'] })).toEqual({
+        expression: '#Data BETWEEN :a AND :b',
+        values: { ':a': '"a"', ':b': '"c"' }
+      });
+      expect(() => utils.parseCondition({ between: ['a'] })).toThrow(
+        'Between value is not a list of two values'
+      );
+    });
+  });
+
+  describe('#calculateGSIK()', () => {
+    test('should return the first partition if maxGSIK is smaller than 2', () => {
+      expect(
+        utils.calculateGSIK({ tenant: 'a', node: 'a#b', maxGSIK: 1 })
+      ).toEqual('a#0');
+    });
+
+    test('should return one of the tenant partitions', () => {
+      var gsik = utils.calculateGSIK({ tenant: 'a', node: 'a#b', maxGSIK: 4 });
+      expect(utils.listGSIK({ tenant: 'a', maxGSIK: 4 })).toContain(gsik);
+    });
+  });
+
+  describe('#createNodeId()', () => {
+    test('should prepend the tenant', () => {
+      expect(utils.createNodeId('a').indexOf('a#')).toEqual(0);
+      expect(utils.createNodeId().indexOf('#')).toEqual(-1);
+    });
+  });
+
+  describe('#tenantOf()', () => {
+    test('should return the tenant of a node identifier', () => {
+      expect(utils.tenantOf(utils.createNodeId('a'))).toEqual('a');
+      expect(utils.tenantOf('a#b#c')).toEqual('a#b');
+      expect(utils.tenantOf(utils.createNodeId())).toEqual('');
+    });
+  });
+
+  describe('#cancellationReasons()', () => {
+    function canceled(message, reasons) {
+      var error = new Error(message);
+      error.code = 'TransactionCanceledException';
+      if (reasons !== undefined) error.CancellationReasons = reasons;
+      return error;
+    }
+
+    test('should return the reasons of the error', () => {
+      expect(
+        utils.cancellationReasons(
+          canceled('Transaction cancelled', [
+            { Code: 'ConditionalCheckFailed' },
+            { Code: 'None' }
+          ])
+        )
+      ).toEqual(['ConditionalCheckFailed', 'None']);
+    });
+
+    test('should parse the reasons from the message', () => {
+      expect(
+        utils.cancellationReasons(
+          canceled(
+            'Transaction cancelled, please refer cancellation reasons for ' +
+              'specific reasons [None, ConditionalCheckFailed]'
+          )
+        )
+      ).toEqual(['None', 'ConditionalCheckFailed']);
+    });
+
+    test('should return an empty list for other errors', () => {
+      expect(utils.cancellationReasons(new Error('[None]'))).toEqual([]);
+    });
+  });
+
+  describe('#queryAll()', () => {
+    test('should follow the LastEvaluatedKey until the last page', () => {
+      var pages = [
+        { Items: [1, 2], LastEvaluatedKey: { Node: 'a' } },
+        { Items: [3], LastEvaluatedKey: { Node: 'b' } },
+        { Items: [] }
+      ];
+      var documentClient = {
+        query: jest.fn(() => ({
+          promise: () => Promise.resolve(pages.shift())
+        }))
+      };
+      return utils
+        .queryAll(documentClient, { TableName: 'Table' })
+        .then(items => {
+          expect(items).toEqual([1, 2, 3]);
+          expect(documentClient.query.mock.calls.map(call => call[0])).toEqual([
+            { TableName: 'Table' },
+            { TableName: 'Table', ExclusiveStartKey: { Node: 'a' } },
+            { TableName: 'Table', ExclusiveStartKey: { Node: 'b' } }
+          ]);
+        });
+    });
+  });
+
+  describe('#mapLimit()', () => {
+    test('should keep the order of the results', () => {
+      return utils
+        .mapLimit([30, 10, 20], 2, value =>
+          new Promise(resolve => setTimeout(() => resolve(value * 2), value))
+        )
+        .then(results => expect(results).toEqual([60, 20, 40]));
+    });
+
+    test('should not run more calls than the limit', () => {
+      var running = 0;
+      var max = 0;
+      return utils
+        .mapLimit([1, 2, 3, 4, 5], 2, () => {
+          running++;
+          max = Math.max(max, running);
+          return new Promise(resolve => setTimeout(resolve, 1)).then(
+            () => running--
+          );
+        })
+        .then(() => expect(max).toEqual(2));
+    });
+  });
+});
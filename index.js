@@ -5,48 +5,131 @@ var omit = require('lodash/omit.js');
 var findIndex = require('lodash/findIndex');
 var isObject = require('lodash/isObject.js');
 var isArray = require('lodash/isArray.js');
+var isEqual = require('lodash/isEqual.js');
+var uniq = require('lodash/uniq.js');
+var uniqBy = require('lodash/uniqBy.js');
+var chunk = require('lodash/chunk.js');
+var keyBy = require('lodash/keyBy.js');
+var values = require('lodash/values.js');
+var batch = require('./lib/batch.js');
+var Context = require('./lib/context.js');
+var errors = require('./lib/errors.js');
+var History = require('./lib/history.js');
+var Hooks = require('./lib/hooks.js');
+var MemoryDocumentClient = require('./lib/memory.js');
+var Retry = require('./lib/retry.js');
+var Schema = require('./lib/schema.js');
+var transfer = require('./lib/transfer.js');
+var Traversal = require('./lib/traversal.js');
+var unique = require('./lib/unique.js');
+var utils = require('./lib/utils.js');
+
+/** Default number of nodes returned on each collection page. */
+var LIMIT = 10;
+/** Default number of concurrent calls made by batch operations. */
+var CONCURRENCY = 4;
+/** Property type that marks the soft deleted nodes. */
+var DELETED_AT = 'DeletedAt';
+/** Attribute used as the TTL of the items of the soft deleted nodes. */
+var EXPIRES_AT = 'ExpiresAt';
+/** Hooks registry shared by every model. */
+var globalHooks = Hooks();
 
 /**
  * Factory functions that returns a model, than can talk to a DynamoDB table
  * that is used to represent a directed graph.
  * @param {object} options
+ * @property {Context} [context] - Request-scoped context. If set, `get`
+ *                                reads the node through its cache, and the
+ *                                writes of the model invalidate it.
+ * @property {string} [consumedCapacity] - If set, it is sent as the
+ *                                         ReturnConsumedCapacity value of
+ *                                         the DocumentClient calls.
  * @property {any} [data] - Node main data.
  * @property {DynamoDBGraph} [db] - DynamoDB Graph object. Useful for testing.
  * @property {DocumentClientDriver} [documentClient] - DynamoDB DocumentClient
  *                                                     driver.
  * @property {EdgesMap} [edges]=[] - Map of node edges.
- * @property {object[]} [history]=[] - History of the model.
+ * @property {HistoryRecord[]} [history]=[] - History of the model.
+ * @property {Hooks|HooksDefinition} [hooks] - Hooks that run before and after
+ *                                             the write operations of the
+ *                                             node type.
+ * @property {object} [included]={} - Map of edge types to the models of its
+ *                                    targets, loaded by `get`.
  * @property {number} [maxGSIK] - Maximum number of GSIK.
  * @property {string} [node] - Node of the current model.
  * @property {boolean} [log] - If set, all updates will include a CreatedAt or
  *                             UpdatedAt property generated along them.
+ * @property {boolean} [mutable=false] - If set, the operations on the node of
+ *                                       the model update the model itself and
+ *                                       resolve to it, instead of a new model.
+ * @property {function} [onRecord] - Function called with each history
+ *                                    record, as it happens.
  * @property {PropertyMap} [properties]=[] - Map of node properties.
+ * @property {RetryPolicyDefinition} [retry] - Retry policy of the calls that
+ *                                             fail with throttling errors, and
+ *                                             of the unprocessed items of
+ *                                             batch calls.
+ * @property {SchemaDefinition} [schema] - Allowed properties and edges of the
+ *                                         node type. If set, invalid data will
+ *                                         be rejected before any write.
+ * @property {boolean} [strictTenant=false] - If set, the nodes that are read,
+ *                                            written, traversed, destroyed or
+ *                                            connected must belong to the
+ *                                            model tenant, or a
+ *                                            TenantIsolationError is thrown.
+ *                                            Edge types declared with
+ *                                            `crossTenant` on the schema can
+ *                                            still target other tenants.
  * @property {string} [table] - Table name. If not provided, it will try to pull
  *                              it from an environment variable called
  *                              TABLE_NAME.
  * @property {string} [tenant=''] - Tenant identifier.
  * @property {string} type - Node type.
+ * @property {boolean} [versioned=false] - If set, every write checks that the
+ *                                         node was not modified since it was
+ *                                         read, and bumps its version.
+ * @property {number} [version] - Version of the node of the current model.
  */
 module.exports = function Model(options = {}) {
   var {
+    consumedCapacity,
+    context,
     data,
     db,
     documentClient,
     edges = [],
     history = [],
+    hooks,
+    included = {},
     maxGSIK,
     node,
     log = false,
+    mutable = false,
+    onRecord,
     properties = [],
+    retry,
+    schema,
+    strictTenant = false,
     table = process.env.TABLE_NAME,
     tenant = '',
-    type
+    type,
+    version,
+    versioned = false
   } = options;
 
   if (type === undefined) throw new Error('Type is undefined');
   if (maxGSIK !== undefined && typeof maxGSIK !== 'number')
     throw new Error('Max GSIK is not a number');
   if (table === undefined) throw new Error('Table is undefined');
+  if (onRecord !== undefined && typeof onRecord !== 'function')
+    throw new Error('On record is not a function');
+
+  var validator = schema !== undefined ? Schema(schema, type) : undefined;
+  var retryPolicy = Retry(retry);
+
+  if (hooks !== undefined && typeof hooks.before !== 'function')
+    hooks = Hooks(hooks);
 
   if (db === undefined && documentClient === undefined) {
     var AWS = require('aws-sdk');
@@ -61,20 +144,27 @@ module.exports = function Model(options = {}) {
 
   /** Return */
   var publicAPI = {
-    set,
-    create,
-    connect,
+    set: withHooks('set', set),
+    create: withHooks('create', create),
+    createMany: withHooks('createMany', createMany),
+    connect: withHooks('connect', connect),
     collection,
     get data() {
       return data;
     },
-    destroy,
-    disconnect: remove,
+    destroy: withHooks('destroy', destroy),
+    disconnect: withHooks('remove', remove),
     get edges() {
       return edges;
     },
+    find,
     get,
+    getMany,
     history: Object.freeze(history.slice()),
+    get included() {
+      return included;
+    },
+    incoming,
     get maxGSIK() {
       return maxGSIK;
     },
@@ -90,59 +180,301 @@ module.exports = function Model(options = {}) {
     get properties() {
       return properties;
     },
-    remove,
+    remove: withHooks('remove', remove),
+    repartition,
+    restore: withHooks('restore', restore),
+    traverse,
+    update: withHooks('update', update),
+    updateEdge: withHooks('updateEdge', updateEdge),
+    get version() {
+      return version;
+    },
     _documentClient: documentClient
   };
 
   return publicAPI;
   // ---
-  function collection() {
-    return db
+  /**
+   * Gets the list of nodes of the model type. If a `limit` or a `cursor` is
+   * provided, it will return only a page of nodes, plus a cursor to get the
+   * next one. Soft deleted nodes are left out, unless `withDeleted` is set.
+   * On versioned models, the nodes carry the version read along them.
+   * @param {object} [config] - Configuration object.
+   * @property {number} [limit=10] - Maximum number of nodes on the page.
+   * @property {string} [cursor] - Cursor returned by the previous page.
+   * @property {boolean} [withDeleted=false] - Include soft deleted nodes.
+   * @return {Promise} List of models, or a Page object.
+   */
+  function collection(config = {}) {
+    var { limit, cursor, withDeleted = false } = config;
+
+    if (limit !== undefined || cursor !== undefined) return page(config);
+
+    var track = createTracker('collection');
+
+    return track.db
       .getNodesWithPropertiesAndEdges({ type, tenant, maxGSIK })
       .then(response =>
-        response.Items.map(item =>
-          newModel({
-            node: item.Node,
-            data: item.Data,
-            properties: item.Properties,
-            edges: item.Edges
-          })
+        addMetaData(
+          response.Items.filter(
+            item => withDeleted === true || !isDeleted(item.Properties)
+          ),
+          track
+        )
+      )
+      .then(items =>
+        readVersions(items, track).then(versions =>
+          items.map(item =>
+            newModel({
+              node: item.Node,
+              data: decode(type, item.Data),
+              properties: decodeProperties(item.Properties),
+              edges: item.Edges,
+              version: versions[item.Node]
+            })
+          )
         )
       );
   }
   /**
-   * Gets the node data, properties, and edge information.
+   * Gets a page of nodes of the model type. The GSIK partitions are queried
+   * in order, through the `ByType` index, until the page is full. Only the
+   * node items are kept, since edges can share its type. The returned cursor
+   * encodes the LastEvaluatedKey of each partition. Soft deleted nodes are
+   * removed from the page after it is read, so a page can have less nodes
+   * than the limit.
+   * @param {object} config - Configuration object.
+   * @property {number} [limit=10] - Maximum number of nodes on the page.
+   * @property {string} [cursor] - Cursor returned by the previous page.
+   * @property {boolean} [withDeleted=false] - Include soft deleted nodes.
+   * @return {Promise} Page object.
+   * @property {Model[]} models - List of models on the page.
+   * @property {string|null} cursor - Cursor of the next page, or null if
+   *                                  there are no more nodes.
+   */
+  function page(config) {
+    var { limit = LIMIT, cursor, withDeleted = false } = config;
+    var track = createTracker('collection');
+    var items = [];
+
+    if (typeof limit !== 'number' || limit < 1)
+      throw new Error('Limit is not a positive number');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+
+    var state = utils.decodeCursor(cursor);
+    var partitions = utils.listGSIK({ tenant, maxGSIK });
+
+    return partitions
+      .reduce(
+        (promise, gsik, i) => promise.then(() => scan(gsik, i)),
+        Promise.resolve()
+      )
+      .then(() =>
+        Promise.all(
+          items.map(item =>
+            load(item.Node, utils.parseData(item.Data), track)
+          )
+        )
+      )
+      .then(models => ({
+        models: models.filter(
+          model => withDeleted === true || !isDeleted(model.properties)
+        ),
+        cursor: partitions.every((gsik, i) => state[i] === null)
+          ? null
+          : utils.encodeCursor(state)
+      }))
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+    // ---
+    /**
+     * Reads the nodes of a partition, query by query, until it is exhausted
+     * or the page is full. Filtered edges count on the query Limit, so a
+     * query can return less nodes than requested.
+     */
+    function scan(gsik, i) {
+      if (state[i] === null || items.length >= limit) return;
+
+      var params = {
+        TableName: table,
+        IndexName: 'ByType',
+        KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+        FilterExpression: '#Target = #Node',
+        ExpressionAttributeNames: {
+          '#GSIK': 'GSIK',
+          '#Type': 'Type',
+          '#Target': 'Target',
+          '#Node': 'Node'
+        },
+        ExpressionAttributeValues: { ':GSIK': gsik, ':Type': type },
+        Limit: limit - items.length
+      };
+
+      if (state[i] !== undefined) params.ExclusiveStartKey = state[i];
+
+      return track.documentClient
+        .query(params)
+        .promise()
+        .then(response => {
+          items = items.concat(response.Items);
+          state[i] =
+            response.LastEvaluatedKey !== undefined
+              ? response.LastEvaluatedKey
+              : null;
+          return scan(gsik, i);
+        });
+    }
+  }
+  /**
+   * Finds the nodes of the model type that have a property matching a
+   * condition, using the `ByData` index. All the tenant GSIK partitions are
+   * queried. If no property is given, the node main data is used.
+   * @param {object} config - Configuration object.
+   * @property {string} [property] - Property type. Defaults to the node type.
+   * @property {any} [equals] - Data is equal to the value.
+   * @property {any} [lt] - Data is less than the value.
+   * @property {any} [lte] - Data is less than or equal to the value.
+   * @property {any} [gt] - Data is greater than the value.
+   * @property {any} [gte] - Data is greater than or equal to the value.
+   * @property {any[]} [between] - Data is between the two values.
+   * @property {string} [beginsWith] - Data begins with the value.
+   * @return {Promise} List of models.
+   */
+  function find(config = {}) {
+    var { property = type } = config;
+    var track = createTracker('find');
+
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+
+    var condition = utils.parseCondition(encodeCondition(property, config));
+
+    return Promise.all(
+      utils.listGSIK({ tenant, maxGSIK }).map(gsik =>
+        utils.queryAll(track.documentClient, {
+          TableName: table,
+          IndexName: 'ByData',
+          KeyConditionExpression: `#GSIK = :GSIK AND ${condition.expression}`,
+          FilterExpression: '#Type = :Type',
+          ExpressionAttributeNames: {
+            '#GSIK': 'GSIK',
+            '#Data': 'Data',
+            '#Type': 'Type'
+          },
+          ExpressionAttributeValues: Object.assign(
+            { ':GSIK': gsik, ':Type': property },
+            condition.values
+          )
+        })
+      )
+    )
+      .then(results => {
+        var nodes = uniq(
+          results.reduce((acc, items) => acc.concat(items), []).map(
+            item => item.Node
+          )
+        );
+        return Promise.all(nodes.map(node => track.db.getNode(node)));
+      })
+      .then(results =>
+        Promise.all(
+          results
+            .map(result => result.Items[0])
+            .filter(item => item !== undefined && item.Type === type)
+            .map(item => load(item.Node, item.Data, track))
+        )
+      )
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
+  /**
+   * Gets the node data, properties, and edge information. The targets of the
+   * included edge types are loaded too, reading the ones with a known schema
+   * in batches, and are returned on the `included` map of the model. Soft
+   * deleted nodes are rejected, unless `withDeleted` is set.
+   * @param {string} [newNode] - Node identifier. Can be omitted.
+   * @param {object} [config] - Configuration object.
+   * @property {Array<string|object>} [include=[]] - List of edge types, or
+   *                                                 of `{ type, target,
+   *                                                 schema }` objects with
+   *                                                 the target node type and
+   *                                                 its schema definition.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @property {boolean} [withDeleted=false] - Read soft deleted nodes too.
    * @return {Promise} Next model with the resulting data.
    */
-  function get(newNode) {
+  function get(newNode, config = {}) {
+    if (isObject(newNode)) {
+      config = newNode;
+      newNode = undefined;
+    }
+
     if (newNode !== undefined) node = newNode;
 
-    var track = createTracker();
+    var {
+      include = [],
+      concurrency = CONCURRENCY,
+      withDeleted = false
+    } = config;
+    var track = createTracker('get');
 
     if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (!isArray(include)) throw new Error('Include is not an array');
+    if (include.length > 0 && documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (versioned === true && documentClient === undefined)
+      throw new Error('Document client is undefined');
 
-    return Promise.all([
-      db.getNodeData(node),
-      db.getNodeProperties(node),
-      db.getNodeEdges(node)
-    ])
+    var read =
+      context !== undefined && documentClient !== undefined
+        ? readThroughContext(node, track)
+        : Promise.all([
+            versioned === true
+              ? readNodeItem(node, track)
+              : track.db.getNodeData(node),
+            track.db.getNodeProperties(node),
+            getNodeEdges(node, track)
+          ]).then(results => {
+            var item = results[0].Items[0];
+            return results.concat(
+              versioned !== true
+                ? version
+                : item !== undefined ? item.Version : undefined
+            );
+          });
+
+    return read
       .then(results => {
-        var [dataResult, propertiesResult, edgesResult] = results;
-        data = dataResult.Items[0].Data;
-        properties = propertiesResult.Items.map(item => {
-          delete item.Node;
-          return item;
-        });
+        var [dataResult, propertiesResult, edgesResult, nodeVersion] = results;
+        if (withDeleted !== true && isDeleted(propertiesResult.Items))
+          throw new Error('Node is deleted');
+        data = decode(type, dataResult.Items[0].Data);
+        properties = decodeProperties(
+          propertiesResult.Items.map(item => {
+            delete item.Node;
+            return item;
+          })
+        );
         edges = edgesResult.Items;
 
-        track(dataResult, propertiesResult, edgesResult);
-
-        return newModel({
-          history: track.dump(),
-          data,
-          properties,
-          edges
-        });
+        return loadIncluded(include, concurrency, track).then(included =>
+          nextModel({
+            history: track.dump(),
+            data,
+            properties,
+            edges,
+            included,
+            version: nodeVersion
+          })
+        );
       })
       .catch(error => {
         track(error);
@@ -150,7 +482,87 @@ module.exports = function Model(options = {}) {
       });
   }
   /**
-   * Adds a property on a node.
+   * Starts a traversal on the current node, to follow its outgoing edges
+   * through multiple hops.
+   * @param {object} [config] - Configuration object.
+   * @property {number} [maxDepth=10] - Maximum number of hops.
+   * @return {Traversal} Traversal object.
+   */
+  function traverse(config = {}) {
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+
+    var track = createTracker('traverse');
+
+    return Traversal({
+      db: track.db,
+      start: [node],
+      maxDepth: config.maxDepth,
+      toModel: target => fetchNode(target, track)
+    });
+  }
+  /**
+   * Gets the nodes that have an edge of the given type pointing to the
+   * current node. All the tenant GSIK partitions are queried through the
+   * `ByType` index. Edges are stored on the partitions of their source node,
+   * so if the source type has a larger maxGSIK, it must be given.
+   * @param {object} config - Configuration object.
+   * @property {string} type - Edge type.
+   * @property {number} [sourceMaxGSIK] - Maximum number of GSIK of the source
+   *                                      nodes. Defaults to the model one.
+   * @return {Promise} List of models of the source nodes.
+   */
+  function incoming(config = {}) {
+    var { type, sourceMaxGSIK } = config;
+    var track = createTracker('incoming');
+
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (type === undefined) throw new Error('Type is undefined');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+    checkSourceMaxGSIK(sourceMaxGSIK);
+
+    return Promise.all(
+      sourcePartitions(sourceMaxGSIK).map(gsik =>
+        utils.queryAll(track.documentClient, {
+          TableName: table,
+          IndexName: 'ByType',
+          KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+          FilterExpression: '#Target = :Target AND #Node <> :Target',
+          ExpressionAttributeNames: {
+            '#GSIK': 'GSIK',
+            '#Type': 'Type',
+            '#Target': 'Target',
+            '#Node': 'Node'
+          },
+          ExpressionAttributeValues: {
+            ':GSIK': gsik,
+            ':Type': type,
+            ':Target': node
+          }
+        })
+      )
+    )
+      .then(results =>
+        Promise.all(
+          uniq(
+            results
+              .reduce((acc, items) => acc.concat(items), [])
+              .map(item => item.Node)
+          ).map(source => fetchNode(source, track))
+        )
+      )
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
+  /**
+   * Adds a property on a node. If the property is declared as `unique` on the
+   * schema, its new value is reserved before the write, and the previous one
+   * is released after it.
    * @param {object} config - Configuration object.
    * @property {any} data - Property data.
    * @property {string} type - Connection type.
@@ -158,38 +570,233 @@ module.exports = function Model(options = {}) {
    */
   function set(config = {}) {
     var { type, data } = config;
-    var track = createTracker();
+    var track = createTracker('set');
     var start = Promise.resolve();
 
     if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
     if (type === undefined) throw new Error('Type is undefined');
     if (data === undefined) throw new Error('Data is undefined');
-    if (maxGSIK === undefined)
-      start = getMaxGSIK().then(response => track(response));
+    if (validator !== undefined) validator.validateProperty(type, data);
+    if (isUnique(type) && documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) start = getMaxGSIK(track);
+
+    var value = encode(type, data);
+    var write = () =>
+      versioned === true
+        ? writeVersioned(
+            [{ Put: { TableName: table, Item: itemOf(node, type, value) } }],
+            track
+          )
+        : track.db.createProperty({ tenant, node, type, data: value, maxGSIK });
 
     return start.then(() =>
-      db
-        .createProperty({ tenant, node, type, data, maxGSIK })
-        .then(result => {
-          track(result);
-          return newModel({ history: track.dump() });
-        })
+      checkVersion()
+        .then(
+          () =>
+            isUnique(type) ? writeUnique(type, value, write, track) : write()
+        )
+        .then(() =>
+          nextModel({
+            properties: properties
+              .filter(prop => prop.Type !== type)
+              .concat({ Type: type, Data: data }),
+            history: track.dump(),
+            version: nextVersion()
+          })
+        )
         .catch(error => {
           track(error);
           throw error;
         })
     );
   }
+  /**
+   * Updates the main data of the node. The data copied on the edges that
+   * point to the node is also updated, so they are kept in sync. If the `log`
+   * flag is set, the UpdatedAt property is updated as well.
+   * @param {object} config - Configuration object.
+   * @property {any} data - New node main data.
+   * @property {number} [concurrency=4] - Maximum number of concurrent edge
+   *                                      updates.
+   * @property {number} [sourceMaxGSIK] - Maximum number of GSIK of the nodes
+   *                                      with edges to this one. Defaults to
+   *                                      the model one.
+   * @return {Promise} Next model with the resulting data.
+   */
+  function update(config = {}) {
+    var { data, concurrency = CONCURRENCY, sourceMaxGSIK } = config;
+    var track = createTracker('update');
+    var start = Promise.resolve();
+    var now = Date.now();
+
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (data === undefined) throw new Error('Data is undefined');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (validator !== undefined) validator.validateData(data);
+    checkSourceMaxGSIK(sourceMaxGSIK);
+    if (maxGSIK === undefined) start = getMaxGSIK(track);
+
+    return start
+      .then(() => checkVersion())
+      .then(() => track.db.getNodeData(node))
+      .then(response => {
+        var item = response.Items[0];
+        var params = {
+          TableName: table,
+          Key: { Node: node, Type: type },
+          UpdateExpression: 'SET #Data = :Data',
+          ConditionExpression: 'attribute_exists(#Node)',
+          ExpressionAttributeNames: { '#Data': 'Data', '#Node': 'Node' },
+          ExpressionAttributeValues: {
+            ':Data': JSON.stringify(encode(type, data))
+          }
+        };
+
+        if (item === undefined) throw new Error('Node is undefined');
+        // The version is bumped on the same conditional write as the data.
+        if (versioned === true) {
+          params.UpdateExpression += ', #Version = :next';
+          params.ExpressionAttributeValues[':next'] = version + 1;
+          params = withVersion(params);
+        }
+
+        return track.documentClient
+          .update(params)
+          .promise()
+          .catch(error =>
+            rejectStale(
+              error,
+              versioned === true &&
+                error.code === 'ConditionalCheckFailedException',
+              track
+            )
+          )
+          .then(() =>
+            Promise.all([
+              updateIncomingEdges(
+                JSON.stringify(item.Data),
+                JSON.stringify(encode(type, data)),
+                concurrency,
+                sourceMaxGSIK,
+                track
+              ),
+              log === true
+                ? track.db.createProperty({
+                    tenant,
+                    node,
+                    type: 'UpdatedAt',
+                    data: encode('UpdatedAt', now),
+                    maxGSIK
+                  })
+                : undefined
+            ])
+          );
+      })
+      .then(() =>
+        nextModel({
+          data,
+          properties:
+            log === true
+              ? properties
+                  .filter(prop => prop.Type !== 'UpdatedAt')
+                  .concat({ Type: 'UpdatedAt', Data: now })
+              : properties,
+          history: track.dump(),
+          version: nextVersion()
+        })
+      )
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
+  /**
+   * Updates the data copied on the edges that point to the current node.
+   * They are found through the `ByData` index, using the previous data.
+   * @param {string} previous - Previous node data, as stored on the table.
+   * @param {string} next - New node data, as stored on the table.
+   * @param {number} concurrency - Maximum number of concurrent updates.
+   * @param {number} [sourceMaxGSIK] - Maximum number of GSIK of the sources.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty chain to continue the work.
+   */
+  function updateIncomingEdges(
+    previous,
+    next,
+    concurrency,
+    sourceMaxGSIK,
+    track
+  ) {
+    return findIncomingEdges(node, previous, sourceMaxGSIK, track).then(items =>
+      utils.mapLimit(items, concurrency, item =>
+        track.documentClient
+          .update({
+            TableName: table,
+            Key: { Node: item.Node, Type: item.Type },
+            UpdateExpression: 'SET #Data = :Data',
+            ConditionExpression: '#Target = :Target',
+            ExpressionAttributeNames: {
+              '#Data': 'Data',
+              '#Target': 'Target'
+            },
+            ExpressionAttributeValues: { ':Data': next, ':Target': node }
+          })
+          .promise()
+      )
+    );
+  }
+  /**
+   * Finds the edges of any type that point to a node. Edges carry a copy of
+   * the target data, so they are found through the `ByData` index.
+   * @param {string} target - Node identifier.
+   * @param {string} data - Target node data, as stored on the table.
+   * @param {number} [sourceMaxGSIK] - Maximum number of GSIK of the sources.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List of edge items.
+   */
+  function findIncomingEdges(target, data, sourceMaxGSIK, track) {
+    return Promise.all(
+      sourcePartitions(sourceMaxGSIK).map(gsik =>
+        utils.queryAll(track.documentClient, {
+          TableName: table,
+          IndexName: 'ByData',
+          KeyConditionExpression: '#GSIK = :GSIK AND #Data = :Data',
+          FilterExpression: '#Target = :Target AND #Node <> :Target',
+          ExpressionAttributeNames: {
+            '#GSIK': 'GSIK',
+            '#Data': 'Data',
+            '#Target': 'Target',
+            '#Node': 'Node'
+          },
+          ExpressionAttributeValues: {
+            ':GSIK': gsik,
+            ':Data': data,
+            ':Target': target
+          }
+        })
+      )
+    ).then(results => results.reduce((acc, items) => acc.concat(items), []));
+  }
   /**
    * Creates a connection to another node.
    * @param {object} config - Configuration object.
    * @property {string|Model} target - Target node ID, or target node Model.
    * @property {string} type - Connection type.
+   * @property {string} [inverse] - Inverse connection type. If set, or if it
+   *                                is declared on the schema, an edge of this
+   *                                type will be created from the target node
+   *                                to the current one.
+   * @property {object} [meta] - Edge metadata, like the role of an author.
    * @return {Promise} Next model with the resulting data.
    */
   function connect(config = {}) {
-    var { target, type } = config;
-    var track = createTracker();
+    var { target, type, meta } = config;
+    var inverse = inverseOf(type, config.inverse);
+    var track = createTracker('connect');
     var start = Promise.resolve();
 
     if (isObject(target) && target.node) target = target.node;
@@ -197,70 +804,169 @@ module.exports = function Model(options = {}) {
     if (node === undefined) throw new Error('Node is undefined');
     if (type === undefined) throw new Error('Type is undefined');
     if (target === undefined) throw new Error('Target is undefined');
-    if (maxGSIK === undefined)
-      start = getMaxGSIK().then(response => track(response));
+    if (meta !== undefined && documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (validator !== undefined) validator.validateEdge(type, config.target);
+    checkTenant(node);
+    checkTenant(target, type);
+    if (maxGSIK === undefined) start = getMaxGSIK(track);
+
+    var edge = {
+      node,
+      target: config.target,
+      type,
+      inverse,
+      meta,
+      versioned
+    };
 
     return start.then(() =>
-      db
-        .createEdge({
-          tenant,
-          type,
-          node,
-          target,
-          maxGSIK
-        })
-        .then(result => {
-          track(result);
-          return newModel({
+      checkVersion()
+        .then(() => link(edge, track))
+        .then(([result]) =>
+          nextModel({
             edges: edges.concat(result.Item),
-            history: track.dump()
-          });
-        })
+            history: track.dump(),
+            version: nextVersion()
+          })
+        )
         .catch(error => {
           track(error);
           throw error;
         })
     );
   }
+  /**
+   * Updates the metadata of an existing edge, without disconnecting it.
+   * @param {object} config - Configuration object.
+   * @property {string} type - Edge type.
+   * @property {object} meta - New edge metadata.
+   * @return {Promise} Next model with the resulting data.
+   */
+  function updateEdge(config = {}) {
+    var { type, meta } = config;
+    var track = createTracker('updateEdge');
+
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (type === undefined) throw new Error('Type is undefined');
+    if (meta === undefined) throw new Error('Meta is undefined');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+
+    return checkVersion()
+      .then(
+        () =>
+          versioned === true
+            ? writeVersioned([{ Update: metaParams(node, type, meta) }], track)
+            : writeMeta(node, type, meta, track)
+      )
+      .then(() =>
+        nextModel({
+          edges: edges.map(
+            edge =>
+              edge.Type === type
+                ? Object.assign({}, edge, { MetaData: meta })
+                : edge
+          ),
+          history: track.dump(),
+          version: nextVersion()
+        })
+      )
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
   /**
    * Removes a property from a node.
    * @param {string} type - Edge type.
+   * @param {object} [config] - Configuration object.
+   * @property {string} [inverse] - Inverse edge type. If set, or if it is
+   *                                declared on the schema, the inverse edge
+   *                                will be removed from the target node.
    * @return {Promise} Next model with the resulting data.
    */
-  function remove(type) {
-    var track = createTracker();
+  function remove(type, config = {}) {
+    var track = createTracker('remove');
+    var start = Promise.resolve();
 
     if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
     if (type === undefined) throw new Error('Type is undefined');
 
-    return db
-      .deletePropertyOrEdge({
-        node,
-        type
-      })
-      .then(result => {
-        track(result);
-        if (properties.length > 0) {
-          var index = findIndex(properties, prop => prop.Type === type);
-          index > -1 && properties.pop(index);
-        }
+    if (isUnique(type) && documentClient === undefined)
+      throw new Error('Document client is undefined');
 
-        if (edges.length > 0) {
-          var index = findIndex(edges, edge => edge.Type === type);
-          index > -1 && edges.pop(index);
-        }
+    var inverse = inverseOf(type, config.inverse);
+    var target;
+    var previous;
 
-        return newModel({
-          history: track.dump()
-        });
-      })
+    start = checkVersion();
+
+    if (inverse !== undefined)
+      start = start.then(() =>
+        edgeTarget(type, track).then(value => {
+          target = value;
+        })
+      );
+    if (isUnique(type))
+      start = start.then(() =>
+        readProperty(type, track).then(value => {
+          previous = value;
+        })
+      );
+
+    var unlinkTarget = () =>
+      target !== undefined ? unlink(target, inverse, track) : undefined;
+
+    return start
+      .then(() => (versioned === true ? undefined : unlinkTarget()))
+      .then(
+        () =>
+          versioned === true
+            ? writeVersioned(
+                [
+                  {
+                    Delete: {
+                      TableName: table,
+                      Key: { Node: node, Type: type }
+                    }
+                  }
+                ],
+                track
+              )
+            : track.db.deletePropertyOrEdge({
+                node,
+                type
+              })
+      )
+      // Versioned models keep the inverse edge until the version is checked.
+      .then(() => (versioned === true ? unlinkTarget() : undefined))
+      .then(
+        () =>
+          previous !== undefined
+            ? releaseUnique([{ Type: type, Data: previous }], node, track)
+            : undefined
+      )
+      .then(() =>
+        nextModel({
+          properties: properties.filter(prop => prop.Type !== type),
+          edges: edges.filter(edge => edge.Type !== type),
+          history: track.dump(),
+          version: nextVersion()
+        })
+      )
       .catch(error => {
         track(error);
         throw error;
       });
   }
   /**
-   * Creates a new node, with its properties and edges.
+   * Creates a new node, with its properties and edges. If any of the writes
+   * fails, everything that was written is deleted, and the promise is rejected
+   * with the original error. A `rollback` record, with what was deleted, is
+   * included on the error `history`.
    * @param {object} config - Configuration object.
    * @property {any} data - Main data stored on the node.
    * @property {Edge[]} - Edges list to attach on the node.
@@ -269,27 +975,34 @@ module.exports = function Model(options = {}) {
    */
   function create(config = {}) {
     var { data, properties = [], edges = [] } = config;
-    var track = createTracker();
+    var track = createTracker('create');
     var _node;
 
     if (node) throw new Error('Node already exists');
     if (data === undefined) throw new Error('Data is undefined');
     if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+    if (validator !== undefined) {
+      properties = validator.applyDefaults(properties);
+      validator.validateData(data);
+      validator.validateProperties(properties);
+      validator.validateEdges(edges);
+    }
+    edges.forEach(edge => checkTenant(edge.Target, edge.Type));
+    if (uniqueOf(properties).length > 0 && documentClient === undefined)
+      throw new Error('Document client is undefined');
 
-    return db
+    return track.db
       .createNode({
         tenant,
         maxGSIK,
         type,
-        data
+        data: encode(type, data)
       })
       .then((response = {}) => {
         if (response.Item === undefined) throw new Error('Item is undefined');
 
         _node = response.Item.Node;
 
-        track(response);
-
         if (log === true) {
           var now = Date.now();
           properties = properties.concat([
@@ -298,154 +1011,2158 @@ module.exports = function Model(options = {}) {
           ]);
         }
 
-        var promises = [];
+        var written = {
+          node: _node,
+          properties: [],
+          edges: [],
+          inverses: [],
+          reserved: []
+        };
+        var writes = [];
+        var stored = encodeProperties(properties);
 
         if (properties.length > 0)
-          promises.push(
-            db
-              .createProperties({
-                tenant,
-                node: _node,
-                maxGSIK,
-                properties
-              })
-              .then(response => {
-                track(response);
+          writes.push(
+            reserveUnique(stored, _node, track, written.reserved)
+              .then(() =>
+                track.db.createProperties({
+                  tenant,
+                  node: _node,
+                  maxGSIK,
+                  properties: stored
+                })
+              )
+              .then(response => writeUnprocessed(response, track))
+              .then(() => {
+                written.properties = properties.map(prop => prop.Type);
               })
           );
 
-        if (edges.length > 0) {
-          promises.push(
-            Promise.all(
-              edges.map(edge =>
-                db
-                  .createEdge({
-                    tenant,
-                    type: edge.Type,
-                    node: _node,
-                    target: edge.Target,
-                    maxGSIK
-                  })
-                  .then(result => {
-                    track(result);
-                    if (!result || !result.Item || !result.Item.Data)
-                      throw new Error('Data is undefined');
-                    edge.Data = result.Item.Data;
-                    return newModel({
-                      edges: edges.concat(result.Item),
-                      history: track.dump()
-                    });
-                  })
-                  .catch(error => {
-                    track(error);
-                    throw error;
-                  })
-              )
-            )
+        edges.forEach(edge => {
+          var inverse = inverseOf(edge.Type, edge.Inverse);
+          writes.push(
+            link(
+              {
+                node: _node,
+                target: edge.Target,
+                type: edge.Type,
+                inverse,
+                meta: edge.MetaData
+              },
+              track
+            ).then(([result]) => {
+              written.edges.push(edge.Type);
+              if (inverse !== undefined)
+                written.inverses.push({
+                  node: isObject(edge.Target) ? edge.Target.node : edge.Target,
+                  type: inverse
+                });
+              if (!result || !result.Item || !result.Item.Data)
+                throw new Error('Data is undefined');
+              edge.Data = result.Item.Data;
+            })
           );
-        }
+        });
 
-        return promises.length > 0 && Promise.all(promises);
+        return Promise.all(
+          writes.map(write => write.then(() => ({}), error => ({ error })))
+        ).then(results => {
+          var failed = results.filter(result => result.error !== undefined);
+          if (failed.length > 0)
+            return rollback(written, failed[0].error, track);
+        });
       })
       .then(() => {
-        return newModel({
+        return nextModel({
           node: _node,
           data,
           properties,
           edges,
-          history: track.dump()
+          history: track.dump(),
+          version: versioned === true ? 0 : undefined
         });
       })
       .catch(error => {
         track(error);
+        error.history = track.dump();
         throw error;
       });
   }
   /**
-   * Destroys a node, and all its attached properties and edges.
-   * @param {string}  - Configuration object.
-   * @return {Promise} Next model with the resulting data.
+   * Deletes everything written by a failed creation, and tracks a `rollback`
+   * record with it, before rejecting with the original error.
+   * @param {object} written - Record of the written items.
+   * @property {string} node - Created node.
+   * @property {string[]} properties - Created property types.
+   * @property {string[]} edges - Created edge types.
+   * @property {object[]} inverses - Created inverse edges keys.
+   * @property {Property[]} [reserved] - Reserved unique properties.
+   * @param {Error} error - Error that caused the rollback.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Rejected promise.
    */
-  function destroy(newNode) {
-    if (newNode !== undefined) node = newNode;
-
-    if (node === undefined) throw new Error('Node is undefined');
-
-    var track = createTracker();
-
-    return db
-      .deleteNode(node)
-      .then(response => {
-        track(response);
-        return emptyModel(track.dump());
+  function rollback(written, error, track) {
+    return Promise.all(
+      [
+        track.db.deleteNode(written.node),
+        releaseUnique(written.reserved, written.node, track)
+      ].concat(
+        written.inverses.map(edge => track.db.deletePropertyOrEdge(edge))
+      )
+    )
+      .then(() =>
+        track.note('rollback', {
+          Node: written.node,
+          Properties: written.properties,
+          Edges: written.edges,
+          InverseEdges: written.inverses.map(edge => ({
+            Node: edge.node,
+            Type: edge.type
+          }))
+        })
+      )
+      .catch(rollbackError => {
+        error.rollbackError = rollbackError;
       })
-      .catch(error => {
-        track(error);
+      .then(() => {
         throw error;
       });
   }
   /**
-   * Gets the value of the maxGSIK from the table.
+   * Sends again the items left unprocessed by a batch write made through
+   * `dynamodb-graph`, following the retry policy. If some of them are still
+   * unprocessed, or there is no DocumentClient to send them, the promise is
+   * rejected.
+   * @param {object} [response] - BatchWriteItem response.
+   * @param {function} track - Tracker function.
    * @returns {Promise} Empty chain to continue the work.
    */
-  function getMaxGSIK() {
-    return db
-      .getNode(node)
-      .then(response => {
-        var item = response.Items[0];
-        maxGSIK = item.MaxGSIK;
-        if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
-        return response;
-      })
-      .catch(error => {
-        track(error);
-        throw error;
+  function writeUnprocessed(response, track) {
+    var unprocessed = (response && response.UnprocessedItems) || {};
+    var requests = unprocessed[table] || [];
+    var error = new Error('Items were not processed');
+
+    if (requests.length === 0) return Promise.resolve();
+    if (documentClient === undefined) return Promise.reject(error);
+
+    return Retry.wait(retryPolicy.delay(1))
+      .then(() =>
+        batch.write({
+          documentClient: track.documentClient,
+          table,
+          requests,
+          retry: retryPolicy
+        })
+      )
+      .then(remaining => {
+        if (remaining.length > 0) throw error;
       });
   }
   /**
-   * Returns a new Model based on the current one with some overrided
-   * properties.
-   * @param {object} override - Model attributes override object.
+   * Creates many nodes of the model type. The values of its unique
+   * properties are reserved first, then the nodes and its properties are
+   * written through BatchWriteItem calls, and then the edges of each node are
+   * created. If any write of a node fails, the node is rolled back, without
+   * affecting the others.
+   * @param {object[]} list - List of `create` configuration objects.
+   * @param {object} [config] - Configuration object.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @return {Promise} List of BatchResult objects, in input order.
    */
-  function newModel(override) {
-    return Model(Object.assign({}, options, override));
+  function createMany(list, config = {}) {
+    var { concurrency = CONCURRENCY } = config;
+    var track = createTracker('createMany');
+
+    if (!isArray(list)) throw new Error('List is not an array');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+
+    var now = Date.now();
+    var entries = list.map(entry => prepare(entry));
+    var byNode;
+
+    return utils
+      .mapLimit(entries, concurrency, entry => {
+        if (entry.error !== undefined) return;
+        return reserveUnique(
+          entry.stored,
+          entry.node,
+          track,
+          entry.reserved
+        ).catch(error => {
+          entry.error = error;
+        });
+      })
+      .then(() => {
+        byNode = keyBy(entries.filter(entry => !entry.error), 'node');
+        return utils.mapLimit(pack(values(byNode)), concurrency, requests =>
+          batch
+            .write({
+              documentClient: track.documentClient,
+              table,
+              requests,
+              retry: retryPolicy
+            })
+            .then(unprocessed =>
+              unprocessed.forEach(request =>
+                fail(request, new Error('Item was not processed'))
+              )
+            )
+            .catch(error => requests.forEach(request => fail(request, error)))
+        );
+      })
+      .then(() =>
+        utils.mapLimit(entries, concurrency, entry => {
+          if (entry.error !== undefined)
+            return entry.node !== undefined
+              ? Promise.all([
+                  track.db.deleteNode(entry.node),
+                  releaseUnique(entry.reserved, entry.node, track)
+                ]).catch(() => {})
+              : undefined;
+          return linkEntry(entry).catch(error => {
+            entry.error = error;
+          });
+        })
+      )
+      .then(() =>
+        entries.map(entry =>
+          entry.error !== undefined
+            ? { node: entry.node, error: entry.error }
+            : {
+                node: entry.node,
+                model: newModel({
+                  node: entry.node,
+                  data: entry.data,
+                  properties: entry.properties,
+                  edges: entry.edges,
+                  history: [],
+                  version: versioned === true ? 0 : undefined
+                })
+              }
+        )
+      );
+    // ---
+    /**
+     * Validates a list entry, and builds its write requests.
+     */
+    function prepare(entry = {}) {
+      var { data, properties = [], edges = [] } = entry;
+      try {
+        if (data === undefined) throw new Error('Data is undefined');
+        if (validator !== undefined) {
+          properties = validator.applyDefaults(properties);
+          validator.validateData(data);
+          validator.validateProperties(properties);
+          validator.validateEdges(edges);
+        }
+        edges.forEach(edge => checkTenant(edge.Target, edge.Type));
+      } catch (error) {
+        return { error };
+      }
+
+      if (log === true)
+        properties = properties.concat([
+          { Type: 'CreatedAt', Data: now },
+          { Type: 'UpdatedAt', Data: now }
+        ]);
+
+      var _node = utils.createNodeId(tenant);
+      var GSIK = utils.calculateGSIK({ tenant, node: _node, maxGSIK });
+      var stored = encodeProperties(properties);
+      var items = [
+        {
+          Node: _node,
+          Type: type,
+          Data: JSON.stringify(encode(type, data)),
+          Target: _node,
+          GSIK,
+          MaxGSIK: maxGSIK
+        }
+      ].concat(
+        stored.map(prop => ({
+          Node: _node,
+          Type: prop.Type,
+          Data: JSON.stringify(prop.Data),
+          GSIK
+        }))
+      );
+
+      return {
+        node: _node,
+        data,
+        properties,
+        edges: edges.map(edge => Object.assign({}, edge)),
+        stored,
+        reserved: [],
+        requests: items.map(Item => ({ PutRequest: { Item } }))
+      };
+    }
+    /**
+     * Packs the requests of the entries in chunks that fit on a batch write,
+     * keeping the requests of each entry together when possible.
+     */
+    function pack(entries) {
+      var size = batch.BATCH_WRITE_SIZE;
+      return entries.reduce((chunks, entry) => {
+        var last = chunks[chunks.length - 1];
+        if (last !== undefined && last.length + entry.requests.length <= size) {
+          chunks[chunks.length - 1] = last.concat(entry.requests);
+          return chunks;
+        }
+        return chunks.concat(chunk(entry.requests, size));
+      }, []);
+    }
+    /**
+     * Marks the entry of a write request as failed.
+     */
+    function fail(request, error) {
+      var entry = byNode[request.PutRequest.Item.Node];
+      if (entry.error === undefined) entry.error = error;
+    }
+    /**
+     * Creates the edges of a written entry, rolling it back if one fails.
+     */
+    function linkEntry(entry) {
+      var written = {
+        node: entry.node,
+        properties: entry.properties.map(prop => prop.Type),
+        edges: [],
+        inverses: [],
+        reserved: entry.reserved
+      };
+
+      return entry.edges
+        .reduce(
+          (promise, edge) =>
+            promise.then(() => {
+              var inverse = inverseOf(edge.Type, edge.Inverse);
+              return link(
+                {
+                  node: entry.node,
+                  target: edge.Target,
+                  type: edge.Type,
+                  inverse,
+                  meta: edge.MetaData
+                },
+                track
+              ).then(([result]) => {
+                written.edges.push(edge.Type);
+                if (inverse !== undefined)
+                  written.inverses.push({
+                    node: isObject(edge.Target)
+                      ? edge.Target.node
+                      : edge.Target,
+                    type: inverse
+                  });
+                edge.Data = result.Item && result.Item.Data;
+              });
+            }),
+          Promise.resolve()
+        )
+        .catch(error => rollback(written, error, track));
+    }
   }
   /**
-   * Returns a new empty model.
-   * @param {array} history - List of actions that created this empty model.
-   * @returns {Model} New empty model.
+   * Gets many nodes of the model type, with its properties and edges. With a
+   * schema, all their items are read through BatchGetItem calls of up to 100
+   * keys, and otherwise with one query per node. Soft deleted nodes are
+   * returned with an error, unless `withDeleted` is set.
+   * @param {string[]} nodes - List of node identifiers.
+   * @param {object} [config] - Configuration object.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @property {boolean} [withDeleted=false] - Read soft deleted nodes too.
+   * @return {Promise} List of BatchResult objects, in input order.
    */
-  function emptyModel(history) {
-    return newModel({
-      node: undefined,
-      data: undefined,
-      properties: [],
-      edges: [],
-      history
+  function getMany(nodes, config = {}) {
+    var { concurrency = CONCURRENCY, withDeleted = false } = config;
+    var track = createTracker('getMany');
+    var failed = {};
+
+    if (!isArray(nodes)) throw new Error('Nodes is not an array');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+
+    var targets = uniq(nodes).filter(node => {
+      try {
+        checkTenant(node);
+        return true;
+      } catch (error) {
+        failed[node] = error;
+        return false;
+      }
+    });
+
+    return readNodes(
+      targets.map(node => ({ node, type, schema: validator })),
+      concurrency,
+      track
+    ).then(results => {
+      var found = keyBy(
+        targets.map((node, i) => ({ node, items: results[i] })),
+        'node'
+      );
+      return nodes.map(node => {
+        if (failed[node] !== undefined) return { node, error: failed[node] };
+        var items = found[node].items;
+        if (items instanceof Error) return { node, error: items };
+        var responses = splitItems(node, items);
+        var item = responses[0].Items[0];
+        if (item === undefined)
+          return { node, error: new Error('Node was not found') };
+        var model = toModel(node, item.Data, responses);
+        return withDeleted !== true && isDeleted(model.properties)
+          ? { node, error: new Error('Node is deleted') }
+          : { node, model };
+      });
     });
   }
   /**
-   * Tracks all the actions performed on the model, and returns a function
-   * that can be called to return only the ones captured by the current
-   * tracker.
-   * @param {boolean} mutate - Flag to indicate if the history should be stored
-   *                           on the current one or on the next.
-   * @returns {function} A function that keeps tracks of events.
-   * @property {function} dump - Returns the currently tracked history.
+   * Raises the maximum number of GSIK of the model type and tenant. Every node
+   * that wasn't migrated yet gets the GSIK of the new distribution on all its
+   * items, and the new MaxGSIK on its node item, which is written last to
+   * mark the node as migrated. The GSIK partitions of the new distribution
+   * are scanned through the `ByType` index. If a `limit` is set, only that
+   * many nodes are migrated, and a cursor to resume the work is returned. An
+   * interrupted migration can also be run again from the start, since the
+   * migrated nodes are skipped.
+   * @param {object} config - Configuration object.
+   * @property {number} maxGSIK - New maximum number of GSIK. It can't be
+   *                              lower than the current one.
+   * @property {number} [limit] - Maximum number of nodes to migrate.
+   * @property {string} [cursor] - Cursor returned by the previous call.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @return {Promise} Repartition result.
+   * @property {string[]} nodes - List of migrated nodes.
+   * @property {string|null} cursor - Cursor to resume the migration, or null
+   *                                  if every node was migrated.
    */
-  function createTracker() {
-    var _history = [];
+  function repartition(config = {}) {
+    var { limit = Infinity, cursor, concurrency = CONCURRENCY } = config;
+    var next = config.maxGSIK;
+    var track = createTracker('repartition');
+    var nodes = [];
+    var seen = 0;
 
-    function track(args) {
-      history = history.concat(args);
-      _history = _history.concat(args);
-    }
+    if (typeof next !== 'number') throw new Error('Max GSIK is not a number');
+    if (typeof limit !== 'number' || limit < 1)
+      throw new Error('Limit is not a positive number');
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+    if (next < maxGSIK) throw new Error('Max GSIK can not be decreased');
 
-    track.dump = () => _history.slice();
+    var decoded = utils.decodeCursor(cursor);
+    var state = decoded.partitions || {};
 
-    return track;
-  }
-};
+    if (cursor !== undefined && decoded.maxGSIK !== next)
+      throw new Error('Cursor is not valid');
+
+    var partitions = utils.listGSIK({ tenant, maxGSIK: next });
+
+    return partitions
+      .reduce(
+        (promise, gsik, i) => promise.then(() => scan(gsik, i)),
+        Promise.resolve()
+      )
+      .then(() => ({
+        nodes,
+        cursor: partitions.every((gsik, i) => state[i] === null)
+          ? null
+          : utils.encodeCursor({ maxGSIK: next, partitions: state })
+      }))
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+    // ---
+    /**
+     * Migrates the nodes of a partition, page by page, until it is exhausted
+     * or the limit is reached.
+     */
+    function scan(gsik, i) {
+      if (state[i] === null || seen >= limit) return;
+
+      var params = {
+        TableName: table,
+        IndexName: 'ByType',
+        KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+        FilterExpression: '#Target = #Node',
+        ExpressionAttributeNames: {
+          '#GSIK': 'GSIK',
+          '#Type': 'Type',
+          '#Target': 'Target',
+          '#Node': 'Node'
+        },
+        ExpressionAttributeValues: { ':GSIK': gsik, ':Type': type }
+      };
+
+      if (limit !== Infinity) params.Limit = limit - seen;
+      if (state[i] !== undefined) params.ExclusiveStartKey = state[i];
+
+      return track.documentClient
+        .query(params)
+        .promise()
+        .then(response => {
+          seen += response.Items.length;
+          return utils
+            .mapLimit(response.Items, concurrency, item =>
+              migrate(item.Node).then(
+                migrated => migrated && nodes.push(item.Node)
+              )
+            )
+            .then(() => {
+              state[i] =
+                response.LastEvaluatedKey !== undefined
+                  ? response.LastEvaluatedKey
+                  : null;
+              return scan(gsik, i);
+            });
+        });
+    }
+    /**
+     * Rewrites the GSIK of every item of a node, and its MaxGSIK. Nodes that
+     * already have the new MaxGSIK are skipped.
+     */
+    function migrate(target) {
+      var GSIK = utils.calculateGSIK({ tenant, node: target, maxGSIK: next });
+
+      return utils
+        .queryAll(track.documentClient, {
+          TableName: table,
+          KeyConditionExpression: '#Node = :Node',
+          ExpressionAttributeNames: { '#Node': 'Node' },
+          ExpressionAttributeValues: { ':Node': target }
+        })
+        .then(items => {
+          var item = items.find(item => item.Type === type);
+          if (item === undefined || item.MaxGSIK === next) return false;
+          return utils
+            .mapLimit(
+              items.filter(other => other !== item && other.GSIK !== GSIK),
+              concurrency,
+              other => writeGSIK(other, GSIK)
+            )
+            .then(() => writeGSIK(item, GSIK, next))
+            .then(() => true);
+        });
+    }
+    /**
+     * Updates the GSIK of an item, and its MaxGSIK if given.
+     */
+    function writeGSIK(item, GSIK, MaxGSIK) {
+      var params = {
+        TableName: table,
+        Key: { Node: item.Node, Type: item.Type },
+        UpdateExpression: 'SET #GSIK = :GSIK',
+        ConditionExpression: 'attribute_exists(#Node)',
+        ExpressionAttributeNames: { '#GSIK': 'GSIK', '#Node': 'Node' },
+        ExpressionAttributeValues: { ':GSIK': GSIK }
+      };
+
+      if (MaxGSIK !== undefined) {
+        params.UpdateExpression += ', #MaxGSIK = :MaxGSIK';
+        params.ExpressionAttributeNames['#MaxGSIK'] = 'MaxGSIK';
+        params.ExpressionAttributeValues[':MaxGSIK'] = MaxGSIK;
+      }
+
+      return track.documentClient.update(params).promise();
+    }
+  }
+  /**
+   * Destroys a node, and all its attached properties and edges. On cascading
+   * destroys, the edges of other nodes that point to it are deleted too, and
+   * so are the targets of its edges declared with `cascade` on the schema.
+   * Soft destroys only mark the node with a DeletedAt property, so it can be
+   * restored.
+   * @param {string} [newNode] - Node identifier. Can be omitted.
+   * @param {object} [config] - Configuration object.
+   * @property {boolean} [cascade=false] - Cascading destroy flag.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @property {boolean} [soft=false] - Soft destroy flag.
+   * @property {number} [ttl] - Seconds after which the items of a soft
+   *                            destroyed node expire, through the ExpiresAt
+   *                            attribute.
+   * @property {number} [sourceMaxGSIK] - Maximum number of GSIK of the nodes
+   *                                      with edges to the destroyed ones, on
+   *                                      cascading destroys. Defaults to the
+   *                                      model one.
+   * @return {Promise} Next model with the resulting data.
+   */
+  function destroy(newNode, config = {}) {
+    if (isObject(newNode)) {
+      config = newNode;
+      newNode = undefined;
+    }
+
+    if (newNode !== undefined) node = newNode;
+
+    var {
+      cascade = false,
+      concurrency = CONCURRENCY,
+      soft = false,
+      sourceMaxGSIK,
+      ttl
+    } = config;
+
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (cascade === true && documentClient === undefined)
+      throw new Error('Document client is undefined');
+    if (soft === true && cascade === true)
+      throw new Error('Soft destroys can not cascade');
+    if (ttl !== undefined && (typeof ttl !== 'number' || ttl <= 0))
+      throw new Error('TTL is not a positive number');
+    if (ttl !== undefined && documentClient === undefined)
+      throw new Error('Document client is undefined');
+    checkSourceMaxGSIK(sourceMaxGSIK);
+    if (
+      validator !== undefined &&
+      validator.uniques().length > 0 &&
+      documentClient === undefined
+    )
+      throw new Error('Document client is undefined');
+
+    var track = createTracker('destroy');
+    var start = Promise.resolve();
+
+    if ((cascade === true || soft === true) && maxGSIK === undefined)
+      start = getMaxGSIK(track);
+
+    if (soft === true)
+      return start
+        .then(() => checkVersion())
+        .then(() => markDeleted(ttl, concurrency, track))
+        .then(() => emptyModel(track.dump()))
+        .catch(error => {
+          track(error);
+          throw error;
+        });
+
+    var item;
+
+    return start
+      .then(() => checkVersion())
+      .then(
+        () =>
+          cascade === true
+            ? track.db.getNodeData(node).then(response => {
+                item = response.Items[0];
+                if (item === undefined) throw new Error('Node is undefined');
+              })
+            : undefined
+      )
+      .then(() => (versioned === true ? deleteVersioned(track) : undefined))
+      .then(
+        () =>
+          cascade === true
+            ? purge(node, item, concurrency, sourceMaxGSIK, track).then(
+                removed => track.note('cascade', removed)
+              )
+            : undefined
+      )
+      .then(
+        () =>
+          validator !== undefined && validator.uniques().length > 0
+            ? track.db.getNodeProperties(node).then(response => response.Items)
+            : []
+      )
+      .then(list =>
+        track.db
+          .deleteNode(node)
+          .then(() => releaseUnique(list, node, track))
+      )
+      .then(() => emptyModel(track.dump()))
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
+  /**
+   * Restores a soft destroyed node, removing its DeletedAt property and the
+   * expiration of its items, and of the sentinels of its unique values, so
+   * the node and its edges are visible again.
+   * @param {string} [newNode] - Node identifier. Can be omitted.
+   * @param {object} [config] - Configuration object.
+   * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+   * @return {Promise} Model of the restored node.
+   */
+  function restore(newNode, config = {}) {
+    if (isObject(newNode)) {
+      config = newNode;
+      newNode = undefined;
+    }
+
+    if (newNode !== undefined) node = newNode;
+
+    var { concurrency = CONCURRENCY } = config;
+
+    if (node === undefined) throw new Error('Node is undefined');
+    checkTenant(node);
+    if (documentClient === undefined)
+      throw new Error('Document client is undefined');
+
+    var track = createTracker('restore');
+
+    return utils
+      .queryAll(track.documentClient, {
+        TableName: table,
+        KeyConditionExpression: '#Node = :Node',
+        ExpressionAttributeNames: { '#Node': 'Node' },
+        ExpressionAttributeValues: { ':Node': node }
+      })
+      .then(items => {
+        var nodeItem = items.find(item => item.Type === type);
+        if (nodeItem === undefined) throw new Error('Node is undefined');
+        if (!isDeleted(items)) throw new Error('Node is not deleted');
+
+        return utils
+          .mapLimit(
+            items.filter(
+              item => item[EXPIRES_AT] !== undefined && item.Type !== DELETED_AT
+            ),
+            concurrency,
+            item =>
+              track.documentClient
+                .update({
+                  TableName: table,
+                  Key: { Node: item.Node, Type: item.Type },
+                  UpdateExpression: 'REMOVE #ExpiresAt',
+                  ExpressionAttributeNames: { '#ExpiresAt': EXPIRES_AT }
+                })
+                .promise()
+          )
+          .then(() => expireUnique(propertiesOf(items), undefined, track))
+          .then(() =>
+            track.db.deletePropertyOrEdge({ node, type: DELETED_AT })
+          )
+          .then(() => load(node, utils.parseData(nodeItem.Data), track))
+          .then(model =>
+            nextModel({
+              node,
+              data: model.data,
+              properties: model.properties,
+              edges: model.edges,
+              history: track.dump(),
+              version: model.version
+            })
+          );
+      })
+      .catch(error => {
+        track(error);
+        throw error;
+      });
+  }
+  /**
+   * Marks the current node as soft deleted, with a DeletedAt property. If a
+   * TTL is given, every item of the node, and the sentinel items of its
+   * unique values, get an ExpiresAt attribute, so DynamoDB purges them once
+   * it is reached. The edges of other nodes that point to it are kept.
+   * @param {number} [ttl] - Seconds until the items expire.
+   * @param {number} concurrency - Maximum number of concurrent calls.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise.
+   */
+  function markDeleted(ttl, concurrency, track) {
+    var now = Date.now();
+    var value = encode(DELETED_AT, now);
+    var write =
+      versioned === true
+        ? writeVersioned(
+            [
+              {
+                Put: { TableName: table, Item: itemOf(node, DELETED_AT, value) }
+              }
+            ],
+            track
+          )
+        : track.db.createProperty({
+            tenant,
+            node,
+            type: DELETED_AT,
+            data: value,
+            maxGSIK
+          });
+
+    return write.then(() => {
+      if (ttl === undefined) return;
+      return utils
+        .queryAll(track.documentClient, {
+          TableName: table,
+          KeyConditionExpression: '#Node = :Node',
+          ExpressionAttributeNames: { '#Node': 'Node' },
+          ExpressionAttributeValues: { ':Node': node }
+        })
+        .then(items => {
+          var expiresAt = Math.floor(now / 1000) + ttl;
+          return Promise.all([
+            utils.mapLimit(items, concurrency, item =>
+              track.documentClient
+                .update({
+                  TableName: table,
+                  Key: { Node: item.Node, Type: item.Type },
+                  UpdateExpression: 'SET #ExpiresAt = :ExpiresAt',
+                  ExpressionAttributeNames: { '#ExpiresAt': EXPIRES_AT },
+                  ExpressionAttributeValues: { ':ExpiresAt': expiresAt }
+                })
+                .promise()
+            ),
+            expireUnique(propertiesOf(items), expiresAt, track)
+          ]);
+        });
+    });
+  }
+  /**
+   * Checks if a list of properties marks a node as soft deleted.
+   * @param {Property[]} [list=[]] - List of properties.
+   * @returns {boolean} True if the list has a DeletedAt property.
+   */
+  function isDeleted(list = []) {
+    return list.some(prop => prop.Type === DELETED_AT);
+  }
+  /**
+   * Deletes the edges that point to a node, and destroys the targets of its
+   * edges declared with `cascade` on the schema, releasing their unique
+   * values. The node itself is not deleted. Only the edges of the node are
+   * followed to find dependents.
+   * @param {string} target - Node identifier.
+   * @param {object} item - Data item of the node, read before its deletion.
+   * @param {number} concurrency - Maximum number of concurrent calls.
+   * @param {number} [sourceMaxGSIK] - Maximum number of GSIK of the sources.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Record of the removed nodes and edges.
+   */
+  function purge(target, item, concurrency, sourceMaxGSIK, track) {
+    var removed = { Node: target, Edges: [], Nodes: [] };
+    var found = [];
+
+    return track.db
+      .getNodeEdges(target)
+      .then(edgesResponse => {
+        var dependents = uniq(
+          edgesResponse.Items.filter(
+            edge =>
+              validator !== undefined &&
+              validator.cascades(edge.Type) &&
+              edge.Target !== target
+          ).map(edge => edge.Target)
+        );
+        return utils
+          .mapLimit(dependents, concurrency, dependent =>
+            track.db.getNode(dependent).then(response => ({
+              node: dependent,
+              item: response.Items[0]
+            }))
+          )
+          .then(entries => {
+            found = entries.filter(entry => entry.item !== undefined);
+            removed.Nodes = found.map(entry => entry.node);
+            return utils.mapLimit(
+              [{ node: target, item }].concat(found),
+              concurrency,
+              entry =>
+                findIncomingEdges(
+                  entry.node,
+                  JSON.stringify(entry.item.Data),
+                  sourceMaxGSIK,
+                  track
+                )
+            );
+          });
+      })
+      .then(results => {
+        removed.Edges = results
+          .reduce((acc, items) => acc.concat(items), [])
+          .map(edge => ({ Node: edge.Node, Type: edge.Type }));
+        return utils.mapLimit(removed.Edges, concurrency, edge =>
+          track.db.deletePropertyOrEdge({ node: edge.Node, type: edge.Type })
+        );
+      })
+      .then(() =>
+        utils.mapLimit(found, concurrency, entry =>
+          track.db
+            .getNodeProperties(entry.node)
+            .then(response =>
+              track.db
+                .deleteNode(entry.node)
+                .then(() =>
+                  releaseDependent(
+                    response.Items,
+                    entry.node,
+                    entry.item.Type,
+                    track
+                  )
+                )
+            )
+        )
+      )
+      .then(() => removed);
+  }
+  /**
+   * Releases the values of the properties of a node destroyed by a cascade.
+   * The schema of its type is unknown to the model, so every property is
+   * released, and only the values owned by the node are deleted.
+   * @param {Property[]} [list=[]] - List of properties, with its stored
+   *                                 values.
+   * @param {string} target - Node identifier.
+   * @param {string} nodeType - Node type.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise.
+   */
+  function releaseDependent(list = [], target, nodeType, track) {
+    return Promise.all(
+      list
+        .filter(prop => Schema.RESERVED_TYPES.indexOf(prop.Type) === -1)
+        .map(prop =>
+          unique.release(
+            Object.assign(uniqueValue(prop, target, track), {
+              tenant: utils.tenantOf(target),
+              type: nodeType
+            })
+          )
+        )
+    );
+  }
+  /**
+   * Checks the maximum number of GSIK given for the source nodes of the
+   * incoming edges.
+   * @param {number} [sourceMaxGSIK] - Maximum number of GSIK of the sources.
+   */
+  function checkSourceMaxGSIK(sourceMaxGSIK) {
+    if (sourceMaxGSIK !== undefined && typeof sourceMaxGSIK !== 'number')
+      throw new Error('Source max GSIK is not a number');
+  }
+  /**
+   * Returns the GSIK partitions that can hold edges pointing to the nodes of
+   * the model. Edges take the GSIK of their source node, so the partitions of
+   * the larger maxGSIK, between the model and the sources, are listed.
+   * @param {number} [sourceMaxGSIK=maxGSIK] - Maximum number of GSIK of the
+   *                                           sources.
+   * @returns {string[]} List of GSIK values.
+   */
+  function sourcePartitions(sourceMaxGSIK = maxGSIK) {
+    return utils.listGSIK({
+      tenant,
+      maxGSIK: Math.max(maxGSIK, sourceMaxGSIK)
+    });
+  }
+  /**
+   * Returns the inverse type of an edge type.
+   * @param {string} edgeType - Edge type.
+   * @param {string} [inverse] - Explicit inverse type.
+   * @returns {string|undefined} Inverse type, if any.
+   */
+  function inverseOf(edgeType, inverse) {
+    if (inverse !== undefined) return inverse;
+    if (validator !== undefined && edgeType !== undefined)
+      return validator.inverseOf(edgeType);
+  }
+  /**
+   * Encodes a value with the codec declared for it on the schema, if any.
+   * @param {string} valueType - Property type, or node type for the main data.
+   * @param {any} value - Value to encode.
+   * @returns {any} Value to write on the table.
+   */
+  function encode(valueType, value) {
+    var codec = validator !== undefined ? validator.codecOf(valueType) : null;
+    return codec ? codec.encode(value) : value;
+  }
+  /**
+   * Decodes a value read from the table with the codec declared for it on the
+   * schema, if any.
+   * @param {string} valueType - Property type, or node type for the main data.
+   * @param {any} value - Value read from the table.
+   * @returns {any} Decoded value.
+   */
+  function decode(valueType, value) {
+    var codec = validator !== undefined ? validator.codecOf(valueType) : null;
+    return codec ? codec.decode(value) : value;
+  }
+  /**
+   * Returns a copy of a property list, with its values encoded.
+   * @param {Property[]} [list=[]] - List of properties.
+   * @returns {Property[]} List of encoded properties.
+   */
+  function encodeProperties(list = []) {
+    return list.map(prop =>
+      Object.assign({}, prop, { Data: encode(prop.Type, prop.Data) })
+    );
+  }
+  /**
+   * Returns a copy of a property list read from the table, with its values
+   * decoded.
+   * @param {Property[]} [list=[]] - List of properties.
+   * @returns {Property[]} List of decoded properties.
+   */
+  function decodeProperties(list = []) {
+    return list.map(prop =>
+      Object.assign({}, prop, { Data: decode(prop.Type, prop.Data) })
+    );
+  }
+  /**
+   * Encodes the values of a `find` condition, so they are compared with the
+   * stored values. The `beginsWith` value is a prefix of the stored value, so
+   * it is left as it is.
+   * @param {string} valueType - Property type, or node type for the main data.
+   * @param {object} where - Condition object.
+   * @returns {object} Condition object with encoded values.
+   */
+  function encodeCondition(valueType, where) {
+    return Object.keys(where).reduce((acc, key) => {
+      if (key === 'between' && isArray(where[key]))
+        acc[key] = where[key].map(value => encode(valueType, value));
+      else if (['equals', 'lt', 'lte', 'gt', 'gte'].indexOf(key) > -1)
+        acc[key] = encode(valueType, where[key]);
+      else acc[key] = where[key];
+      return acc;
+    }, {});
+  }
+  /**
+   * Checks if a property type was declared as `unique` on the schema.
+   * @param {string} propertyType - Property type.
+   * @returns {boolean} True if the values of the property must be unique.
+   */
+  function isUnique(propertyType) {
+    return validator !== undefined && validator.isUnique(propertyType);
+  }
+  /**
+   * Returns the unique properties of a list.
+   * @param {Property[]} [list=[]] - List of properties.
+   * @returns {Property[]} List of unique properties.
+   */
+  function uniqueOf(list = []) {
+    return list.filter(prop => isUnique(prop.Type));
+  }
+  /**
+   * Reserves the values of the unique properties of a list for a node. The
+   * reserved properties are pushed to a list, so they can be released if a
+   * later write fails.
+   * @param {Property[]} list - List of properties, with its stored values.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @param {Property[]} [reserved=[]] - List of reserved properties.
+   * @returns {Promise} Empty promise, rejected with a UniqueConstraintError if
+   *                    a value is used by another node.
+   */
+  function reserveUnique(list, target, track, reserved = []) {
+    return Promise.all(
+      uniqueOf(list).map(prop =>
+        unique
+          .reserve(uniqueValue(prop, target, track))
+          .then(
+            () => {
+              reserved.push(prop);
+            },
+            error => error
+          )
+      )
+    ).then(results => {
+      // Every reservation is settled first, so all of them can be released.
+      var error = results.find(result => result !== undefined);
+      if (error !== undefined) throw error;
+    });
+  }
+  /**
+   * Releases the values of the unique properties of a list, if they are
+   * owned by a node.
+   * @param {Property[]} [list=[]] - List of properties, with its stored
+   *                                 values.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise.
+   */
+  function releaseUnique(list = [], target, track) {
+    return Promise.all(
+      uniqueOf(list).map(prop =>
+        unique.release(uniqueValue(prop, target, track))
+      )
+    );
+  }
+  /**
+   * Sets the expiration of the sentinel items of the values of the unique
+   * properties of a list, if they are owned by the current node.
+   * @param {Property[]} [list=[]] - List of properties, with its stored
+   *                                 values.
+   * @param {number} [expiresAt] - Epoch second when the sentinels expire. If
+   *                               undefined, the expiration is removed.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise.
+   */
+  function expireUnique(list = [], expiresAt, track) {
+    return Promise.all(
+      uniqueOf(list).map(prop =>
+        unique.expire(
+          Object.assign(uniqueValue(prop, node, track), {
+            attribute: EXPIRES_AT,
+            expiresAt
+          })
+        )
+      )
+    );
+  }
+  /**
+   * Returns the properties of a list of items of a node, with its stored
+   * values.
+   * @param {object[]} items - Items of the node.
+   * @returns {Property[]} List of properties.
+   */
+  function propertiesOf(items) {
+    return items
+      .filter(item => item.Target === undefined)
+      .map(item => ({ Type: item.Type, Data: utils.parseData(item.Data) }));
+  }
+  /**
+   * Returns the UniqueValue object of a property of a node.
+   */
+  function uniqueValue(prop, target, track) {
+    return {
+      documentClient: track.documentClient,
+      table,
+      tenant,
+      type,
+      property: prop.Type,
+      value: prop.Data,
+      node: target
+    };
+  }
+  /**
+   * Writes a value of a unique property of the current node. The new value
+   * is reserved before the write, and the previous one is released after it.
+   * If the write fails, the new value is released.
+   * @param {string} propertyType - Property type.
+   * @param {any} value - Stored value of the property.
+   * @param {function} write - Function that writes the property.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Result of the write.
+   */
+  function writeUnique(propertyType, value, write, track) {
+    var next = [{ Type: propertyType, Data: value }];
+
+    return readProperty(propertyType, track).then(previous => {
+      var changed = !isEqual(previous, value);
+      return reserveUnique(next, node, track)
+        .then(() =>
+          write().catch(error => {
+            if (!changed) throw error;
+            return releaseUnique(next, node, track).then(() => {
+              throw error;
+            });
+          })
+        )
+        .then(result => {
+          if (!changed || previous === undefined) return result;
+          return releaseUnique(
+            [{ Type: propertyType, Data: previous }],
+            node,
+            track
+          ).then(() => result);
+        });
+    });
+  }
+  /**
+   * Reads the stored value of a property of the current node.
+   * @param {string} propertyType - Property type.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Stored value, or undefined if the property is not set.
+   */
+  function readProperty(propertyType, track) {
+    return track.documentClient
+      .get({ TableName: table, Key: { Node: node, Type: propertyType } })
+      .promise()
+      .then(
+        response =>
+          response.Item !== undefined
+            ? utils.parseData(response.Item.Data)
+            : undefined
+      );
+  }
+  /**
+   * Checks that a node belongs to the model tenant, on models with a strict
+   * tenant. Edge targets are allowed on other tenants if its edge type was
+   * declared with `crossTenant` on the schema.
+   * @param {string|Model} target - Node identifier, or node Model.
+   * @param {string} [edgeType] - Edge type, if the node is an edge target.
+   * @throws {TenantIsolationError} If the node belongs to another tenant.
+   */
+  function checkTenant(target, edgeType) {
+    if (strictTenant !== true) return;
+    if (isObject(target)) target = target.node;
+    if (typeof target !== 'string' || utils.tenantOf(target) === tenant) return;
+    if (
+      edgeType !== undefined &&
+      validator !== undefined &&
+      validator.allowsCrossTenant(edgeType)
+    )
+      return;
+    throw new errors.TenantIsolationError({
+      node: target,
+      tenant,
+      edge: edgeType
+    });
+  }
+  /**
+   * Creates an edge, and its inverse edge from the target node if an inverse
+   * type is given. Both edges are written together, and if one of them fails
+   * the other one is deleted.
+   * @param {object} config - Configuration object.
+   * @property {string} node - Source node.
+   * @property {string|Model} target - Target node ID, or target node Model.
+   * @property {string} type - Edge type.
+   * @property {string} [inverse] - Inverse edge type.
+   * @property {object} [meta] - Edge metadata, stored only on the edge.
+   * @property {boolean} [versioned=false] - Write the edges on a transaction
+   *                                         with the version bump of the
+   *                                         current node.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List with the results of each edge creation.
+   */
+  function link(config, track) {
+    var { node, target, type, inverse, meta, versioned = false } = config;
+    var targetMaxGSIK = isObject(target) ? target.maxGSIK : undefined;
+
+    if (isObject(target) && target.node) target = target.node;
+    if (versioned === true)
+      return linkVersioned({ target, type, inverse, meta }, track);
+
+    var writes = [
+      track.db.createEdge({ tenant, type, node, target, maxGSIK }).then(
+        result =>
+          meta === undefined
+            ? result
+            : writeMeta(node, type, meta, track).then(
+                () =>
+                  Object.assign({}, result, {
+                    Item: Object.assign({}, result.Item, { MetaData: meta })
+                  }),
+                error =>
+                  track.db.deletePropertyOrEdge({ node, type }).then(() => {
+                    throw error;
+                  })
+              )
+      )
+    ];
+
+    if (inverse !== undefined)
+      writes.push(
+        (targetMaxGSIK !== undefined
+          ? Promise.resolve(targetMaxGSIK)
+          : track.db.getNode(target).then(response => {
+              var item = response.Items[0];
+              return item && item.MaxGSIK !== undefined
+                ? item.MaxGSIK
+                : maxGSIK;
+            })
+        ).then(targetMaxGSIK =>
+          track.db.createEdge({
+            tenant: utils.tenantOf(target),
+            type: inverse,
+            node: target,
+            target: node,
+            maxGSIK: targetMaxGSIK
+          })
+        )
+      );
+
+    return Promise.all(
+      writes.map(write =>
+        write.then(value => ({ value }), error => ({ error }))
+      )
+    ).then(results => {
+      var failed = results.filter(result => result.error !== undefined);
+
+      if (failed.length === 0) return results.map(result => result.value);
+
+      var rollback = [];
+
+      if (results[0].error === undefined)
+        rollback.push(track.db.deletePropertyOrEdge({ node, type }));
+      if (results[1] !== undefined && results[1].error === undefined)
+        rollback.push(
+          track.db.deletePropertyOrEdge({ node: target, type: inverse })
+        );
+
+      return Promise.all(rollback).then(() => {
+        throw failed[0].error;
+      });
+    });
+  }
+  /**
+   * Creates an edge of the current node, and its inverse edge if an inverse
+   * type is given, on a transaction with the version bump of the node. The
+   * data of each target is copied on its edge, like `dynamodb-graph` does.
+   * @param {object} config - Configuration object.
+   * @property {string} target - Target node.
+   * @property {string} type - Edge type.
+   * @property {string} [inverse] - Inverse edge type.
+   * @property {object} [meta] - Edge metadata.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List with the result of the edge creation.
+   */
+  function linkVersioned(config, track) {
+    var { target, type, inverse, meta } = config;
+
+    return Promise.all([
+      track.db.getNode(target),
+      inverse !== undefined ? track.db.getNodeData(node) : undefined
+    ]).then(([targetResponse, nodeResponse]) => {
+      var targetItem = targetResponse.Items[0];
+      var edge = itemOf(node, type, undefined, target);
+      var actions = [{ Put: { TableName: table, Item: edge } }];
+
+      if (targetItem === undefined) throw new Error('Target is undefined');
+
+      edge.Data = JSON.stringify(targetItem.Data);
+      if (meta !== undefined) edge.MetaData = meta;
+
+      if (inverse !== undefined) {
+        var nodeItem = nodeResponse.Items[0];
+        if (nodeItem === undefined) throw new Error('Node is undefined');
+        actions.push({
+          Put: {
+            TableName: table,
+            Item: itemOf(
+              target,
+              inverse,
+              nodeItem.Data,
+              node,
+              targetItem.MaxGSIK !== undefined ? targetItem.MaxGSIK : maxGSIK,
+              utils.tenantOf(target)
+            )
+          }
+        });
+      }
+
+      return writeVersioned(actions, track).then(() => [{ Item: edge }]);
+    });
+  }
+  /**
+   * Stores the metadata of an existing edge.
+   * @param {string} source - Source node.
+   * @param {string} edgeType - Edge type.
+   * @param {object} meta - Edge metadata.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} DynamoDB response.
+   */
+  function writeMeta(source, edgeType, meta, track) {
+    return track.documentClient
+      .update(metaParams(source, edgeType, meta))
+      .promise();
+  }
+  /**
+   * Returns the update params that store the metadata of an existing edge.
+   * @param {string} source - Source node.
+   * @param {string} edgeType - Edge type.
+   * @param {object} meta - Edge metadata.
+   * @returns {object} DocumentClient update params.
+   */
+  function metaParams(source, edgeType, meta) {
+    return {
+      TableName: table,
+      Key: { Node: source, Type: edgeType },
+      UpdateExpression: 'SET #MetaData = :MetaData',
+      ConditionExpression: 'attribute_exists(#Target)',
+      ExpressionAttributeNames: {
+        '#MetaData': 'MetaData',
+        '#Target': 'Target'
+      },
+      ExpressionAttributeValues: { ':MetaData': meta }
+    };
+  }
+  /**
+   * Gets the edges of a node. With a DocumentClient, the edge items are
+   * queried directly, so their metadata, that `dynamodb-graph` doesn't
+   * project, is read on the same query.
+   * @param {string} source - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Response with the list of edges on its Items.
+   */
+  function getNodeEdges(source, track) {
+    if (documentClient === undefined) return track.db.getNodeEdges(source);
+
+    return utils
+      .queryAll(track.documentClient, {
+        TableName: table,
+        KeyConditionExpression: '#Node = :Node',
+        FilterExpression: '#Target <> :Node',
+        ProjectionExpression: '#Type, #Data, #Target, #MetaData',
+        ExpressionAttributeNames: {
+          '#Node': 'Node',
+          '#Type': 'Type',
+          '#Data': 'Data',
+          '#Target': 'Target',
+          '#MetaData': 'MetaData'
+        },
+        ExpressionAttributeValues: { ':Node': source }
+      })
+      .then(items => ({
+        Items: items.map(item =>
+          Object.assign({}, item, { Data: utils.parseData(item.Data) })
+        )
+      }));
+  }
+  /**
+   * Adds the metadata of the edges of the nodes listed by `dynamodb-graph`,
+   * that leaves it out. The edge items are read with BatchGetItem calls, of
+   * up to 100 edges each. Without a DocumentClient, the nodes are returned as
+   * they are.
+   * @param {object[]} items - Nodes returned by
+   *                           `getNodesWithPropertiesAndEdges`.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List of nodes, with the metadata on their edges.
+   */
+  function addMetaData(items, track) {
+    var keys = items.reduce(
+      (acc, item) =>
+        acc.concat(
+          (item.Edges || []).map(edge => ({ Node: item.Node, Type: edge.Type }))
+        ),
+      []
+    );
+
+    if (documentClient === undefined || keys.length === 0)
+      return Promise.resolve(items);
+
+    return utils
+      .mapLimit(chunk(keys, batch.BATCH_GET_SIZE), CONCURRENCY, keys =>
+        batch.read({
+          documentClient: track.documentClient,
+          table,
+          keys,
+          retry: retryPolicy
+        })
+      )
+      .then(results => {
+        var meta = {};
+        results.forEach(result =>
+          result.items
+            .filter(item => item.MetaData !== undefined)
+            .forEach(item => {
+              meta[item.Node] = meta[item.Node] || {};
+              meta[item.Node][item.Type] = item.MetaData;
+            })
+        );
+
+        return items.map(item => {
+          var nodeMeta = meta[item.Node];
+          if (nodeMeta === undefined) return item;
+          return Object.assign({}, item, {
+            Edges: item.Edges.map(
+              edge =>
+                nodeMeta[edge.Type] !== undefined
+                  ? Object.assign({}, edge, { MetaData: nodeMeta[edge.Type] })
+                  : edge
+            )
+          });
+        });
+      });
+  }
+  /**
+   * Reads the versions of the nodes listed by `dynamodb-graph`, that leaves
+   * them out. On versioned models, their node items are read with strongly
+   * consistent BatchGetItem calls, of up to 100 nodes each. Otherwise, the
+   * nodes have no version.
+   * @param {object[]} items - Nodes returned by
+   *                           `getNodesWithPropertiesAndEdges`.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Map of node identifiers to its version.
+   */
+  function readVersions(items, track) {
+    var keys = items.map(item => ({ Node: item.Node, Type: type }));
+
+    if (versioned !== true || documentClient === undefined || keys.length === 0)
+      return Promise.resolve({});
+
+    return utils
+      .mapLimit(chunk(keys, batch.BATCH_GET_SIZE), CONCURRENCY, keys =>
+        batch.read({
+          documentClient: track.documentClient,
+          table,
+          keys,
+          consistentRead: true,
+          retry: retryPolicy
+        })
+      )
+      .then(results =>
+        results.reduce((acc, result) => {
+          result.items.forEach(item => {
+            acc[item.Node] = item.Version !== undefined ? item.Version : 0;
+          });
+          return acc;
+        }, {})
+      );
+  }
+  /**
+   * Returns the target of an edge of the current node.
+   * @param {string} type - Edge type.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Target node, or undefined if there is no such edge.
+   */
+  function edgeTarget(type, track) {
+    var index = findIndex(edges, edge => edge.Type === type);
+    if (index > -1) return Promise.resolve(edges[index].Target);
+    return track.db.getNodeEdges(node).then(response => {
+      var edge = response.Items.filter(item => item.Type === type)[0];
+      return edge && edge.Target;
+    });
+  }
+  /**
+   * Removes the inverse of an edge from its target node, only if it points
+   * back to the current node.
+   * @param {string} target - Target node of the edge.
+   * @param {string} inverse - Inverse edge type.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty chain to continue the work.
+   */
+  function unlink(target, inverse, track) {
+    return track.db.getNodeEdges(target).then(response => {
+      if (
+        !response.Items.some(
+          item => item.Type === inverse && item.Target === node
+        )
+      )
+        return;
+      return track.db.deletePropertyOrEdge({ node: target, type: inverse });
+    });
+  }
+  /**
+   * Loads the targets of the included edge types of the current node. The
+   * target node type must be known: it is taken from the include entry, from
+   * the schema, or else it is assumed to be equal to the edge type. The
+   * targets with a known schema, given on the include entry or shared with
+   * the model, are read together through BatchGetItem calls, and the others
+   * with one query each. Missing targets are skipped.
+   * @param {Array<string|object>} include - List of included edge types.
+   * @param {number} concurrency - Maximum number of concurrent calls.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Map of edge types to the models of its targets.
+   */
+  function loadIncluded(include, concurrency, track) {
+    var targets = include
+      .map(entry => (isObject(entry) ? entry : { type: entry }))
+      .map(entry => {
+        var nodeType =
+          entry.target ||
+          (validator !== undefined && validator.targetOf(entry.type)) ||
+          entry.type;
+        return {
+          type: entry.type,
+          edge: edges.find(edge => edge.Type === entry.type),
+          nodeType,
+          schema:
+            entry.schema !== undefined
+              ? Schema(entry.schema, nodeType)
+              : nodeType === type ? validator : undefined
+        };
+      })
+      .filter(entry => entry.edge !== undefined);
+
+    return readNodes(
+      targets.map(entry => ({
+        node: entry.edge.Target,
+        type: entry.nodeType,
+        schema: entry.schema
+      })),
+      concurrency,
+      track
+    ).then(results =>
+      targets.reduce((acc, entry, i) => {
+        var target = entry.edge.Target;
+        var items = results[i];
+        if (items instanceof Error) throw items;
+        var item = items.find(
+          item => item.Type === entry.nodeType && item.Target === target
+        );
+        if (item === undefined) return acc;
+        acc[entry.type] = toModel(
+          target,
+          utils.parseData(item.Data),
+          splitItems(target, items, entry.nodeType),
+          entry.nodeType,
+          item.MaxGSIK
+        );
+        return acc;
+      }, {})
+    );
+  }
+  /**
+   * Reads a node through the context. The nodes requested on the same tick
+   * reach a single fetch of the context, that reads them like `getMany`: with
+   * a schema, its items are read through BatchGetItem calls, and otherwise
+   * with one query per node, up to 4 at the same time. Models with a schema
+   * group their reads by node type, as they only read the declared types.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List with the node data, properties and edges
+   *                    responses, and the node version, like the driver
+   *                    calls made by `get`.
+   */
+  function readThroughContext(target, track) {
+    return context
+      .load({
+        node: target,
+        group: validator !== undefined ? table + ':' + type : table,
+        fetch: nodes =>
+          readNodes(
+            nodes.map(node => ({ node, type, schema: validator })),
+            CONCURRENCY,
+            track
+          )
+      })
+      .then(items => {
+        var results = splitItems(target, items);
+        var item = results[0].Items[0];
+        return results.concat(
+          versioned !== true
+            ? version
+            : item !== undefined ? item.Version : undefined
+        );
+      });
+  }
+  /**
+   * Queries every item of a node: its node item, properties and edges. The
+   * read is strongly consistent on versioned models.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List of items.
+   */
+  function queryNode(target, track) {
+    return utils.queryAll(track.documentClient, {
+      TableName: table,
+      KeyConditionExpression: '#Node = :Node',
+      ExpressionAttributeNames: { '#Node': 'Node' },
+      ExpressionAttributeValues: { ':Node': target },
+      ConsistentRead: versioned === true
+    });
+  }
+  /**
+   * Reads every item of many nodes. The items of the nodes with a schema are
+   * read through BatchGetItem calls of up to 100 keys, built from the types
+   * declared on it, so the items of other types are left out. The other
+   * nodes are read with one query each. The reads are strongly consistent on
+   * versioned models.
+   * @param {object[]} targets - List of `{ node, type, schema }` objects,
+   *                             with the node type and its Schema, if known.
+   * @param {number} concurrency - Maximum number of concurrent calls.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} List with the items of each node, or the error of its
+   *                    read, in order.
+   */
+  function readNodes(targets, concurrency, track) {
+    var keys = uniqBy(
+      targets
+        .filter(target => target.schema !== undefined)
+        .reduce((acc, target) => acc.concat(keysOf(target)), []),
+      key => key.Node + '|' + key.Type
+    );
+    var queried = uniq(
+      targets
+        .filter(target => target.schema === undefined)
+        .map(target => target.node)
+    );
+    var found = {};
+    var failed = {};
+
+    return Promise.all([
+      utils.mapLimit(chunk(keys, batch.BATCH_GET_SIZE), concurrency, keys =>
+        batch
+          .read({
+            documentClient: track.documentClient,
+            table,
+            keys,
+            consistentRead: versioned === true,
+            retry: retryPolicy
+          })
+          .then(result => {
+            result.items.forEach(item => {
+              found[item.Node] = (found[item.Node] || []).concat(item);
+            });
+            result.unprocessed.forEach(key => {
+              failed[key.Node] = new Error('Item was not processed');
+            });
+          })
+          .catch(error => keys.forEach(key => (failed[key.Node] = error)))
+      ),
+      utils.mapLimit(queried, concurrency, node =>
+        queryNode(node, track).then(
+          items => (found[node] = items),
+          error => (failed[node] = error)
+        )
+      )
+    ]).then(() =>
+      targets.map(target => failed[target.node] || found[target.node] || [])
+    );
+  }
+  /**
+   * Returns the keys of the items that a node can have, according to its
+   * schema: its node item, the declared properties and edges, and the
+   * reserved properties.
+   * @param {object} target - Node, with its type and Schema.
+   * @returns {object[]} List of item keys.
+   */
+  function keysOf(target) {
+    return uniq(
+      [target.type].concat(Schema.RESERVED_TYPES, target.schema.itemTypes())
+    ).map(itemType => ({ Node: target.node, Type: itemType }));
+  }
+  /**
+   * Splits the items of a node into responses like the ones of the
+   * `getNodeData`, `getNodeProperties` and `getNodeEdges` driver calls. The
+   * item of the data response carries the node version, that is 0 for nodes
+   * that were never written on versioned mode.
+   * @param {string} target - Node identifier.
+   * @param {object[]} items - Items of the node.
+   * @param {string} [nodeType=type] - Node type.
+   * @returns {object[]} List with the data, properties and edges responses.
+   */
+  function splitItems(target, items, nodeType = type) {
+    var item = items.find(
+      item => item.Type === nodeType && item.Target === target
+    );
+    var edges = items
+      .filter(item => item.Target !== undefined && item.Target !== target)
+      .map(item => {
+        var edge = {
+          Type: item.Type,
+          Data: utils.parseData(item.Data),
+          Target: item.Target
+        };
+        if (item.MetaData !== undefined) edge.MetaData = item.MetaData;
+        return edge;
+      });
+
+    var properties = items
+      .filter(item => item.Target === undefined)
+      .map(item => ({
+        Node: item.Node,
+        Type: item.Type,
+        Data: utils.parseData(item.Data)
+      }));
+
+    return [
+      {
+        Items: item
+          ? [
+              {
+                Data: utils.parseData(item.Data),
+                Version: item.Version !== undefined ? item.Version : 0
+              }
+            ]
+          : []
+      },
+      { Items: properties },
+      { Items: edges }
+    ];
+  }
+  /**
+   * Returns a new Model of any node, loading its type, data, properties and
+   * edges.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Model of the node.
+   */
+  function fetchNode(target, track) {
+    return track.db.getNode(target).then(response => {
+      var item = response.Items[0];
+      if (item === undefined) throw new Error('Node is undefined');
+      return load(target, item.Data, track, item.Type, item.MaxGSIK);
+    });
+  }
+  /**
+   * Returns a new Model of a node, loading its properties and edges. With a
+   * DocumentClient, they are read on a single query of the node items,
+   * otherwise with one `dynamodb-graph` call each. If the node is of another
+   * type, the model will not carry the current schema.
+   * @param {string} node - Node identifier.
+   * @param {any} data - Node main data.
+   * @param {function} track - Tracker function.
+   * @param {string} [nodeType=type] - Node type.
+   * @param {number} [nodeMaxGSIK=maxGSIK] - Node maximum number of GSIK.
+   * @returns {Promise} Model of the node.
+   */
+  function load(node, data, track, nodeType = type, nodeMaxGSIK = maxGSIK) {
+    var read =
+      documentClient !== undefined
+        ? queryNode(node, track).then(items =>
+            splitItems(node, items, nodeType)
+          )
+        : Promise.all([
+            { Items: [] },
+            track.db.getNodeProperties(node),
+            track.db.getNodeEdges(node)
+          ]);
+
+    return read.then(responses =>
+      toModel(node, data, responses, nodeType, nodeMaxGSIK)
+    );
+  }
+  /**
+   * Returns a new Model of a node, from the responses of the reads of its
+   * items. If the node is of another type, the model will not carry the
+   * current schema.
+   * @param {string} node - Node identifier.
+   * @param {any} data - Node main data.
+   * @param {object[]} responses - List with the data, properties and edges
+   *                               responses, like the ones of `splitItems`.
+   * @param {string} [nodeType=type] - Node type.
+   * @param {number} [nodeMaxGSIK=maxGSIK] - Node maximum number of GSIK.
+   * @returns {Model} Model of the node.
+   */
+  function toModel(
+    node,
+    data,
+    responses,
+    nodeType = type,
+    nodeMaxGSIK = maxGSIK
+  ) {
+    var [dataResult, propertiesResult, edgesResult] = responses;
+    var list = propertiesResult.Items.map(prop => omit(prop, 'Node'));
+    var item = versioned === true ? dataResult.Items[0] : undefined;
+    // Versioned models take the data from the same read as the version.
+    if (item !== undefined) data = item.Data;
+    var override = {
+      node,
+      data: nodeType === type ? decode(type, data) : data,
+      properties: nodeType === type ? decodeProperties(list) : list,
+      edges: edgesResult.Items,
+      history: [],
+      included: {},
+      version: item !== undefined ? item.Version : undefined
+    };
+
+    if (nodeType === type) return newModel(override);
+
+    return Model(
+      Object.assign(omit(options, 'schema'), override, {
+        type: nodeType,
+        maxGSIK: nodeMaxGSIK
+      })
+    );
+  }
+  /**
+   * Reads the node item with a strongly consistent read, so its data and its
+   * version are read together, and are up to date. Nodes that were never
+   * written on versioned mode are on version 0.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @param {string} [nodeType=type] - Node type.
+   * @returns {Promise} Response like the one of `getNodeData`, with the
+   *                    version of the node on its item.
+   */
+  function readNodeItem(target, track, nodeType = type) {
+    return track.documentClient
+      .get({
+        TableName: table,
+        Key: { Node: target, Type: nodeType },
+        ConsistentRead: true
+      })
+      .promise()
+      .then(response => {
+        var item = response.Item;
+        if (item === undefined) return { Items: [] };
+        return {
+          Items: [
+            {
+              Data: utils.parseData(item.Data),
+              Version: item.Version !== undefined ? item.Version : 0
+            }
+          ]
+        };
+      });
+  }
+  /**
+   * Reads the current version of a node.
+   * @param {string} target - Node identifier.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Version of the node, or undefined if it doesn't exist.
+   */
+  function readVersion(target, track) {
+    return readNodeItem(target, track).then(
+      response =>
+        response.Items[0] !== undefined ? response.Items[0].Version : undefined
+    );
+  }
+  /**
+   * Checks that the writes of a versioned model can check its version.
+   * @returns {Promise} Empty promise, rejected if the model has no version,
+   *                    or no DocumentClient.
+   */
+  function checkVersion() {
+    if (versioned !== true) return Promise.resolve();
+    if (version === undefined)
+      return Promise.reject(new Error('Version is undefined'));
+    if (documentClient === undefined)
+      return Promise.reject(new Error('Document client is undefined'));
+    return Promise.resolve();
+  }
+  /**
+   * Returns the version of the node after a write of the model.
+   * @returns {number} Next version, or the current one if the model is not
+   *                   versioned.
+   */
+  function nextVersion() {
+    return versioned === true ? version + 1 : version;
+  }
+  /**
+   * Adds the check of the model version to the params of a write on the node
+   * item. Nodes on version 0 don't have a Version attribute.
+   * @param {object} params - DocumentClient write params.
+   * @returns {object} Write params with the version condition.
+   */
+  function withVersion(params) {
+    var condition = '#Version = :current';
+    var names = { '#Version': 'Version' };
+    var attributes = { ':current': version };
+
+    if (version === 0) {
+      condition = 'attribute_exists(#Node) AND attribute_not_exists(#Version)';
+      names['#Node'] = 'Node';
+      attributes = {};
+    }
+
+    var result = Object.assign({}, params, {
+      ConditionExpression:
+        params.ConditionExpression !== undefined
+          ? `(${params.ConditionExpression}) AND ${condition}`
+          : condition,
+      ExpressionAttributeNames: Object.assign(
+        {},
+        params.ExpressionAttributeNames,
+        names
+      )
+    });
+
+    attributes = Object.assign(
+      {},
+      params.ExpressionAttributeValues,
+      attributes
+    );
+    // DynamoDB rejects empty maps of values.
+    if (Object.keys(attributes).length > 0)
+      result.ExpressionAttributeValues = attributes;
+
+    return result;
+  }
+  /**
+   * Writes items on a transaction with the version bump of the current node,
+   * so they are written only if the node wasn't modified since the model was
+   * read. The node item can't be one of them.
+   * @param {object[]} actions - List of TransactWriteItems actions, like
+   *                             `{ Put: params }`.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise, rejected with a
+   *                    ConcurrentModificationError if the version changed.
+   */
+  function writeVersioned(actions, track) {
+    var bump = withVersion({
+      TableName: table,
+      Key: { Node: node, Type: type },
+      UpdateExpression: 'SET #Version = :next',
+      ExpressionAttributeValues: { ':next': version + 1 }
+    });
+
+    return track.documentClient
+      .transactWrite({ TransactItems: [{ Update: bump }].concat(actions) })
+      .promise()
+      .catch(error =>
+        rejectStale(
+          error,
+          utils.cancellationReasons(error)[0] === 'ConditionalCheckFailed',
+          track
+        )
+      );
+  }
+  /**
+   * Deletes the node item, only if the node wasn't modified since the model
+   * was read. The other items of the node are deleted after it.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty promise, rejected with a
+   *                    ConcurrentModificationError if the version changed.
+   */
+  function deleteVersioned(track) {
+    return track.documentClient
+      .delete(
+        withVersion({ TableName: table, Key: { Node: node, Type: type } })
+      )
+      .promise()
+      .catch(error =>
+        rejectStale(
+          error,
+          error.code === 'ConditionalCheckFailedException',
+          track
+        )
+      );
+  }
+  /**
+   * Rejects the error of a failed write. If the write failed on the check of
+   * the version, a ConcurrentModificationError with the current version is
+   * used instead.
+   * @param {Error} error - Error of the write.
+   * @param {boolean} stale - True if the version check failed.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Rejected promise.
+   */
+  function rejectStale(error, stale, track) {
+    if (stale !== true) return Promise.reject(error);
+    return readVersion(node, track).then(current => {
+      throw new errors.ConcurrentModificationError({
+        node,
+        expected: version,
+        version: current
+      });
+    });
+  }
+  /**
+   * Returns a property or edge item, like the ones written by
+   * `dynamodb-graph`, to write it on a transaction.
+   * @param {string} source - Node of the item.
+   * @param {string} itemType - Property or edge type.
+   * @param {any} value - Value of the item, as it is stored.
+   * @param {string} [target] - Edge target.
+   * @param {number} [sourceMaxGSIK=maxGSIK] - Maximum number of GSIK of the
+   *                                           node.
+   * @param {string} [sourceTenant=tenant] - Tenant of the node.
+   * @returns {object} Item.
+   */
+  function itemOf(
+    source,
+    itemType,
+    value,
+    target,
+    sourceMaxGSIK = maxGSIK,
+    sourceTenant = tenant
+  ) {
+    var item = {
+      Node: source,
+      Type: itemType,
+      Data: JSON.stringify(value),
+      GSIK: utils.calculateGSIK({
+        tenant: sourceTenant,
+        node: source,
+        maxGSIK: sourceMaxGSIK
+      })
+    };
+    if (target !== undefined) item.Target = target;
+    return item;
+  }
+  /**
+   * Gets the value of the maxGSIK from the table.
+   * @param {function} track - Tracker function.
+   * @returns {Promise} Empty chain to continue the work.
+   */
+  function getMaxGSIK(track) {
+    return track.db.getNode(node).then(response => {
+      var item = response.Items[0];
+      maxGSIK = item.MaxGSIK;
+      if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+      return response;
+    });
+  }
+  /**
+   * Wraps an operation so it runs between the global hooks and the hooks of
+   * the node type. The wrapped operation always returns a promise, so its
+   * errors reject it, whether there are hooks or not.
+   * @param {string} operation - Operation name.
+   * @param {function} fn - Operation function.
+   * @returns {function} Wrapped operation.
+   */
+  function withHooks(operation, fn) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      return Hooks.run(
+        hooks !== undefined ? [globalHooks, hooks] : [globalHooks],
+        { operation, type, node, args },
+        fn
+      );
+    };
+  }
+  /**
+   * Returns a new Model based on the current one with some overrided
+   * properties.
+   * @param {object} override - Model attributes override object.
+   */
+  function newModel(override) {
+    return Model(Object.assign({}, options, override));
+  }
+  /**
+   * Returns the model of the current node after an operation. On mutable
+   * models, the override is applied to the current model, which is returned.
+   * Otherwise, a new model is returned.
+   * @param {object} override - Model attributes override object.
+   * @returns {Model} Next model.
+   */
+  function nextModel(override) {
+    if (mutable !== true) return newModel(override);
+
+    if (override.hasOwnProperty('node')) node = override.node;
+    if (override.hasOwnProperty('data')) data = override.data;
+    if (override.hasOwnProperty('properties')) properties = override.properties;
+    if (override.hasOwnProperty('edges')) edges = override.edges;
+    if (override.hasOwnProperty('included')) included = override.included;
+    if (override.hasOwnProperty('version')) version = override.version;
+    if (override.hasOwnProperty('history')) history = override.history;
+
+    publicAPI.history = Object.freeze(history.slice());
+
+    return publicAPI;
+  }
+  /**
+   * Returns an empty model.
+   * @param {array} history - List of actions that created this empty model.
+   * @returns {Model} Empty model.
+   */
+  function emptyModel(history) {
+    return nextModel({
+      node: undefined,
+      data: undefined,
+      properties: [],
+      edges: [],
+      history,
+      included: {},
+      version: undefined
+    });
+  }
+  /**
+   * Tracks all the driver calls performed by a model operation. Each one is
+   * stored as a HistoryRecord on the model history, and published to the
+   * `onRecord` function and to the global subscribers.
+   * @param {string} action - Model operation name.
+   * @returns {function} A function that keeps tracks of errors.
+   * @property {DynamoDBGraph} db - Tracked DynamoDB Graph driver.
+   * @property {DocumentClientDriver} documentClient - Tracked DocumentClient
+   *                                                   driver.
+   * @property {function} note - Tracks a summary of a step of the operation.
+   * @property {function} dump - Returns the currently tracked history.
+   */
+  function createTracker(action) {
+    return History.tracker({
+      action,
+      type,
+      node,
+      db,
+      documentClient,
+      consumedCapacity,
+      retry: retryPolicy,
+      onRecord: record => {
+        history = history.concat(record);
+        if (context !== undefined)
+          context.invalidate(Context.writtenNodes(record));
+        if (onRecord !== undefined) onRecord(record);
+      }
+    });
+  }
+};
+
+module.exports.Context = Context;
+module.exports.ConcurrentModificationError =
+  errors.ConcurrentModificationError;
+module.exports.MemoryDocumentClient = MemoryDocumentClient;
+module.exports.TenantIsolationError = errors.TenantIsolationError;
+module.exports.UniqueConstraintError = errors.UniqueConstraintError;
+module.exports.hooks = globalHooks;
+module.exports.subscribe = History.subscribe;
+module.exports.export = transfer.exportGraph;
+module.exports.import = config => transfer.importGraph(module.exports, config);
 
 /**
  * Edge object to attach on a node.
@@ -453,6 +3170,15 @@ module.exports = function Model(options = {}) {
  * @property {string} type - Edge type.
  * @property {string|Model} target - Target node.
  * @property {any} data - Edge data.
+ * @property {string} [inverse] - Inverse edge type, created from the target
+ *                                node back to the node.
+ * @property {object} [meta] - Edge metadata.
+ *
+ * Result of each item of a batch operation.
+ * @typedef {Object} BatchResult
+ * @property {string} node - Node identifier.
+ * @property {Model} [model] - Model of the node, if the operation succeeded.
+ * @property {Error} [error] - Error of the item, if the operation failed.
  *
  * Property object to attach on a node.
  * @typedef {Object} Property
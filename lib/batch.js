@@ -0,0 +1,119 @@
+'use strict';
+
+var get = require('lodash/get.js');
+var wait = require('./retry.js').wait;
+
+/** Maximum number of requests on a BatchWriteItem call. */
+var BATCH_WRITE_SIZE = 25;
+/** Maximum number of keys on a BatchGetItem call. */
+var BATCH_GET_SIZE = 100;
+/** Number of times unprocessed items or keys are sent before giving up. */
+var MAX_ATTEMPTS = 5;
+/** Policy used when none is given: the attempts are sent right away. */
+var DEFAULT_RETRY = { maxAttempts: MAX_ATTEMPTS, delay: () => 0 };
+
+module.exports = {
+  BATCH_GET_SIZE,
+  BATCH_WRITE_SIZE,
+  read,
+  write
+};
+
+// ---
+/**
+ * Sends a list of write requests through BatchWriteItem. Unprocessed items
+ * are sent again, up to a maximum number of attempts. If a retry policy is
+ * given, it sets the number of attempts and the delay between them.
+ * @param {object} config - Configuration object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} table - Table name.
+ * @property {object[]} requests - List of PutRequest or DeleteRequest objects.
+ *                                 It must not exceed BATCH_WRITE_SIZE.
+ * @property {function} [onResponse] - Function called with each response.
+ * @property {RetryPolicy} [retry] - Retry policy of the unprocessed items.
+ * @returns {Promise} List of the requests that could not be processed.
+ */
+function write(config = {}) {
+  var {
+    documentClient,
+    table,
+    requests,
+    onResponse = () => {},
+    retry = DEFAULT_RETRY
+  } = config;
+
+  if (requests.length > BATCH_WRITE_SIZE)
+    throw new Error('Requests exceed the batch write size');
+
+  return send(requests, 1);
+  // ---
+  function send(requests, attempt) {
+    return documentClient
+      .batchWrite({ RequestItems: { [table]: requests } })
+      .promise()
+      .then(response => {
+        onResponse(response);
+        var unprocessed = get(response, ['UnprocessedItems', table], []);
+        if (unprocessed.length === 0 || attempt >= retry.maxAttempts)
+          return unprocessed;
+        return wait(retry.delay(attempt)).then(() =>
+          send(unprocessed, attempt + 1)
+        );
+      });
+  }
+}
+/**
+ * Gets a list of items through BatchGetItem. Unprocessed keys are requested
+ * again, up to a maximum number of attempts. If a retry policy is given, it
+ * sets the number of attempts and the delay between them.
+ * @param {object} config - Configuration object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} table - Table name.
+ * @property {object[]} keys - List of item keys. It must not exceed
+ *                             BATCH_GET_SIZE.
+ * @property {boolean} [consistentRead=false] - Use strongly consistent reads.
+ * @property {function} [onResponse] - Function called with each response.
+ * @property {RetryPolicy} [retry] - Retry policy of the unprocessed items.
+ * @returns {Promise} Result object.
+ * @property {object[]} items - List of items found.
+ * @property {object[]} unprocessed - List of keys that could not be read.
+ */
+function read(config = {}) {
+  var {
+    documentClient,
+    table,
+    keys,
+    consistentRead = false,
+    onResponse = () => {},
+    retry = DEFAULT_RETRY
+  } = config;
+
+  if (keys.length > BATCH_GET_SIZE)
+    throw new Error('Keys exceed the batch get size');
+
+  return send(keys, 1, []);
+  // ---
+  function send(keys, attempt, items) {
+    var request = { Keys: keys };
+    if (consistentRead === true) request.ConsistentRead = true;
+    return documentClient
+      .batchGet({ RequestItems: { [table]: request } })
+      .promise()
+      .then(response => {
+        onResponse(response);
+        items = items.concat(get(response, ['Responses', table], []));
+        var unprocessed = get(
+          response,
+          ['UnprocessedKeys', table, 'Keys'],
+          []
+        );
+        if (unprocessed.length === 0 || attempt >= retry.maxAttempts)
+          return { items, unprocessed };
+        return wait(retry.delay(attempt)).then(() =>
+          send(unprocessed, attempt + 1, items)
+        );
+      });
+  }
+}
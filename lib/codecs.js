@@ -0,0 +1,149 @@
+'use strict';
+
+var isObject = require('lodash/isObject.js');
+
+/**
+ * Map of the built-in codecs. The number, date and boolean codecs encode
+ * values into fixed length strings, that sort on the same order as the
+ * values, so they can be queried by range on the `ByData` index.
+ */
+var CODECS = {
+  number: { encode: encodeNumber, decode: decodeNumber },
+  date: { encode: encodeDate, decode: decodeDate },
+  boolean: { encode: encodeBoolean, decode: decodeBoolean },
+  object: { encode: encodeObject, decode: decodeObject }
+};
+
+module.exports = {
+  CODECS,
+  resolve
+};
+
+// ---
+/**
+ * Returns a codec from its definition.
+ * @param {string|Codec} codec - Name of a built-in codec, or a custom codec.
+ * @returns {Codec} Codec object.
+ */
+function resolve(codec) {
+  if (typeof codec === 'string') {
+    if (!CODECS.hasOwnProperty(codec))
+      throw new Error(`Codec ${codec} is not supported`);
+    return CODECS[codec];
+  }
+  if (
+    !isObject(codec) ||
+    typeof codec.encode !== 'function' ||
+    typeof codec.decode !== 'function'
+  )
+    throw new Error('Codec is not valid');
+  return codec;
+}
+/**
+ * Encodes a number as the hexadecimal string of its IEEE 754 bits, with the
+ * sign bit flipped for positive numbers, and every bit flipped for negative
+ * ones, so the strings sort like the numbers.
+ * @param {number} value - Finite number.
+ * @returns {string} Encoded number.
+ */
+function encodeNumber(value) {
+  if (typeof value !== 'number' || !isFinite(value))
+    throw new Error('Value is not a finite number');
+
+  var buffer = Buffer.alloc(8);
+  // Negative zero is stored as zero, so both are equal.
+  buffer.writeDoubleBE(value === 0 ? 0 : value, 0);
+
+  if (value < 0) buffer.forEach((byte, i) => (buffer[i] = ~byte & 0xff));
+  else buffer[0] |= 0x80;
+
+  return buffer.toString('hex');
+}
+/**
+ * Decodes a number written by `encodeNumber`. Other values, like numbers
+ * stored before the codec was set, are returned as they are.
+ * @param {any} value - Encoded number.
+ * @returns {number} Number.
+ */
+function decodeNumber(value) {
+  if (typeof value !== 'string' || !/^[0-9a-f]{16}$/.test(value)) return value;
+
+  var buffer = Buffer.from(value, 'hex');
+
+  if (buffer[0] & 0x80) buffer[0] &= 0x7f;
+  else buffer.forEach((byte, i) => (buffer[i] = ~byte & 0xff));
+
+  return buffer.readDoubleBE(0);
+}
+/**
+ * Encodes a date as an ISO 8601 string, on UTC. Timestamps and date strings
+ * are accepted too.
+ * @param {Date|number|string} value - Date.
+ * @returns {string} Encoded date.
+ */
+function encodeDate(value) {
+  var date = value instanceof Date ? value : new Date(value);
+  if (value === null || typeof value === 'boolean' || isNaN(date.getTime()))
+    throw new Error('Value is not a date');
+  return date.toISOString();
+}
+/**
+ * Decodes a date written by `encodeDate`.
+ * @param {any} value - Encoded date.
+ * @returns {Date} Date.
+ */
+function decodeDate(value) {
+  if (typeof value !== 'string') return value;
+  var date = new Date(value);
+  return isNaN(date.getTime()) ? value : date;
+}
+/**
+ * Encodes a boolean as `0` or `1`.
+ * @param {boolean} value - Boolean.
+ * @returns {string} Encoded boolean.
+ */
+function encodeBoolean(value) {
+  if (typeof value !== 'boolean') throw new Error('Value is not a boolean');
+  return value ? '1' : '0';
+}
+/**
+ * Decodes a boolean written by `encodeBoolean`.
+ * @param {any} value - Encoded boolean.
+ * @returns {boolean} Boolean.
+ */
+function decodeBoolean(value) {
+  if (value === '1') return true;
+  if (value === '0') return false;
+  return value;
+}
+/**
+ * Encodes an object or an array as a JSON string.
+ * @param {object} value - Object.
+ * @returns {string} Encoded object.
+ */
+function encodeObject(value) {
+  if (!isObject(value)) throw new Error('Value is not an object');
+  return JSON.stringify(value);
+}
+/**
+ * Decodes an object written by `encodeObject`.
+ * @param {any} value - Encoded object.
+ * @returns {object} Object.
+ */
+function decodeObject(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+/**
+ * Codec object.
+ * @typedef {Object} Codec
+ * @property {function} encode - Returns the value stored on the table. To
+ *                               query it by range, the returned strings must
+ *                               sort like the values.
+ * @property {function} decode - Returns the original value from the stored
+ *                               one.
+ */
@@ -0,0 +1,174 @@
+'use strict';
+
+/** Driver methods that write items, with the function that finds its nodes. */
+var WRITES = {
+  batchWrite: request =>
+    Object.keys(request.RequestItems || {}).reduce(
+      (acc, table) =>
+        acc.concat(
+          request.RequestItems[table].map(
+            entry =>
+              entry.PutRequest !== undefined
+                ? entry.PutRequest.Item.Node
+                : entry.DeleteRequest.Key.Node
+          )
+        ),
+      []
+    ),
+  createEdge: request => [request.node],
+  createProperties: request => [request.node],
+  createProperty: request => [request.node],
+  delete: request => [request.Key.Node],
+  deleteNode: request => [request],
+  deletePropertyOrEdge: request => [request.node],
+  put: request => [request.Item.Node],
+  transactWrite: request =>
+    request.TransactItems.filter(
+      entry => entry.ConditionCheck === undefined
+    ).map(entry => {
+      var action = entry.Put || entry.Update || entry.Delete;
+      return action.Item !== undefined ? action.Item.Node : action.Key.Node;
+    }),
+  update: request => [request.Key.Node]
+};
+
+/**
+ * Factory function that returns a request-scoped context. Models created with
+ * it share its cache of node reads: concurrent reads of the same node share a
+ * single call, the reads of different nodes requested on the same tick are
+ * grouped on a single fetch, and every write made by the models invalidates
+ * the nodes it touched.
+ * @returns {Context} Context object.
+ */
+module.exports = function Context() {
+  var cache = {};
+  var generations = {};
+  var queues = {};
+  var epoch = 0;
+
+  return {
+    clear,
+    invalidate,
+    load
+  };
+  // ---
+  /**
+   * Loads the value of a node through the context. The value is cached until
+   * the node is invalidated. Loads of nodes that are not cached, requested on
+   * the same tick with the same group, are grouped on a single call of the
+   * `fetch` function of the first one, which decides how to read them.
+   * @param {object} config - Configuration object.
+   * @property {string} node - Node identifier.
+   * @property {string} group - Batch group, like the table name.
+   * @property {function} fetch - Function called with a list of nodes, that
+   *                              returns a promise of the list of its values.
+   *                              Values that are errors reject its load.
+   * @returns {Promise} Value of the node.
+   */
+  function load(config = {}) {
+    var { node, group, fetch } = config;
+    var key = group + '|' + node;
+
+    if (cache.hasOwnProperty(key)) return cache[key];
+
+    var generation = generationOf(node);
+    var promise = enqueue(group, node, fetch);
+
+    cache[key] = promise;
+    promise.then(
+      () => {
+        if (generationOf(node) !== generation) forget(key, promise);
+      },
+      () => forget(key, promise)
+    );
+
+    return promise;
+  }
+  /**
+   * Removes the cached values of some nodes, so they are read again.
+   * @param {string[]} nodes - List of node identifiers.
+   */
+  function invalidate(nodes = []) {
+    nodes.forEach(node => {
+      generations[node] = (generations[node] || 0) + 1;
+      Object.keys(cache)
+        .filter(key => key.slice(key.indexOf('|') + 1) === node)
+        .forEach(key => delete cache[key]);
+    });
+  }
+  /**
+   * Removes every cached value.
+   */
+  function clear() {
+    epoch += 1;
+    cache = {};
+  }
+  /**
+   * Returns the current generation of a node, which changes each time it is
+   * invalidated.
+   */
+  function generationOf(node) {
+    return epoch + ':' + (generations[node] || 0);
+  }
+  /**
+   * Removes a cached value, if it wasn't replaced.
+   */
+  function forget(key, promise) {
+    if (cache[key] === promise) delete cache[key];
+  }
+  /**
+   * Queues a node on its group, which is dispatched on the next tick.
+   */
+  function enqueue(group, node, fetch) {
+    return new Promise((resolve, reject) => {
+      if (queues[group] === undefined) {
+        queues[group] = [];
+        Promise.resolve().then(() =>
+          process.nextTick(() => dispatch(group, fetch))
+        );
+      }
+      queues[group].push({ node, resolve, reject });
+    });
+  }
+  /**
+   * Fetches the queued nodes of a group.
+   */
+  function dispatch(group, fetch) {
+    var queue = queues[group];
+    delete queues[group];
+
+    Promise.resolve()
+      .then(() => fetch(queue.map(entry => entry.node)))
+      .then(
+        values =>
+          queue.forEach((entry, i) =>
+            values[i] instanceof Error
+              ? entry.reject(values[i])
+              : entry.resolve(values[i])
+          ),
+        error => queue.forEach(entry => entry.reject(error))
+      );
+  }
+};
+
+module.exports.writtenNodes = writtenNodes;
+
+/**
+ * Returns the nodes written by the driver call of a history record.
+ * @param {HistoryRecord} record - History record.
+ * @returns {string[]} List of node identifiers, empty if the call didn't
+ *                     write.
+ */
+function writtenNodes(record) {
+  var find = WRITES[record.operation];
+  if (find === undefined || record.request === undefined) return [];
+  return find(record.request).filter(node => node !== undefined);
+}
+
+/**
+ * Context object.
+ * @typedef {Object} Context
+ * @property {function} load - Loads the value of a node through the context.
+ * @property {function} invalidate - Removes the cached values of some nodes.
+ * @property {function} clear - Removes every cached value.
+ */
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Error thrown when a versioned write finds that the node was modified after
+ * the model was read.
+ * @param {object} config - Configuration object.
+ * @property {string} node - Node identifier.
+ * @property {number} expected - Version of the node known by the model.
+ * @property {number} [version] - Current version of the node on the table. It
+ *                                is undefined if the node no longer exists.
+ */
+class ConcurrentModificationError extends Error {
+  constructor(config = {}) {
+    var { node, expected, version } = config;
+    super(
+      `Node ${node} was modified. ` +
+        `Expected version ${expected}, found ${version}`
+    );
+    this.name = 'ConcurrentModificationError';
+    this.node = node;
+    this.expected = expected;
+    this.version = version;
+  }
+}
+
+/**
+ * Error thrown when a model with a strict tenant reads, deletes or links a
+ * node of another tenant.
+ * @param {object} config - Configuration object.
+ * @property {string} node - Node identifier.
+ * @property {string} tenant - Tenant of the model.
+ * @property {string} [edge] - Edge type, if the node is an edge target.
+ */
+class TenantIsolationError extends Error {
+  constructor(config = {}) {
+    var { node, tenant, edge } = config;
+    super(
+      `Node ${node} does not belong to tenant ${tenant}` +
+        (edge !== undefined ? `. Edge ${edge} can't cross tenants` : '')
+    );
+    this.name = 'TenantIsolationError';
+    this.node = node;
+    this.tenant = tenant;
+    this.edge = edge;
+  }
+}
+
+/**
+ * Error thrown when a unique property value is already used by another node.
+ * @param {object} config - Configuration object.
+ * @property {string} property - Property type.
+ * @property {any} value - Property value, as it is stored on the table.
+ * @property {string} [node] - Node that uses the value.
+ */
+class UniqueConstraintError extends Error {
+  constructor(config = {}) {
+    var { property, value, node } = config;
+    super(
+      `Property ${property} value ${JSON.stringify(value)} ` +
+        `is already used by node ${node}`
+    );
+    this.name = 'UniqueConstraintError';
+    this.property = property;
+    this.value = value;
+    this.node = node;
+  }
+}
+
+module.exports = {
+  ConcurrentModificationError,
+  TenantIsolationError,
+  UniqueConstraintError
+};
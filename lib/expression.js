@@ -0,0 +1,404 @@
+'use strict';
+
+var isEqual = require('lodash/isEqual.js');
+var isArray = require('lodash/isArray.js');
+var cloneDeep = require('lodash/cloneDeep.js');
+
+module.exports = {
+  evaluate,
+  nameOf,
+  parse,
+  project,
+  update
+};
+
+/** Pattern used to split an expression into tokens. */
+var TOKEN = /\s*(<>|<=|>=|[=<>(),+-]|[#:]?[A-Za-z_][A-Za-z0-9_]*)\s*/y;
+/** List of the supported update expression clauses. */
+var CLAUSES = ['SET', 'REMOVE', 'ADD'];
+/** List of the supported comparators. */
+var COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+/** Map of the supported condition functions to its number of arguments. */
+var FUNCTIONS = {
+  attribute_exists: 1,
+  attribute_not_exists: 1,
+  begins_with: 2,
+  contains: 2
+};
+
+// ---
+/**
+ * Parses a condition expression, like the ones used on the
+ * KeyConditionExpression, FilterExpression, or ConditionExpression params.
+ * @param {string} expression - Condition expression.
+ * @returns {object} Syntax tree of the expression.
+ */
+function parse(expression) {
+  var tokens = tokenize(expression);
+  var position = 0;
+  var tree = parseOr();
+
+  if (position < tokens.length) unexpected();
+
+  return tree;
+  // ---
+  function parseOr() {
+    var left = parseAnd();
+    while (is(tokens[position], 'OR')) {
+      position++;
+      left = { op: 'OR', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    var left = parseNot();
+    while (is(tokens[position], 'AND')) {
+      position++;
+      left = { op: 'AND', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (!is(tokens[position], 'NOT')) return parsePrimary();
+    position++;
+    return { op: 'NOT', operand: parseNot() };
+  }
+
+  function parsePrimary() {
+    if (tokens[position] === '(') {
+      position++;
+      var tree = parseOr();
+      expect(')');
+      return tree;
+    }
+
+    if (FUNCTIONS[tokens[position]] !== undefined)
+      return parseFunction(tokens[position++]);
+
+    var left = parseOperand();
+    var token = tokens[position++];
+
+    if (COMPARATORS.indexOf(token) > -1)
+      return { op: token, left, right: parseOperand() };
+
+    if (is(token, 'BETWEEN')) {
+      var low = parseOperand();
+      expect('AND');
+      return { op: 'BETWEEN', left, low, high: parseOperand() };
+    }
+
+    if (is(token, 'IN')) {
+      var list = [];
+      expect('(');
+      do {
+        list.push(parseOperand());
+      } while (tokens[position] === ',' && ++position);
+      expect(')');
+      return { op: 'IN', left, list };
+    }
+
+    position--;
+    return unexpected();
+  }
+
+  function parseFunction(name) {
+    var args = [];
+    expect('(');
+    do {
+      args.push(parseOperand());
+    } while (tokens[position] === ',' && ++position);
+    expect(')');
+    if (args.length !== FUNCTIONS[name])
+      throw syntaxError(`Invalid number of arguments for ${name}`);
+    return { op: 'CALL', name, args };
+  }
+
+  function parseOperand() {
+    var token = tokens[position];
+    if (token === undefined || !/^[#:A-Za-z_]/.test(token)) unexpected();
+    position++;
+    return token;
+  }
+
+  function expect(token) {
+    if (!is(tokens[position], token)) unexpected();
+    position++;
+  }
+
+  function unexpected() {
+    var token = tokens[position];
+    throw syntaxError(
+      token === undefined
+        ? `Unexpected end of expression: ${expression}`
+        : `Unexpected token ${token} on expression: ${expression}`
+    );
+  }
+}
+/**
+ * Evaluates a parsed condition expression against an item.
+ * @param {object} tree - Syntax tree returned by `parse`.
+ * @param {object} item - DynamoDB item.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ * @returns {boolean} True if the item matches the condition.
+ */
+function evaluate(tree, item, context) {
+  var value;
+
+  switch (tree.op) {
+    case 'OR':
+      return (
+        evaluate(tree.left, item, context) ||
+        evaluate(tree.right, item, context)
+      );
+    case 'AND':
+      return (
+        evaluate(tree.left, item, context) &&
+        evaluate(tree.right, item, context)
+      );
+    case 'NOT':
+      return !evaluate(tree.operand, item, context);
+    case 'CALL':
+      return call(tree.name, tree.args, item, context);
+    case 'BETWEEN':
+      value = valueOf(tree.left, item, context);
+      return (
+        compare(value, valueOf(tree.low, item, context)) >= 0 &&
+        compare(value, valueOf(tree.high, item, context)) <= 0
+      );
+    case 'IN':
+      value = valueOf(tree.left, item, context);
+      return (
+        value !== undefined &&
+        tree.list.some(operand =>
+          isEqual(value, valueOf(operand, item, context))
+        )
+      );
+    default:
+      var left = valueOf(tree.left, item, context);
+      var right = valueOf(tree.right, item, context);
+      if (left === undefined || right === undefined) return false;
+      if (tree.op === '=') return isEqual(left, right);
+      if (tree.op === '<>') return !isEqual(left, right);
+      var result = compare(left, right);
+      if (tree.op === '<') return result < 0;
+      if (tree.op === '<=') return result <= 0;
+      if (tree.op === '>') return result > 0;
+      return result >= 0;
+  }
+}
+/**
+ * Applies an update expression to an item. Supports the `SET` (including
+ * `+`, `-`, `if_not_exists` and `list_append`), `REMOVE`, and `ADD` clauses.
+ * @param {string} expression - Update expression.
+ * @param {object} item - DynamoDB item. It is not modified.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ * @returns {object} Updated item.
+ */
+function update(expression, item, context) {
+  var tokens = tokenize(expression);
+  var position = 0;
+  var next = cloneDeep(item);
+  var clause;
+
+  while (position < tokens.length) {
+    if (CLAUSES.some(keyword => is(tokens[position], keyword)))
+      clause = tokens[position++].toUpperCase();
+    else if (clause === undefined || tokens[position++] !== ',')
+      throw syntaxError(`Invalid update expression: ${expression}`);
+
+    var name = nameOf(operand(), context);
+
+    if (clause === 'REMOVE') {
+      delete next[name];
+      continue;
+    }
+
+    if (clause === 'ADD') {
+      var current = item[name] !== undefined ? item[name] : 0;
+      var value = valueOf(operand(), item, context);
+      if (typeof current !== 'number' || typeof value !== 'number')
+        throw syntaxError('ADD is only supported for numbers');
+      next[name] = current + value;
+      continue;
+    }
+
+    if (tokens[position++] !== '=')
+      throw syntaxError(`Invalid update expression: ${expression}`);
+
+    next[name] = setValue();
+  }
+
+  return next;
+  // ---
+  function setValue() {
+    var value = setOperand();
+    var token = tokens[position];
+    if (token !== '+' && token !== '-') return value;
+    position++;
+    var other = setOperand();
+    if (typeof value !== 'number' || typeof other !== 'number')
+      throw syntaxError('Arithmetic is only supported for numbers');
+    return token === '+' ? value + other : value - other;
+  }
+
+  function setOperand() {
+    var token = operand();
+    if (token !== 'if_not_exists' && token !== 'list_append')
+      return valueOf(token, item, context);
+    if (tokens[position++] !== '(')
+      throw syntaxError(`Invalid update expression: ${expression}`);
+    var first = token === 'if_not_exists' ? operand() : setOperand();
+    if (tokens[position++] !== ',')
+      throw syntaxError(`Invalid update expression: ${expression}`);
+    var second = setOperand();
+    if (tokens[position++] !== ')')
+      throw syntaxError(`Invalid update expression: ${expression}`);
+    if (token === 'list_append') return [].concat(first, second);
+    var current = valueOf(first, item, context);
+    return current !== undefined ? current : second;
+  }
+
+  function operand() {
+    var token = tokens[position++];
+    if (token === undefined || !/^[#:A-Za-z_]/.test(token))
+      throw syntaxError(`Invalid update expression: ${expression}`);
+    return token;
+  }
+}
+/**
+ * Returns a copy of an item with only the attributes of a projection
+ * expression.
+ * @param {string} [expression] - Projection expression. If undefined, all
+ *                                the attributes are returned.
+ * @param {object} item - DynamoDB item.
+ * @param {ExpressionContext} context - Expression attribute names.
+ * @returns {object} Projected item.
+ */
+function project(expression, item, context) {
+  if (expression === undefined) return cloneDeep(item);
+
+  return expression.split(',').reduce((acc, token) => {
+    var name = nameOf(token.trim(), context);
+    if (item[name] !== undefined) acc[name] = cloneDeep(item[name]);
+    return acc;
+  }, {});
+}
+/**
+ * Returns the attribute name of an expression operand.
+ * @param {string} token - Operand, like `#Node` or `Node`.
+ * @param {ExpressionContext} context - Expression attribute names.
+ * @returns {string} Attribute name.
+ */
+function nameOf(token, context = {}) {
+  if (token[0] === ':') throw syntaxError(`${token} is not an attribute name`);
+  if (token[0] !== '#') return token;
+  var names = context.names || {};
+  if (names[token] === undefined)
+    throw syntaxError(`Attribute name ${token} is not defined`);
+  return names[token];
+}
+/**
+ * Splits an expression into tokens.
+ * @param {string} expression - DynamoDB expression.
+ * @returns {string[]} List of tokens.
+ */
+function tokenize(expression) {
+  var tokens = [];
+  var match;
+
+  if (typeof expression !== 'string' || expression.trim() === '')
+    throw syntaxError('Expression is empty');
+
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    var start = TOKEN.lastIndex;
+    match = TOKEN.exec(expression);
+    if (match === null)
+      throw syntaxError(
+        `Invalid character on expression: ${expression.slice(start)}`
+      );
+    tokens.push(match[1]);
+  }
+
+  return tokens;
+}
+/**
+ * Returns the value of an operand.
+ * @param {string} token - Attribute name or value placeholder.
+ * @param {object} item - DynamoDB item.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ * @returns {any} Operand value.
+ */
+function valueOf(token, item, context = {}) {
+  if (token[0] !== ':') return item[nameOf(token, context)];
+  var values = context.values || {};
+  if (!values.hasOwnProperty(token))
+    throw syntaxError(`Attribute value ${token} is not defined`);
+  return values[token];
+}
+/**
+ * Calls a condition function.
+ * @param {string} name - Function name.
+ * @param {string[]} args - Function operands.
+ * @param {object} item - DynamoDB item.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ * @returns {boolean} Function result.
+ */
+function call(name, args, item, context) {
+  var value = valueOf(args[0], item, context);
+  switch (name) {
+    case 'attribute_exists':
+      return value !== undefined;
+    case 'attribute_not_exists':
+      return value === undefined;
+    case 'begins_with':
+      var prefix = valueOf(args[1], item, context);
+      return typeof value === 'string' && value.indexOf(prefix) === 0;
+    default:
+      var search = valueOf(args[1], item, context);
+      if (typeof value === 'string') return value.indexOf(search) > -1;
+      return isArray(value) && value.some(entry => isEqual(entry, search));
+  }
+}
+/**
+ * Compares two values of the same type. Values of different types never
+ * match, like on DynamoDB.
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ * @returns {number} Negative if a < b, positive if a > b, or 0. NaN if they
+ *                   can't be compared.
+ */
+function compare(a, b) {
+  if (typeof a !== typeof b) return NaN;
+  if (typeof a !== 'string' && typeof a !== 'number') return NaN;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+/**
+ * Checks if a token is a case insensitive keyword.
+ * @param {string} token - Expression token.
+ * @param {string} keyword - Keyword.
+ * @returns {boolean} True if the token is the keyword.
+ */
+function is(token, keyword) {
+  return token !== undefined && token.toUpperCase() === keyword;
+}
+/**
+ * Creates a validation error, like the ones returned by DynamoDB for invalid
+ * expressions.
+ * @param {string} message - Error message.
+ * @returns {Error} Error with a `ValidationException` code.
+ */
+function syntaxError(message) {
+  var error = new Error(message);
+  error.code = 'ValidationException';
+  return error;
+}
+/**
+ * Expression context object.
+ * @typedef {Object} ExpressionContext
+ * @property {object} [names] - ExpressionAttributeNames map.
+ * @property {object} [values] - ExpressionAttributeValues map.
+ */
@@ -0,0 +1,202 @@
+'use strict';
+
+/** Map of the supported formats to its serializer. */
+var FORMATS = {
+  json: {
+    header: () => '[\n',
+    record: (record, index) =>
+      (index > 0 ? ',\n' : '') + JSON.stringify(record),
+    footer: () => '\n]\n',
+    parse: data => JSON.parse(data)
+  },
+  ndjson: {
+    header: () => '',
+    record: record => JSON.stringify(record) + '\n',
+    footer: () => '',
+    parse: data =>
+      data
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line))
+  },
+  graphml: {
+    header: () =>
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        '  <key id="type" for="all" attr.name="type" attr.type="string"/>',
+        '  <key id="data" for="node" attr.name="data" attr.type="string"/>',
+        '  <key id="properties" for="node" attr.name="properties" ' +
+          'attr.type="string"/>',
+        '  <key id="meta" for="edge" attr.name="meta" attr.type="string"/>',
+        '  <graph edgedefault="directed">',
+        ''
+      ].join('\n'),
+    record: toGraphML,
+    footer: () => '  </graph>\n</graphml>\n',
+    parse: fromGraphML
+  }
+};
+/** Map of the XML special characters to its entities. */
+var ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+module.exports = {
+  FORMATS,
+  parse,
+  serializer
+};
+
+// ---
+/**
+ * Returns the serializer of a format.
+ * @param {string} format - Format name: `json`, `ndjson` or `graphml`.
+ * @returns {object} Serializer, with the `header`, `record` and `footer`
+ *                   functions, that return the chunks of the output.
+ */
+function serializer(format) {
+  if (!FORMATS.hasOwnProperty(format))
+    throw new Error(`Format ${format} is not supported`);
+  return FORMATS[format];
+}
+/**
+ * Parses an output written with a serializer, back into a list of records.
+ * @param {string} format - Format name: `json`, `ndjson` or `graphml`.
+ * @param {string|Buffer} data - Serialized records.
+ * @returns {GraphRecord[]} List of records.
+ */
+function parse(format, data) {
+  var records = serializer(format).parse(String(data));
+  if (!Array.isArray(records)) throw new Error('Data is not a list of records');
+  return records;
+}
+/**
+ * Writes a record as a GraphML node or edge element. The node data and the
+ * edge metadata are stored as JSON.
+ * @param {GraphRecord} record - Node or edge record.
+ * @returns {string} GraphML element.
+ */
+function toGraphML(record) {
+  if (record.kind === 'node')
+    return (
+      `    <node id="${escape(record.node)}">` +
+      `<data key="type">${escape(record.type)}</data>` +
+      `<data key="data">${escape(JSON.stringify(record.data))}</data>` +
+      '<data key="properties">' +
+      `${escape(JSON.stringify(record.properties || []))}</data>` +
+      '</node>\n'
+    );
+
+  return (
+    `    <edge source="${escape(record.node)}" ` +
+    `target="${escape(record.target)}">` +
+    `<data key="type">${escape(record.type)}</data>` +
+    (record.meta !== undefined
+      ? `<data key="meta">${escape(JSON.stringify(record.meta))}</data>`
+      : '') +
+    '</edge>\n'
+  );
+}
+/**
+ * Reads the records of a GraphML document written by `toGraphML`. It is not
+ * a general GraphML parser.
+ * @param {string} data - GraphML document.
+ * @returns {GraphRecord[]} List of records.
+ */
+function fromGraphML(data) {
+  var element = /<(node|edge)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  var records = [];
+  var match;
+
+  while ((match = element.exec(data)) !== null) {
+    var attributes = readAttributes(match[2]);
+    var values = readData(match[3] || '');
+
+    if (match[1] === 'node')
+      records.push({
+        kind: 'node',
+        node: attributes.id,
+        type: values.type,
+        data: values.data !== undefined ? JSON.parse(values.data) : undefined,
+        properties:
+          values.properties !== undefined ? JSON.parse(values.properties) : []
+      });
+    else
+      records.push({
+        kind: 'edge',
+        node: attributes.source,
+        type: values.type,
+        target: attributes.target,
+        meta: values.meta !== undefined ? JSON.parse(values.meta) : undefined
+      });
+  }
+
+  return records;
+}
+/**
+ * Reads the attributes of an XML element.
+ * @param {string} source - Attributes source.
+ * @returns {object} Map of attribute names to its values.
+ */
+function readAttributes(source) {
+  var pattern = /([\w.:-]+)="([^"]*)"/g;
+  var attributes = {};
+  var match;
+  while ((match = pattern.exec(source)) !== null)
+    attributes[match[1]] = unescape(match[2]);
+  return attributes;
+}
+/**
+ * Reads the `data` children of a GraphML element.
+ * @param {string} source - Element content.
+ * @returns {object} Map of data keys to its values.
+ */
+function readData(source) {
+  var pattern = /<data key="([^"]*)">([\s\S]*?)<\/data>/g;
+  var values = {};
+  var match;
+  while ((match = pattern.exec(source)) !== null)
+    values[unescape(match[1])] = unescape(match[2]);
+  return values;
+}
+/**
+ * Escapes the XML special characters of a value.
+ * @param {any} value - Value to escape.
+ * @returns {string} Escaped string.
+ */
+function escape(value) {
+  return String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+/**
+ * Replaces the XML entities of a string with its characters.
+ * @param {string} value - Escaped string.
+ * @returns {string} Unescaped string.
+ */
+function unescape(value) {
+  return value.replace(
+    /&(amp|lt|gt|quot|apos|#(\d+)|#x([0-9a-fA-F]+));/g,
+    (entity, name, decimal, hex) => {
+      if (decimal !== undefined) return String.fromCharCode(Number(decimal));
+      if (hex !== undefined) return String.fromCharCode(parseInt(hex, 16));
+      return Object.keys(ENTITIES).find(
+        char => ENTITIES[char] === `&${name};`
+      );
+    }
+  );
+}
+/**
+ * Exported graph record.
+ * @typedef {Object} GraphRecord
+ * @property {string} kind - Either `node` or `edge`.
+ * @property {string} node - Node identifier, or edge source node.
+ * @property {string} type - Node type, or edge type.
+ * @property {any} [data] - Node main data.
+ * @property {Property[]} [properties] - Node properties.
+ * @property {string} [target] - Edge target node.
+ * @property {object} [meta] - Edge metadata.
+ */
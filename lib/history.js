@@ -0,0 +1,222 @@
+'use strict';
+
+var wait = require('./retry.js').wait;
+
+/** Methods of the DynamoDB Graph driver that are recorded. */
+var DB_METHODS = [
+  'createEdge',
+  'createNode',
+  'createProperties',
+  'createProperty',
+  'deleteNode',
+  'deletePropertyOrEdge',
+  'getNode',
+  'getNodeData',
+  'getNodeEdges',
+  'getNodeProperties',
+  'getNodesWithPropertiesAndEdges'
+];
+/** Methods of the DocumentClient driver that are recorded. */
+var DOCUMENT_CLIENT_METHODS = [
+  'batchGet',
+  'batchWrite',
+  'delete',
+  'get',
+  'put',
+  'query',
+  'transactWrite',
+  'update'
+];
+/** Functions subscribed to the records of every model. */
+var subscribers = [];
+
+module.exports = {
+  DB_METHODS,
+  DOCUMENT_CLIENT_METHODS,
+  subscribe,
+  tracker
+};
+
+// ---
+/**
+ * Subscribes a function to the history records of every model, as they
+ * happen. Errors thrown by subscribers are ignored, so they can't break the
+ * operations.
+ * @param {function} fn - Function called with each HistoryRecord.
+ * @returns {function} Function that unsubscribes it.
+ */
+function subscribe(fn) {
+  if (typeof fn !== 'function') throw new Error('Subscriber is not a function');
+
+  subscribers.push(fn);
+
+  return () => {
+    var index = subscribers.indexOf(fn);
+    if (index > -1) subscribers.splice(index, 1);
+  };
+}
+/**
+ * Creates a tracker for a model operation. It provides instrumented views of
+ * the drivers, that record every call they make, and a function to record
+ * the error of the operation itself. If a retry policy is given, the failed
+ * calls are attempted again, and each attempt is recorded.
+ * @param {object} config - Configuration object.
+ * @property {string} action - Model operation name, like `create`.
+ * @property {string} type - Node type of the model.
+ * @property {string} [node] - Node of the model, if any.
+ * @property {DynamoDBGraph} [db] - DynamoDB Graph driver.
+ * @property {DocumentClientDriver} [documentClient] - DynamoDB DocumentClient
+ *                                                     driver.
+ * @property {string} [consumedCapacity] - ReturnConsumedCapacity value added
+ *                                         to each DocumentClient call.
+ * @property {function} [onRecord] - Function called with each record.
+ * @property {RetryPolicy} [retry] - Retry policy of the driver calls.
+ * @returns {function} Function that records the error of the operation, if
+ *                     it wasn't already recorded by a driver call.
+ * @property {DynamoDBGraph} db - Instrumented DynamoDB Graph driver.
+ * @property {DocumentClientDriver} documentClient - Instrumented
+ *                                                   DocumentClient driver.
+ * @property {function} note - Records a summary of a step of the operation.
+ * @property {function} dump - Returns the records of the tracker.
+ */
+function tracker(config = {}) {
+  var {
+    action,
+    type,
+    node,
+    db,
+    documentClient,
+    consumedCapacity,
+    onRecord = () => {},
+    retry
+  } = config;
+  var startedAt = Date.now();
+  var records = [];
+
+  function track(error) {
+    if (records.some(record => record.error === error)) return;
+    record({ operation: action, error, startedAt, endedAt: Date.now() });
+  }
+
+  track.note = (operation, response) => {
+    var now = Date.now();
+    record({ operation, response, startedAt: now, endedAt: now });
+  };
+  track.dump = () => records.slice();
+  track.db = instrument(db, DB_METHODS, (method, args) =>
+    call(method, args.length > 1 ? args : args[0], () => db[method](...args))
+  );
+  track.documentClient = instrument(
+    documentClient,
+    DOCUMENT_CLIENT_METHODS,
+    (method, [params]) => {
+      if (consumedCapacity !== undefined)
+        params = Object.assign(
+          { ReturnConsumedCapacity: consumedCapacity },
+          params
+        );
+      return {
+        promise: () =>
+          call(method, params, () => documentClient[method](params).promise())
+      };
+    }
+  );
+
+  return track;
+  // ---
+  /**
+   * Calls a driver method, recording its request and its response or error.
+   * Retryable errors are recorded before the call is attempted again.
+   */
+  function call(operation, request, fn, attempt = 1) {
+    var start = Date.now();
+    return fn().then(
+      response => {
+        record({
+          operation,
+          request,
+          response,
+          attempt,
+          startedAt: start,
+          endedAt: Date.now(),
+          consumedCapacity: response && response.ConsumedCapacity
+        });
+        return response;
+      },
+      error => {
+        record({
+          operation,
+          request,
+          error,
+          attempt,
+          startedAt: start,
+          endedAt: Date.now()
+        });
+        if (retry === undefined || !retry.shouldRetry(error, attempt))
+          throw error;
+        return wait(retry.delay(attempt)).then(() =>
+          call(operation, request, fn, attempt + 1)
+        );
+      }
+    );
+  }
+  /**
+   * Stores a record, and publishes it to the subscribers.
+   */
+  function record(entry) {
+    var value = Object.freeze(
+      Object.keys(entry).reduce(
+        (acc, key) => {
+          if (entry[key] !== undefined) acc[key] = entry[key];
+          return acc;
+        },
+        { action, type, node }
+      )
+    );
+
+    records.push(value);
+
+    [onRecord].concat(subscribers).forEach(fn => {
+      try {
+        fn(value);
+      } catch (error) {
+        // Subscribers must not break the operation.
+      }
+    });
+  }
+}
+/**
+ * Returns a view of a driver where each of the listed methods is replaced.
+ * Methods missing on the driver are left out.
+ * @param {object} [driver] - Driver object.
+ * @param {string[]} methods - List of method names.
+ * @param {function} wrap - Function called with the method name and the
+ *                          arguments list, instead of the method.
+ * @returns {object|undefined} Instrumented driver, or undefined if there is
+ *                             no driver.
+ */
+function instrument(driver, methods, wrap) {
+  if (driver === undefined) return undefined;
+
+  return methods.reduce((acc, method) => {
+    if (typeof driver[method] === 'function')
+      acc[method] = (...args) => wrap(method, args);
+    return acc;
+  }, {});
+}
+/**
+ * History record object.
+ * @typedef {Object} HistoryRecord
+ * @property {string} operation - Driver method, like `createNode`, or the
+ *                                model operation for its own errors.
+ * @property {string} action - Model operation, like `create`.
+ * @property {string} type - Node type of the model.
+ * @property {string} [node] - Node of the model, if any.
+ * @property {any} [request] - Arguments of the driver call.
+ * @property {any} [response] - Response of the driver call.
+ * @property {Error} [error] - Error of the driver call or of the operation.
+ * @property {number} [attempt] - Number of the attempt of the driver call.
+ * @property {number} startedAt - Start timestamp, in milliseconds.
+ * @property {number} endedAt - End timestamp, in milliseconds.
+ * @property {object} [consumedCapacity] - ConsumedCapacity of the response.
+ */
@@ -0,0 +1,163 @@
+'use strict';
+
+/** List of the model operations that run hooks. */
+var OPERATIONS = [
+  'connect',
+  'create',
+  'createMany',
+  'destroy',
+  'remove',
+  'restore',
+  'set',
+  'update',
+  'updateEdge'
+];
+/** Wildcard used to register a hook on every operation. */
+var ALL = '*';
+
+/**
+ * Factory function that returns a hooks registry, used to run functions
+ * before and after the write operations of a model.
+ * @param {HooksDefinition} [definition] - Initial hooks.
+ * @returns {Hooks} Hooks registry.
+ */
+module.exports = function Hooks(definition = {}) {
+  var registry = { before: {}, after: {} };
+
+  Object.keys(registry).forEach(stage =>
+    Object.keys(definition[stage] || {}).forEach(operation =>
+      [].concat(definition[stage][operation]).forEach(fn =>
+        add(stage, operation, fn)
+      )
+    )
+  );
+
+  return {
+    after: (operation, fn) => add('after', operation, fn),
+    before: (operation, fn) => add('before', operation, fn),
+    list
+  };
+  // ---
+  /**
+   * Registers a hook.
+   * @param {string} stage - Either `before` or `after`.
+   * @param {string} operation - Operation name, or `*` for all of them.
+   * @param {function} fn - Hook function.
+   * @returns {function} Function that unregisters the hook.
+   */
+  function add(stage, operation, fn) {
+    if (operation !== ALL && OPERATIONS.indexOf(operation) === -1)
+      throw new Error(`Operation ${operation} does not support hooks`);
+    if (typeof fn !== 'function') throw new Error('Hook is not a function');
+
+    var hooks = registry[stage][operation] || (registry[stage][operation] = []);
+    hooks.push(fn);
+
+    return () => {
+      var index = hooks.indexOf(fn);
+      if (index > -1) hooks.splice(index, 1);
+    };
+  }
+  /**
+   * Returns the hooks of an operation, including the wildcard ones.
+   * @param {string} stage - Either `before` or `after`.
+   * @param {string} operation - Operation name.
+   * @returns {function[]} List of hooks, in registration order.
+   */
+  function list(stage, operation) {
+    return (registry[stage][ALL] || []).concat(
+      registry[stage][operation] || []
+    );
+  }
+};
+
+module.exports.OPERATIONS = OPERATIONS;
+module.exports.run = run;
+
+/**
+ * Runs an operation between its hooks. The `before` hooks run in order, and
+ * can replace the operation arguments by returning a new list, or veto it by
+ * throwing. The `after` hooks receive the result or the error of the
+ * operation, and an error thrown by them rejects the operation. The result
+ * is always a promise, so the errors that the operation throws reject it,
+ * whether there are hooks or not.
+ * @param {Hooks[]} registries - List of hooks registries. The `before` hooks
+ *                               run from first to last registry, and the
+ *                               `after` hooks from last to first.
+ * @param {HookContext} context - Context passed to each hook.
+ * @param {function} fn - Operation function, called with the arguments.
+ * @returns {Promise} Result of the operation.
+ */
+function run(registries, context, fn) {
+  var before = registries.reduce(
+    (acc, hooks) => acc.concat(hooks.list('before', context.operation)),
+    []
+  );
+  var after = registries.reduceRight(
+    (acc, hooks) => acc.concat(hooks.list('after', context.operation)),
+    []
+  );
+
+  if (before.length === 0 && after.length === 0)
+    return attempt(fn, context.args);
+
+  return sequence(before, context)
+    .then(() => fn(...context.args))
+    .then(
+      result =>
+        sequence(after, Object.assign(context, { result })).then(() => result),
+      error =>
+        sequence(after, Object.assign(context, { error })).then(() => {
+          throw error;
+        })
+    );
+}
+/**
+ * Calls a function right away, and returns a promise of its result, rejected
+ * if it throws.
+ * @param {function} fn - Function to call.
+ * @param {any[]} args - Function arguments.
+ * @returns {Promise} Result of the function.
+ */
+function attempt(fn, args) {
+  try {
+    return Promise.resolve(fn(...args));
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+/**
+ * Calls a list of hooks one after the other.
+ * @param {function[]} hooks - List of hooks.
+ * @param {HookContext} context - Context passed to each hook.
+ * @returns {Promise} Empty promise.
+ */
+function sequence(hooks, context) {
+  return hooks.reduce(
+    (promise, hook) =>
+      promise
+        .then(() => hook(context))
+        .then(args => {
+          if (Array.isArray(args)) context.args = args;
+        }),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Hooks definition object.
+ * @typedef {Object} HooksDefinition
+ * @property {object} [before] - Map of operation names to a hook, or a list of
+ *                               hooks, to run before the operation.
+ * @property {object} [after] - Map of operation names to a hook, or a list of
+ *                              hooks, to run after the operation.
+ *
+ * Hook context object.
+ * @typedef {Object} HookContext
+ * @property {string} operation - Operation name.
+ * @property {string} type - Node type of the model.
+ * @property {string} [node] - Node of the model, if any.
+ * @property {any[]} args - Operation arguments.
+ * @property {Model} [result] - Result of the operation. Only after it.
+ * @property {Error} [error] - Error of the operation. Only after it.
+ */
@@ -0,0 +1,569 @@
+'use strict';
+
+var cloneDeep = require('lodash/cloneDeep.js');
+var isEqual = require('lodash/isEqual.js');
+var pick = require('lodash/pick.js');
+var batch = require('./batch.js');
+var expression = require('./expression.js');
+
+/** Maximum number of actions on a TransactWriteItems call. */
+var TRANSACT_WRITE_SIZE = 25;
+/** Primary key of the table, as described on the README. */
+var KEY = { hash: 'Node', range: 'Type' };
+/** Global secondary indexes of the table, as described on the README. */
+var INDEXES = {
+  ByType: {
+    hash: 'GSIK',
+    range: 'Type',
+    projection: ['Data', 'Target', 'MetaData']
+  },
+  ByData: {
+    hash: 'GSIK',
+    range: 'Data',
+    projection: ['Type', 'Target', 'MetaData']
+  }
+};
+
+/**
+ * Factory function that returns an in-memory stand-in for the DynamoDB
+ * DocumentClient. It implements the methods used by the model, including
+ * queries over the `ByType` and `ByData` indexes, so it can be passed as the
+ * `documentClient` of a model for local tests or offline development.
+ * Like on the DocumentClient, every method returns an object with a
+ * `promise` function.
+ * @param {object} [config] - Configuration object.
+ * @property {KeyDefinition} [key] - Primary key of the tables.
+ * @property {object} [indexes] - Map of index names to its KeyDefinition,
+ *                                with the list of the projected attributes
+ *                                on a `projection` key. If the projection is
+ *                                undefined, all attributes are projected.
+ * @returns {DocumentClientDriver} In-memory DocumentClient.
+ */
+module.exports = function MemoryDocumentClient(config = {}) {
+  var { key = KEY, indexes = INDEXES } = config;
+  var tables = {};
+
+  return {
+    batchGet,
+    batchWrite,
+    delete: remove,
+    dump,
+    get,
+    put,
+    query,
+    transactWrite,
+    update
+  };
+  // ---
+  /**
+   * Creates a new item, or replaces an old one.
+   * @param {object} params - DocumentClient put params.
+   * @returns {object} Request object.
+   */
+  function put(params) {
+    return request(() => putItem(params));
+  }
+  /**
+   * Returns the attributes of an item.
+   * @param {object} params - DocumentClient get params.
+   * @returns {object} Request object.
+   */
+  function get(params) {
+    return request(() => {
+      var item = tableOf(params.TableName)[idOf(params.Key)];
+      if (item === undefined) return {};
+      return {
+        Item: expression.project(params.ProjectionExpression, item, {
+          names: params.ExpressionAttributeNames
+        })
+      };
+    });
+  }
+  /**
+   * Deletes an item.
+   * @param {object} params - DocumentClient delete params.
+   * @returns {object} Request object.
+   */
+  function remove(params) {
+    return request(() => deleteItem(params));
+  }
+  /**
+   * Edits the attributes of an item, or creates it if it doesn't exist.
+   * @param {object} params - DocumentClient update params.
+   * @returns {object} Request object.
+   */
+  function update(params) {
+    return request(() => updateItem(params));
+  }
+  /**
+   * Runs many writes on one call, all or nothing. The conditions of every
+   * action are checked first, and if any of them fails nothing is written,
+   * and the call fails with a `TransactionCanceledException` that lists the
+   * reason of each action on its `CancellationReasons`.
+   * @param {object} params - DocumentClient transactWrite params.
+   * @returns {object} Request object.
+   */
+  function transactWrite(params) {
+    return request(() => {
+      var actions = params.TransactItems.map(entry => {
+        var name = Object.keys(entry)[0];
+        return { name, params: entry[name] };
+      });
+      var ids = actions.map(
+        action =>
+          action.params.TableName +
+          '|' +
+          idOf(action.name === 'Put' ? action.params.Item : action.params.Key)
+      );
+
+      if (actions.length > TRANSACT_WRITE_SIZE)
+        throw awsError(
+          'ValidationException',
+          'Too many items requested for the TransactWriteItems call'
+        );
+      if (ids.some((id, i) => ids.indexOf(id) !== i))
+        throw awsError(
+          'ValidationException',
+          'Transaction request cannot include multiple operations on one item'
+        );
+
+      var reasons = actions.map(action => {
+        var table = tableOf(action.params.TableName);
+        var itemKey =
+          action.name === 'Put' ? action.params.Item : action.params.Key;
+        return passes(action.params, table[idOf(itemKey)])
+          ? 'None'
+          : 'ConditionalCheckFailed';
+      });
+
+      if (reasons.some(reason => reason !== 'None')) {
+        var error = awsError(
+          'TransactionCanceledException',
+          'Transaction cancelled, please refer cancellation reasons for ' +
+            `specific reasons [${reasons.join(', ')}]`
+        );
+        error.CancellationReasons = reasons.map(Code => ({ Code }));
+        throw error;
+      }
+
+      actions.forEach(action => {
+        if (action.name === 'Put') putItem(action.params);
+        else if (action.name === 'Update') updateItem(action.params);
+        else if (action.name === 'Delete') deleteItem(action.params);
+      });
+
+      return {};
+    });
+  }
+  /**
+   * Finds items by their primary key, or by the key of one of the indexes.
+   * @param {object} params - DocumentClient query params.
+   * @returns {object} Request object.
+   */
+  function query(params) {
+    return request(() => {
+      var index =
+        params.IndexName === undefined ? key : indexes[params.IndexName];
+      if (index === undefined)
+        throw awsError(
+          'ValidationException',
+          `The table does not have the specified index: ${params.IndexName}`
+        );
+      if (params.KeyConditionExpression === undefined)
+        throw awsError(
+          'ValidationException',
+          'Either the KeyConditions or KeyConditionExpression parameter ' +
+            'must be specified in the request.'
+        );
+
+      var context = contextOf(params);
+      var condition = expression.parse(params.KeyConditionExpression);
+      var filter =
+        params.FilterExpression !== undefined
+          ? expression.parse(params.FilterExpression)
+          : undefined;
+      var forward = params.ScanIndexForward !== false;
+
+      checkKeyCondition(condition, index, context);
+
+      var items = values(tableOf(params.TableName))
+        .filter(item =>
+          keysOf(index).every(name => item[name] !== undefined)
+        )
+        .map(item => (index === key ? item : projectIndex(index, item)))
+        .filter(item => expression.evaluate(condition, item, context))
+        .sort((a, b) => compareItems(index, a, b) * (forward ? 1 : -1));
+
+      if (params.ExclusiveStartKey !== undefined) {
+        var start = params.ExclusiveStartKey;
+        items = items.filter(
+          item => compareItems(index, item, start) * (forward ? 1 : -1) > 0
+        );
+      }
+
+      var scanned =
+        params.Limit !== undefined ? items.slice(0, params.Limit) : items;
+      var result =
+        filter !== undefined
+          ? scanned.filter(item => expression.evaluate(filter, item, context))
+          : scanned;
+      var response = {
+        Items: result.map(item =>
+          expression.project(params.ProjectionExpression, item, context)
+        ),
+        Count: result.length,
+        ScannedCount: scanned.length
+      };
+
+      if (scanned.length < items.length) {
+        var last = scanned[scanned.length - 1];
+        response.LastEvaluatedKey = pick(
+          last,
+          keysOf(key).concat(index === key ? [] : keysOf(index))
+        );
+      }
+
+      return response;
+    });
+  }
+  /**
+   * Writes or deletes many items on one call.
+   * @param {object} params - DocumentClient batchWrite params.
+   * @returns {object} Request object.
+   */
+  function batchWrite(params) {
+    return request(() => {
+      var requests = Object.keys(params.RequestItems).map(name => ({
+        name,
+        list: params.RequestItems[name]
+      }));
+      var count = requests.reduce((acc, entry) => acc + entry.list.length, 0);
+
+      if (count > batch.BATCH_WRITE_SIZE)
+        throw awsError(
+          'ValidationException',
+          'Too many items requested for the BatchWriteItem call'
+        );
+
+      requests.forEach(entry => {
+        var table = tableOf(entry.name);
+        entry.list.forEach(writeRequest => {
+          if (writeRequest.PutRequest !== undefined) {
+            var item = writeRequest.PutRequest.Item;
+            table[idOf(item)] = cloneDeep(item);
+          } else {
+            delete table[idOf(writeRequest.DeleteRequest.Key)];
+          }
+        });
+      });
+
+      return { UnprocessedItems: {} };
+    });
+  }
+  /**
+   * Reads many items on one call.
+   * @param {object} params - DocumentClient batchGet params.
+   * @returns {object} Request object.
+   */
+  function batchGet(params) {
+    return request(() => {
+      var names = Object.keys(params.RequestItems);
+      var count = names.reduce(
+        (acc, name) => acc + params.RequestItems[name].Keys.length,
+        0
+      );
+
+      if (count > batch.BATCH_GET_SIZE)
+        throw awsError(
+          'ValidationException',
+          'Too many items requested for the BatchGetItem call'
+        );
+
+      return {
+        Responses: names.reduce((acc, name) => {
+          var config = params.RequestItems[name];
+          var table = tableOf(name);
+          acc[name] = config.Keys.map(itemKey => table[idOf(itemKey)])
+            .filter(item => item !== undefined)
+            .map(item =>
+              expression.project(config.ProjectionExpression, item, {
+                names: config.ExpressionAttributeNames
+              })
+            );
+          return acc;
+        }, {}),
+        UnprocessedKeys: {}
+      };
+    });
+  }
+  /**
+   * Returns a copy of all the items of a table, sorted by their key. Useful
+   * to check the state of the table on tests.
+   * @param {string} name - Table name.
+   * @returns {object[]} List of items.
+   */
+  function dump(name) {
+    return cloneDeep(values(tableOf(name))).sort((a, b) =>
+      compareItems(key, a, b)
+    );
+  }
+  /**
+   * Writes the item of a put request.
+   * @param {object} params - DocumentClient put params.
+   * @returns {object} Put response.
+   */
+  function putItem(params) {
+    var table = tableOf(params.TableName);
+    var id = idOf(params.Item);
+    var previous = table[id];
+    check(params, previous);
+    table[id] = cloneDeep(params.Item);
+    return returnValues(params.ReturnValues, previous);
+  }
+  /**
+   * Deletes the item of a delete request.
+   * @param {object} params - DocumentClient delete params.
+   * @returns {object} Delete response.
+   */
+  function deleteItem(params) {
+    var table = tableOf(params.TableName);
+    var id = idOf(params.Key);
+    var previous = table[id];
+    check(params, previous);
+    delete table[id];
+    return returnValues(params.ReturnValues, previous);
+  }
+  /**
+   * Edits the item of an update request.
+   * @param {object} params - DocumentClient update params.
+   * @returns {object} Update response.
+   */
+  function updateItem(params) {
+    var table = tableOf(params.TableName);
+    var id = idOf(params.Key);
+    var previous = table[id];
+    check(params, previous);
+    var next = expression.update(
+      params.UpdateExpression,
+      previous || cloneDeep(params.Key),
+      contextOf(params)
+    );
+    if (!isEqual(pick(next, keysOf(key)), params.Key))
+      throw awsError(
+        'ValidationException',
+        'Cannot update attribute, it is part of the key'
+      );
+    table[id] = next;
+    return returnValues(params.ReturnValues, previous, next);
+  }
+  /**
+   * Returns the items map of a table, creating it if it doesn't exist.
+   * @param {string} name - Table name.
+   * @returns {object} Map of item identifiers to items.
+   */
+  function tableOf(name) {
+    if (name === undefined)
+      throw awsError('ValidationException', 'TableName is undefined');
+    if (tables[name] === undefined) tables[name] = {};
+    return tables[name];
+  }
+  /**
+   * Returns the identifier of an item on its table map.
+   * @param {object} item - Item, or item key.
+   * @returns {string} Item identifier.
+   */
+  function idOf(item = {}) {
+    var parts = keysOf(key).map(name => item[name]);
+    if (parts.some(part => part === undefined))
+      throw awsError(
+        'ValidationException',
+        'One of the required keys was not given a value'
+      );
+    return JSON.stringify(parts);
+  }
+  /**
+   * Checks the ConditionExpression of a write against the current item.
+   * @param {object} params - DocumentClient write params.
+   * @param {object} [item] - Current item.
+   */
+  function check(params, item) {
+    if (!passes(params, item))
+      throw awsError(
+        'ConditionalCheckFailedException',
+        'The conditional request failed'
+      );
+  }
+  /**
+   * Returns the projection of an item on an index. The keys of the table and
+   * of the index are always projected.
+   * @param {KeyDefinition} index - Index definition.
+   * @param {object} item - Table item.
+   * @returns {object} Index item.
+   */
+  function projectIndex(index, item) {
+    if (index.projection === undefined) return item;
+    return pick(
+      item,
+      keysOf(key)
+        .concat(keysOf(index))
+        .concat(index.projection)
+    );
+  }
+  /**
+   * Compares two items by the range key of an index, and then by the table
+   * key, as DynamoDB does when many items share the same index key.
+   * @param {KeyDefinition} index - Index definition.
+   * @param {object} a - First item.
+   * @param {object} b - Second item.
+   * @returns {number} Negative if a goes before b, positive if after, or 0.
+   */
+  function compareItems(index, a, b) {
+    return [index.range, key.hash, key.range].reduce(
+      (acc, name) => (acc !== 0 ? acc : compareValues(a[name], b[name])),
+      0
+    );
+  }
+};
+
+/**
+ * Checks that a key condition uses the hash key of the index with an
+ * equality condition, optionally followed by a condition on its range key.
+ * @param {object} tree - Parsed key condition expression.
+ * @param {KeyDefinition} index - Index definition.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ */
+function checkKeyCondition(tree, index, context) {
+  var hash = tree.op === 'AND' ? tree.left : tree;
+  var range = tree.op === 'AND' ? tree.right : undefined;
+
+  if (
+    hash.op !== '=' ||
+    expression.nameOf(hash.left, context) !== index.hash ||
+    (range !== undefined && !isRangeCondition(range, index, context))
+  )
+    throw awsError('ValidationException', 'Query key condition not supported');
+}
+/**
+ * Checks that a condition is a valid condition on the range key of an index.
+ * @param {object} tree - Parsed condition.
+ * @param {KeyDefinition} index - Index definition.
+ * @param {ExpressionContext} context - Expression attribute names and values.
+ * @returns {boolean} True if it is valid.
+ */
+function isRangeCondition(tree, index, context) {
+  var operand = tree.op === 'CALL' ? tree.args[0] : tree.left;
+  if (tree.op === 'CALL' && tree.name !== 'begins_with') return false;
+  if (['=', '<', '<=', '>', '>=', 'BETWEEN', 'CALL'].indexOf(tree.op) === -1)
+    return false;
+  return (
+    operand !== undefined &&
+    expression.nameOf(operand, context) === index.range
+  );
+}
+/**
+ * Evaluates the ConditionExpression of a write against the current item.
+ * @param {object} params - DocumentClient write params.
+ * @param {object} [item] - Current item.
+ * @returns {boolean} True if there is no condition, or if it is met.
+ */
+function passes(params, item) {
+  if (params.ConditionExpression === undefined) return true;
+  var condition = expression.parse(params.ConditionExpression);
+  return expression.evaluate(condition, item || {}, contextOf(params));
+}
+/**
+ * Returns the expression context of a request.
+ * @param {object} params - DocumentClient params.
+ * @returns {ExpressionContext} Expression context.
+ */
+function contextOf(params) {
+  return {
+    names: params.ExpressionAttributeNames,
+    values: params.ExpressionAttributeValues
+  };
+}
+/**
+ * Returns the response of a write, according to its ReturnValues param.
+ * @param {string} [returnValues='NONE'] - ReturnValues param.
+ * @param {object} [previous] - Item before the write.
+ * @param {object} [next] - Item after the write.
+ * @returns {object} Write response.
+ */
+function returnValues(returnValues = 'NONE', previous, next) {
+  switch (returnValues) {
+    case 'ALL_OLD':
+      return previous !== undefined ? { Attributes: cloneDeep(previous) } : {};
+    case 'ALL_NEW':
+      return { Attributes: cloneDeep(next) };
+    case 'UPDATED_OLD':
+    case 'UPDATED_NEW':
+      var source = returnValues === 'UPDATED_OLD' ? previous || {} : next;
+      var names = Object.keys(Object.assign({}, previous, next)).filter(
+        name => !isEqual((previous || {})[name], next[name])
+      );
+      return { Attributes: cloneDeep(pick(source, names)) };
+    default:
+      return {};
+  }
+}
+/**
+ * Returns the attribute names of a key definition.
+ * @param {KeyDefinition} definition - Key definition.
+ * @returns {string[]} List of attribute names.
+ */
+function keysOf(definition) {
+  return definition.range !== undefined
+    ? [definition.hash, definition.range]
+    : [definition.hash];
+}
+/**
+ * Compares two key values. Numbers are compared numerically and strings
+ * lexicographically.
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ * @returns {number} Negative if a < b, positive if a > b, or 0.
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined) return -1;
+  if (b === undefined) return 1;
+  if (typeof a !== typeof b) return typeof a < typeof b ? -1 : 1;
+  return a < b ? -1 : 1;
+}
+/**
+ * Returns the values of a map.
+ * @param {object} map - Any object.
+ * @returns {any[]} List of values.
+ */
+function values(map) {
+  return Object.keys(map).map(name => map[name]);
+}
+/**
+ * Returns a request object, like the ones returned by the DocumentClient.
+ * The handler runs when the promise is requested.
+ * @param {function} handler - Function that returns the response.
+ * @returns {object} Request object with a `promise` function.
+ */
+function request(handler) {
+  return {
+    promise: () => new Promise(resolve => resolve(handler()))
+  };
+}
+/**
+ * Creates an error like the ones returned by the AWS SDK.
+ * @param {string} code - Error code.
+ * @param {string} message - Error message.
+ * @returns {Error} Error with its code.
+ */
+function awsError(code, message) {
+  var error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+}
+/**
+ * Key definition object.
+ * @typedef {Object} KeyDefinition
+ * @property {string} hash - Hash key attribute name.
+ * @property {string} [range] - Range key attribute name.
+ */
@@ -0,0 +1,106 @@
+'use strict';
+
+/** Default maximum number of attempts of each call. */
+var MAX_ATTEMPTS = 5;
+/** Default delay before the first retry, in milliseconds. */
+var BASE_DELAY = 25;
+/** Default maximum delay between attempts, in milliseconds. */
+var MAX_DELAY = 1000;
+/** Error codes of DynamoDB that are safe to retry. */
+var RETRYABLE = [
+  'InternalServerError',
+  'ProvisionedThroughputExceededException',
+  'RequestLimitExceeded',
+  'ServiceUnavailable',
+  'ThrottlingException'
+];
+
+/**
+ * Factory function that returns a retry policy. Calls that fail with a
+ * retryable error are attempted again after an exponential backoff with full
+ * jitter: a random delay between 0 and `baseDelay * 2 ^ (attempt - 1)`,
+ * capped by `maxDelay`.
+ * @param {RetryPolicyDefinition} [definition] - Policy options.
+ * @returns {RetryPolicy} Retry policy.
+ */
+module.exports = function Retry(definition = {}) {
+  var {
+    maxAttempts = MAX_ATTEMPTS,
+    baseDelay = BASE_DELAY,
+    maxDelay = MAX_DELAY,
+    retryable = RETRYABLE
+  } = definition;
+
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1)
+    throw new Error('Max attempts is not a positive integer');
+  if (typeof baseDelay !== 'number' || baseDelay < 0)
+    throw new Error('Base delay is not a positive number');
+  if (typeof maxDelay !== 'number' || maxDelay < 0)
+    throw new Error('Max delay is not a positive number');
+  if (typeof retryable !== 'function' && !Array.isArray(retryable))
+    throw new Error('Retryable is not an array or a function');
+
+  return {
+    delay,
+    maxAttempts,
+    shouldRetry
+  };
+  // ---
+  /**
+   * Returns the delay before the next attempt.
+   * @param {number} attempt - Number of the attempt that failed.
+   * @returns {number} Delay in milliseconds.
+   */
+  function delay(attempt) {
+    return Math.floor(
+      Math.random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1))
+    );
+  }
+  /**
+   * Checks if a failed attempt should be retried.
+   * @param {Error} error - Error of the attempt.
+   * @param {number} attempt - Number of the attempt that failed.
+   * @returns {boolean} True if the call should be attempted again.
+   */
+  function shouldRetry(error, attempt) {
+    if (attempt >= maxAttempts || error === undefined || error === null)
+      return false;
+    if (typeof retryable === 'function') return retryable(error) === true;
+    return (
+      retryable.indexOf(error.code) > -1 || retryable.indexOf(error.name) > -1
+    );
+  }
+};
+
+module.exports.RETRYABLE = RETRYABLE;
+module.exports.wait = wait;
+
+/**
+ * Returns a promise that resolves after some time.
+ * @param {number} ms - Time to wait, in milliseconds.
+ * @returns {Promise} Empty promise.
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry policy definition object.
+ * @typedef {Object} RetryPolicyDefinition
+ * @property {number} [maxAttempts=5] - Maximum number of attempts of each
+ *                                      call, including the first one.
+ * @property {number} [baseDelay=25] - Delay before the first retry, in
+ *                                     milliseconds.
+ * @property {number} [maxDelay=1000] - Maximum delay between attempts, in
+ *                                      milliseconds.
+ * @property {string[]|function} [retryable=RETRYABLE] - List of the error
+ *                                                       codes or names to
+ *                                                       retry, or a function
+ *                                                       that checks an error.
+ *
+ * Retry policy object.
+ * @typedef {Object} RetryPolicy
+ * @property {function} delay - Returns the delay after a failed attempt.
+ * @property {number} maxAttempts - Maximum number of attempts of each call.
+ * @property {function} shouldRetry - Checks if a failed attempt is retried.
+ */
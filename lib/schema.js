@@ -0,0 +1,289 @@
+'use strict';
+
+var isObject = require('lodash/isObject.js');
+var isArray = require('lodash/isArray.js');
+var Codecs = require('./codecs.js');
+
+/**
+ * List of value types that can be used to describe a property, or the node
+ * main data.
+ */
+var VALUE_TYPES = ['any', 'array', 'boolean', 'number', 'object', 'string'];
+/**
+ * List of property types written by the models themselves, that every node
+ * type can have without declaring them.
+ */
+var RESERVED_TYPES = ['CreatedAt', 'DeletedAt', 'UpdatedAt'];
+
+/**
+ * Factory function that returns a schema, used to validate the data, the
+ * properties, and the edges of a node type before writing them to the table.
+ * @param {SchemaDefinition} definition - Schema definition.
+ * @param {string} type - Node type that the schema describes.
+ * @returns {Schema} Schema object.
+ */
+module.exports = function Schema(definition = {}, type) {
+  if (!isObject(definition) || isArray(definition))
+    throw new Error('Schema is not an object');
+
+  var { data, properties = {}, edges = {} } = definition;
+
+  if (data !== undefined) checkValueDefinition('Data', data);
+  Object.keys(properties).forEach(key =>
+    checkValueDefinition(`Property ${key}`, properties[key])
+  );
+  Object.keys(edges).forEach(key => {
+    if (!isObject(edges[key]))
+      throw new Error(`Edge ${key} definition is not an object`);
+  });
+
+  return {
+    allowsCrossTenant,
+    applyDefaults,
+    cascades,
+    codecOf,
+    inverseOf,
+    isUnique,
+    itemTypes,
+    targetOf,
+    uniques,
+    validateData,
+    validateEdge,
+    validateEdges,
+    validateProperties,
+    validateProperty
+  };
+  // ---
+  /**
+   * Validates the main data of the node.
+   * @param {any} value - Node main data.
+   */
+  function validateData(value) {
+    if (data === undefined) return;
+    checkValue(`${type} data`, data, value);
+  }
+  /**
+   * Validates a single property of the node.
+   * @param {string} propertyType - Property type.
+   * @param {any} value - Property data.
+   */
+  function validateProperty(propertyType, value) {
+    var definition = properties[propertyType];
+    if (definition === undefined)
+      throw new Error(
+        `Property ${propertyType} is not defined on the ${type} schema`
+      );
+    checkValue(`Property ${propertyType}`, definition, value);
+  }
+  /**
+   * Validates a list of properties, and checks that every required property
+   * is included on it.
+   * @param {Property[]} list - List of properties.
+   */
+  function validateProperties(list = []) {
+    list.forEach(property => validateProperty(property.Type, property.Data));
+    Object.keys(properties).forEach(key => {
+      if (
+        properties[key].required === true &&
+        list.every(property => property.Type !== key)
+      )
+        throw new Error(`Property ${key} is required on the ${type} schema`);
+    });
+  }
+  /**
+   * Returns a new property list, with the default value of every declared
+   * property that is not present on the original list.
+   * @param {Property[]} list - List of properties.
+   * @returns {Property[]} List of properties with its defaults.
+   */
+  function applyDefaults(list = []) {
+    return Object.keys(properties).reduce((acc, key) => {
+      var value = properties[key].default;
+      if (value === undefined || acc.some(property => property.Type === key))
+        return acc;
+      return acc.concat({
+        Type: key,
+        Data: typeof value === 'function' ? value() : value
+      });
+    }, list);
+  }
+  /**
+   * Returns the codec declared for a property type. The node type refers to
+   * the node main data, like the `property` option of `find`.
+   * @param {string} valueType - Property type, or node type.
+   * @returns {Codec|undefined} Codec object.
+   */
+  function codecOf(valueType) {
+    var definition = valueType === type ? data : properties[valueType];
+    if (definition === undefined || definition.codec === undefined) return;
+    return Codecs.resolve(definition.codec);
+  }
+  /**
+   * Checks if the values of a property type must be unique.
+   * @param {string} propertyType - Property type.
+   * @returns {boolean} True if the property was declared with `unique`.
+   */
+  function isUnique(propertyType) {
+    var definition = properties[propertyType];
+    return definition !== undefined && definition.unique === true;
+  }
+  /**
+   * Returns the property types declared with `unique`.
+   * @returns {string[]} List of property types.
+   */
+  function uniques() {
+    return Object.keys(properties).filter(isUnique);
+  }
+  /**
+   * Returns the property and edge types declared on the schema, which are
+   * the types of the items that a node of the type can have, besides the
+   * reserved ones.
+   * @returns {string[]} List of property and edge types.
+   */
+  function itemTypes() {
+    return Object.keys(properties).concat(Object.keys(edges));
+  }
+  /**
+   * Returns the inverse type declared for an edge type.
+   * @param {string} edgeType - Edge type.
+   * @returns {string|undefined} Inverse edge type.
+   */
+  function inverseOf(edgeType) {
+    var definition = edges[edgeType];
+    return definition !== undefined ? definition.inverse : undefined;
+  }
+  /**
+   * Returns the target node type declared for an edge type.
+   * @param {string} edgeType - Edge type.
+   * @returns {string|undefined} Target node type.
+   */
+  function targetOf(edgeType) {
+    var definition = edges[edgeType];
+    return definition !== undefined ? definition.target : undefined;
+  }
+  /**
+   * Checks if the targets of an edge type must be destroyed with the node.
+   * @param {string} edgeType - Edge type.
+   * @returns {boolean} True if the edge type was declared with `cascade`.
+   */
+  function cascades(edgeType) {
+    var definition = edges[edgeType];
+    return definition !== undefined && definition.cascade === true;
+  }
+  /**
+   * Checks if an edge type can point to nodes of other tenants, on models
+   * with a strict tenant.
+   * @param {string} edgeType - Edge type.
+   * @returns {boolean} True if the edge type was declared with `crossTenant`.
+   */
+  function allowsCrossTenant(edgeType) {
+    var definition = edges[edgeType];
+    return definition !== undefined && definition.crossTenant === true;
+  }
+  /**
+   * Validates a single edge of the node. The target type can only be checked
+   * when the target is a Model.
+   * @param {string} edgeType - Edge type.
+   * @param {string|Model} target - Target node ID, or target node Model.
+   */
+  function validateEdge(edgeType, target) {
+    var definition = edges[edgeType];
+    if (definition === undefined)
+      throw new Error(`Edge ${edgeType} is not defined on the ${type} schema`);
+    if (
+      definition.target !== undefined &&
+      isObject(target) &&
+      target.type !== undefined &&
+      target.type !== definition.target
+    )
+      throw new Error(
+        `Edge ${edgeType} must target a ${definition.target} node, not a ${
+          target.type
+        } node`
+      );
+  }
+  /**
+   * Validates a list of edges.
+   * @param {Edge[]} list - List of edges.
+   */
+  function validateEdges(list = []) {
+    list.forEach(edge => validateEdge(edge.Type, edge.Target));
+  }
+};
+
+module.exports.RESERVED_TYPES = RESERVED_TYPES;
+
+/**
+ * Checks that a value definition is valid.
+ * @param {string} name - Name of the value, used on the error messages.
+ * @param {ValueDefinition} definition - Value definition.
+ */
+function checkValueDefinition(name, definition) {
+  if (!isObject(definition))
+    throw new Error(`${name} definition is not an object`);
+  var { type = 'any', codec } = definition;
+  if (typeof type !== 'function' && VALUE_TYPES.indexOf(type) === -1)
+    throw new Error(`${name} type ${type} is not valid`);
+  if (codec !== undefined) Codecs.resolve(codec);
+}
+/**
+ * Checks that a value matches its definition.
+ * @param {string} name - Name of the value, used on the error messages.
+ * @param {ValueDefinition} definition - Value definition.
+ * @param {any} value - Value to check.
+ */
+function checkValue(name, definition, value) {
+  var { type = 'any' } = definition;
+
+  if (typeof type === 'function') {
+    if (type(value) !== true) throw new Error(`${name} is not valid`);
+    return;
+  }
+
+  if (type === 'any') return;
+
+  var actual = isArray(value)
+    ? 'array'
+    : value === null ? 'null' : typeof value;
+
+  if (actual !== type) throw new Error(`${name} is not of type ${type}`);
+}
+
+/**
+ * Schema definition object.
+ * @typedef {Object} SchemaDefinition
+ * @property {ValueDefinition} [data] - Node main data definition.
+ * @property {object} [properties={}] - Map of property types to its
+ *                                      ValueDefinition.
+ * @property {object} [edges={}] - Map of edge types to its EdgeDefinition.
+ *
+ * Value definition object.
+ * @typedef {Object} ValueDefinition
+ * @property {string|function} [type='any'] - One of 'any', 'array',
+ *                                            'boolean', 'number', 'object', or
+ *                                            'string'. It can also be a
+ *                                            function that returns true if the
+ *                                            value is valid.
+ * @property {boolean} [required=false] - Only valid for properties.
+ * @property {boolean} [unique=false] - If true, two nodes of the type can't
+ *                                      have the same value on the tenant. Only
+ *                                      valid for properties.
+ * @property {any|function} [default] - Default value of the property. If it
+ *                                      is a function, it will be called to
+ *                                      get the value.
+ * @property {string|Codec} [codec] - Either `number`, `date`, `boolean`,
+ *                                    `object`, or a custom codec. The value is
+ *                                    encoded with it before being written,
+ *                                    and decoded when it is read.
+ *
+ * Edge definition object.
+ * @typedef {Object} EdgeDefinition
+ * @property {string} [target] - Type of the target node.
+ * @property {string} [inverse] - Type of the edge created from the target node
+ *                                back to the node.
+ * @property {boolean} [cascade=false] - If true, the target node is destroyed
+ *                                       on cascading destroys of the node.
+ * @property {boolean} [crossTenant=false] - If true, the target node can
+ *                                           belong to another tenant, even on
+ *                                           models with a strict tenant.
+ */
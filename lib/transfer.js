@@ -0,0 +1,342 @@
+'use strict';
+
+var omit = require('lodash/omit.js');
+var formats = require('./formats.js');
+var History = require('./history.js');
+var Retry = require('./retry.js');
+var Schema = require('./schema.js');
+var utils = require('./utils.js');
+
+/** Default number of concurrent calls. */
+var CONCURRENCY = 4;
+
+module.exports = {
+  exportGraph,
+  importGraph
+};
+
+// ---
+/**
+ * Exports the nodes of some types of a tenant, with its properties and
+ * edges. The nodes are found through the `ByType` index, on every GSIK
+ * partition, and the records are written as soon as each node is read. The
+ * values with a codec on the schema of its node type are exported decoded,
+ * so `importGraph` can encode them again. The `CreatedAt` and `UpdatedAt`
+ * properties are left out, as the imported models write their own, and so
+ * are the soft destroyed nodes.
+ * @param {object} config - Configuration object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} [table] - Table name. Defaults to the TABLE_NAME
+ *                              environment variable.
+ * @property {string} [tenant=''] - Tenant identifier.
+ * @property {string[]} types - Node types to export.
+ * @property {number} maxGSIK - Maximum number of GSIK of the tenant.
+ * @property {object} [schemas={}] - Map of node types to its schema
+ *                                   definitions.
+ * @property {string} [format='ndjson'] - Either `json`, `ndjson` or
+ *                                        `graphml`.
+ * @property {function} [write] - Function called with each chunk of the
+ *                                output. If it returns a promise, the next
+ *                                chunk waits for it.
+ * @property {RetryPolicyDefinition} [retry] - Retry policy of the calls.
+ * @returns {Promise} Export result.
+ * @property {number} nodes - Number of exported nodes.
+ * @property {number} edges - Number of exported edges.
+ * @property {string} [output] - Whole output, if no `write` was given.
+ */
+function exportGraph(config = {}) {
+  var {
+    documentClient,
+    table = process.env.TABLE_NAME,
+    tenant = '',
+    types,
+    maxGSIK,
+    schemas = {},
+    format = 'ndjson',
+    write,
+    retry
+  } = config;
+  var serializer = formats.serializer(format);
+  var validators = schemasOf(schemas);
+  var output = '';
+  var result = { nodes: 0, edges: 0 };
+  var count = 0;
+
+  if (documentClient === undefined)
+    throw new Error('Document client is undefined');
+  if (table === undefined) throw new Error('Table is undefined');
+  if (!Array.isArray(types)) throw new Error('Types is not an array');
+  if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+  if (write !== undefined && typeof write !== 'function')
+    throw new Error('Write is not a function');
+
+  var track = History.tracker({
+    action: 'export',
+    documentClient,
+    retry: Retry(retry)
+  });
+  var chain = emit(serializer.header());
+
+  return types
+    .reduce(
+      (promise, type) =>
+        utils.listGSIK({ tenant, maxGSIK }).reduce(
+          (promise, gsik) =>
+            promise.then(() =>
+              utils
+                .queryAll(track.documentClient, {
+                  TableName: table,
+                  IndexName: 'ByType',
+                  KeyConditionExpression: '#GSIK = :GSIK AND #Type = :Type',
+                  FilterExpression: '#Target = #Node',
+                  ExpressionAttributeNames: {
+                    '#GSIK': 'GSIK',
+                    '#Type': 'Type',
+                    '#Target': 'Target',
+                    '#Node': 'Node'
+                  },
+                  ExpressionAttributeValues: { ':GSIK': gsik, ':Type': type }
+                })
+                .then(items =>
+                  items.reduce(
+                    (promise, item) =>
+                      promise.then(() => exportNode(item.Node, type)),
+                    Promise.resolve()
+                  )
+                )
+            ),
+          promise
+        ),
+      chain
+    )
+    .then(() => emit(serializer.footer()))
+    .then(() =>
+      write === undefined ? Object.assign(result, { output }) : result
+    );
+  // ---
+  /**
+   * Reads all the items of a node, and writes its records.
+   */
+  function exportNode(node, type) {
+    return utils
+      .queryAll(track.documentClient, {
+        TableName: table,
+        KeyConditionExpression: '#Node = :Node',
+        ExpressionAttributeNames: { '#Node': 'Node' },
+        ExpressionAttributeValues: { ':Node': node }
+      })
+      .then(items => {
+        var item = items.find(item => item.Type === type);
+        var properties = items.filter(
+          item =>
+            item.Target === undefined &&
+            Schema.RESERVED_TYPES.indexOf(item.Type) === -1
+        );
+        var edges = items.filter(
+          item => item.Target !== undefined && item.Target !== node
+        );
+        var deleted = items.some(
+          item => item.Target === undefined && item.Type === 'DeletedAt'
+        );
+
+        if (item === undefined || deleted) return;
+
+        result.nodes += 1;
+        result.edges += edges.length;
+
+        return [
+          {
+            kind: 'node',
+            node,
+            type,
+            data: decode(type, type, utils.parseData(item.Data)),
+            properties: properties.map(prop => ({
+              Type: prop.Type,
+              Data: decode(type, prop.Type, utils.parseData(prop.Data))
+            }))
+          }
+        ]
+          .concat(
+            edges.map(edge =>
+              omitUndefined({
+                kind: 'edge',
+                node,
+                type: edge.Type,
+                target: edge.Target,
+                meta: edge.MetaData
+              })
+            )
+          )
+          .reduce(
+            (promise, record) =>
+              promise.then(() => emit(serializer.record(record, count++))),
+            Promise.resolve()
+          );
+      });
+  }
+  /**
+   * Decodes a value with the codec declared for it on the schema of its node
+   * type, if any.
+   */
+  function decode(type, valueType, value) {
+    var codec =
+      validators[type] !== undefined
+        ? validators[type].codecOf(valueType)
+        : undefined;
+    return codec ? codec.decode(value) : value;
+  }
+  /**
+   * Writes a chunk of the output.
+   */
+  function emit(chunk) {
+    if (chunk === '') return Promise.resolve();
+    if (write === undefined) {
+      output += chunk;
+      return Promise.resolve();
+    }
+    return Promise.resolve(write(chunk));
+  }
+}
+/**
+ * Imports the records written by `exportGraph`. The nodes are created first,
+ * through the `create` method of a model of its type, getting new node
+ * identifiers. Then, the edges are created through `connect`, using the new
+ * identifiers of its nodes. Edges that point to nodes outside the records
+ * keep their target. Failed records don't stop the import, and are returned
+ * with its error. The models of each node type use its schema, so the values
+ * exported decoded by `exportGraph` are encoded again.
+ * @param {function} Model - Model factory.
+ * @param {object} config - Configuration object. Other options are passed to
+ *                          the models, like the `documentClient`, `table`,
+ *                          or `maxGSIK`.
+ * @property {string|Buffer|GraphRecord[]} data - Exported records.
+ * @property {string} [format='ndjson'] - Either `json`, `ndjson` or
+ *                                        `graphml`.
+ * @property {string} [tenant=''] - Tenant of the new nodes.
+ * @property {object} [schemas={}] - Map of node types to its schema
+ *                                   definitions. They replace the `schema`
+ *                                   option on the models of those types.
+ * @property {number} [concurrency=4] - Maximum number of concurrent calls.
+ * @property {function} [onProgress] - Function called after each record,
+ *                                     with a Progress object.
+ * @returns {Promise} Import result.
+ * @property {object} nodes - Map of the exported node identifiers to the new
+ *                            ones.
+ * @property {number} edges - Number of created edges.
+ * @property {object[]} errors - List of failed records, with its error.
+ */
+function importGraph(Model, config = {}) {
+  var {
+    data,
+    format = 'ndjson',
+    schemas = {},
+    concurrency = CONCURRENCY,
+    onProgress = () => {}
+  } = config;
+  var options = omit(config, [
+    'data',
+    'format',
+    'schemas',
+    'concurrency',
+    'onProgress'
+  ]);
+  var result = { nodes: {}, edges: 0, errors: [] };
+  var types = {};
+
+  if (data === undefined) throw new Error('Data is undefined');
+  if (typeof onProgress !== 'function')
+    throw new Error('On progress is not a function');
+  schemasOf(schemas);
+
+  var records = Array.isArray(data) ? data : formats.parse(format, data);
+  var nodes = records.filter(record => record.kind === 'node');
+  var edges = records.filter(record => record.kind === 'edge');
+  var total = nodes.length + edges.length;
+  var done = 0;
+
+  return utils
+    .mapLimit(nodes, concurrency, record =>
+      Promise.resolve()
+        .then(() =>
+          modelOf(record.type).create({
+            data: record.data,
+            properties: record.properties || []
+          })
+        )
+        .then(model => {
+          result.nodes[record.node] = model.node;
+          types[model.node] = record.type;
+        })
+        .catch(error => result.errors.push({ record, error }))
+        .then(() => progress('nodes'))
+    )
+    .then(() =>
+      utils.mapLimit(edges, concurrency, record => {
+        var node = result.nodes[record.node];
+        var target = result.nodes[record.target] || record.target;
+        return Promise.resolve()
+          .then(() => {
+            if (node === undefined) throw new Error('Node was not imported');
+            return modelOf(types[node], node).connect(
+              omitUndefined({ target, type: record.type, meta: record.meta })
+            );
+          })
+          .then(() => {
+            result.edges += 1;
+          })
+          .catch(error => result.errors.push({ record, error }))
+          .then(() => progress('edges'));
+      })
+    )
+    .then(() => result);
+  // ---
+  /**
+   * Returns a model of a node type, with the schema of the type, if any.
+   */
+  function modelOf(type, node) {
+    var override = { type, node };
+    if (schemas[type] !== undefined) override.schema = schemas[type];
+    return Model(Object.assign({}, options, omitUndefined(override)));
+  }
+  /**
+   * Reports the progress of the import.
+   */
+  function progress(phase) {
+    done += 1;
+    onProgress({ phase, done, total, errors: result.errors.length });
+  }
+}
+/**
+ * Returns a map of node types to the schemas of its definitions.
+ * @param {object} schemas - Map of node types to schema definitions.
+ * @returns {object} Map of node types to schemas.
+ * @throws {Error} If a definition is not valid.
+ */
+function schemasOf(schemas) {
+  if (schemas === null || typeof schemas !== 'object')
+    throw new Error('Schemas is not an object');
+  return Object.keys(schemas).reduce((acc, type) => {
+    acc[type] = Schema(schemas[type], type);
+    return acc;
+  }, {});
+}
+/**
+ * Returns a copy of an object without its undefined values.
+ * @param {object} object - Source object.
+ * @returns {object} New object.
+ */
+function omitUndefined(object) {
+  return Object.keys(object).reduce((acc, key) => {
+    if (object[key] !== undefined) acc[key] = object[key];
+    return acc;
+  }, {});
+}
+/**
+ * Import progress object.
+ * @typedef {Object} Progress
+ * @property {string} phase - Either `nodes` or `edges`.
+ * @property {number} done - Number of processed records.
+ * @property {number} total - Total number of records.
+ * @property {number} errors - Number of failed records.
+ */
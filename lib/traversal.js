@@ -0,0 +1,104 @@
+'use strict';
+
+/** Default maximum number of hops on a traversal. */
+var MAX_DEPTH = 10;
+
+/**
+ * Factory function that returns a traversal, used to follow the outgoing
+ * edges of a set of nodes through multiple hops. Each call to `out` returns a
+ * new traversal, so they can be safely reused.
+ * @param {object} config - Configuration object.
+ * @property {DynamoDBGraph} db - DynamoDB Graph object.
+ * @property {string[]} start - List of nodes where the traversal starts.
+ * @property {function} toModel - Function that returns a promise, that
+ *                                resolves to the Model of a node.
+ * @property {number} [maxDepth=10] - Maximum number of hops.
+ * @property {Hop[]} [hops=[]] - List of hops to follow.
+ * @returns {Traversal} Traversal object.
+ */
+module.exports = function Traversal(config = {}) {
+  var { db, start, toModel, maxDepth = MAX_DEPTH, hops = [] } = config;
+
+  if (db === undefined) throw new Error('DB is undefined');
+  if (start === undefined) throw new Error('Start is undefined');
+  if (typeof toModel !== 'function')
+    throw new Error('To model is not a function');
+  if (typeof maxDepth !== 'number')
+    throw new Error('Max depth is not a number');
+
+  return {
+    get depth() {
+      return hops.length;
+    },
+    out,
+    toModels,
+    toNodes
+  };
+  // ---
+  /**
+   * Adds a hop that follows the outgoing edges of the current nodes.
+   * @param {string} [type] - Edge type to follow. If undefined, all the edges
+   *                          will be followed.
+   * @param {function} [filter] - Function called with each edge, that returns
+   *                              a boolean, or a promise that resolves to
+   *                              one, indicating if the edge must be followed.
+   * @returns {Traversal} New traversal.
+   */
+  function out(type, filter) {
+    if (filter !== undefined && typeof filter !== 'function')
+      throw new Error('Filter is not a function');
+    if (hops.length >= maxDepth) throw new Error('Max depth exceeded');
+
+    return module.exports(
+      Object.assign({}, config, { hops: hops.concat({ type, filter }) })
+    );
+  }
+  /**
+   * Runs the traversal. Nodes that were already visited, including the start
+   * nodes, are not visited again.
+   * @returns {Promise} List of the nodes reached by the last hop.
+   */
+  function toNodes() {
+    var visited = new Set(start);
+
+    return hops.reduce(
+      (promise, hop) =>
+        promise.then(nodes =>
+          Promise.all(nodes.map(node => db.getNodeEdges(node))).then(
+            results => {
+              var edges = results
+                .reduce((acc, result) => acc.concat(result.Items), [])
+                .filter(
+                  edge => hop.type === undefined || edge.Type === hop.type
+                );
+
+              return Promise.all(
+                edges.map(edge => (hop.filter ? hop.filter(edge) : true))
+              ).then(keep =>
+                edges.reduce((acc, edge, i) => {
+                  if (keep[i] !== true || visited.has(edge.Target)) return acc;
+                  visited.add(edge.Target);
+                  return acc.concat(edge.Target);
+                }, [])
+              );
+            }
+          )
+        ),
+      Promise.resolve(start.slice())
+    );
+  }
+  /**
+   * Runs the traversal, and loads the Model of each reached node.
+   * @returns {Promise} List of models.
+   */
+  function toModels() {
+    return toNodes().then(nodes => Promise.all(nodes.map(toModel)));
+  }
+};
+
+/**
+ * Hop object.
+ * @typedef {Object} Hop
+ * @property {string} [type] - Edge type to follow.
+ * @property {function} [filter] - Edge filter function.
+ */
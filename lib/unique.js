@@ -0,0 +1,139 @@
+'use strict';
+
+var errors = require('./errors.js');
+
+/** Type of the sentinel items that reserve the unique values. */
+var SENTINEL_TYPE = 'Unique';
+
+module.exports = {
+  SENTINEL_TYPE,
+  expire,
+  keyOf,
+  release,
+  reserve
+};
+
+// ---
+/**
+ * Returns the key of the sentinel item of a unique value. Values are unique
+ * per tenant, node type and property type.
+ * @param {UniqueValue} config - Unique value object.
+ * @returns {object} Sentinel item key.
+ */
+function keyOf(config = {}) {
+  var { tenant = '', type, property, value } = config;
+  var prefix = tenant !== '' ? tenant + '#' : '';
+  var name = [SENTINEL_TYPE, type, property, JSON.stringify(value)].join('#');
+  return { Node: prefix + name, Type: SENTINEL_TYPE };
+}
+/**
+ * Reserves a unique value for a node, writing its sentinel item only if it
+ * doesn't exist, or if it is already owned by the node. If another node owns
+ * it, the promise is rejected with a UniqueConstraintError.
+ * @param {UniqueValue} config - Unique value object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} table - Table name.
+ * @property {string} node - Node that reserves the value.
+ * @returns {Promise} Empty promise.
+ */
+function reserve(config = {}) {
+  var { documentClient, table, node, property, value } = config;
+  var key = keyOf(config);
+
+  return documentClient
+    .put({
+      TableName: table,
+      Item: Object.assign({ Owner: node }, key),
+      ConditionExpression: 'attribute_not_exists(#Node) OR #Owner = :Owner',
+      ExpressionAttributeNames: { '#Node': 'Node', '#Owner': 'Owner' },
+      ExpressionAttributeValues: { ':Owner': node }
+    })
+    .promise()
+    .catch(error => {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      return documentClient
+        .get({ TableName: table, Key: key })
+        .promise()
+        .then(response => {
+          throw new errors.UniqueConstraintError({
+            property,
+            value,
+            node: response.Item !== undefined ? response.Item.Owner : undefined
+          });
+        });
+    });
+}
+/**
+ * Releases a unique value, deleting its sentinel item only if it is owned by
+ * the node.
+ * @param {UniqueValue} config - Unique value object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} table - Table name.
+ * @property {string} node - Node that owns the value.
+ * @returns {Promise} Empty promise.
+ */
+function release(config = {}) {
+  var { documentClient, table, node } = config;
+
+  return documentClient
+    .delete({
+      TableName: table,
+      Key: keyOf(config),
+      ConditionExpression: '#Owner = :Owner',
+      ExpressionAttributeNames: { '#Owner': 'Owner' },
+      ExpressionAttributeValues: { ':Owner': node }
+    })
+    .promise()
+    .then(() => undefined)
+    .catch(error => {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    });
+}
+/**
+ * Sets the expiration of the sentinel item of a unique value, only if it is
+ * owned by the node, so it is purged along with the items of the node. If no
+ * expiration is given, it is removed.
+ * @param {UniqueValue} config - Unique value object.
+ * @property {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                   driver.
+ * @property {string} table - Table name.
+ * @property {string} node - Node that owns the value.
+ * @property {string} attribute - TTL attribute of the table.
+ * @property {number} [expiresAt] - Epoch second when the sentinel expires.
+ * @returns {Promise} Empty promise.
+ */
+function expire(config = {}) {
+  var { documentClient, table, node, attribute, expiresAt } = config;
+  var params = {
+    TableName: table,
+    Key: keyOf(config),
+    UpdateExpression:
+      expiresAt !== undefined
+        ? 'SET #ExpiresAt = :ExpiresAt'
+        : 'REMOVE #ExpiresAt',
+    ConditionExpression: '#Owner = :Owner',
+    ExpressionAttributeNames: { '#ExpiresAt': attribute, '#Owner': 'Owner' },
+    ExpressionAttributeValues: { ':Owner': node }
+  };
+
+  if (expiresAt !== undefined)
+    params.ExpressionAttributeValues[':ExpiresAt'] = expiresAt;
+
+  return documentClient
+    .update(params)
+    .promise()
+    .then(() => undefined)
+    .catch(error => {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    });
+}
+/**
+ * Unique value object.
+ * @typedef {Object} UniqueValue
+ * @property {string} [tenant=''] - Tenant identifier.
+ * @property {string} type - Node type.
+ * @property {string} property - Property type.
+ * @property {any} value - Property value, as it is stored on the table.
+ */
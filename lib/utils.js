@@ -0,0 +1,241 @@
+'use strict';
+
+var cuid = require('cuid');
+var range = require('lodash/range.js');
+
+module.exports = {
+  calculateGSIK,
+  cancellationReasons,
+  createNodeId,
+  decodeCursor,
+  encodeCursor,
+  hashCode,
+  listGSIK,
+  mapLimit,
+  parseCondition,
+  parseData,
+  queryAll,
+  tenantOf
+};
+
+/**
+ * Map of the supported query operators to its key condition expression.
+ */
+var OPERATORS = {
+  equals: '#Data = :a',
+  lt: '#Data < :a',
+  lte: '#Data <= :a',
+  gt: '#Data > :a',
+  gte: '#Data >= :a',
+  between: '#Data BETWEEN :a AND :b',
+  beginsWith: 'begins_with(#Data, :a)'
+};
+
+// ---
+/**
+ * Returns the list of GSIK values used by a tenant. It follows the same rules
+ * used by `dynamodb-graph` to distribute the nodes.
+ * @param {object} config - GSIK configuration object.
+ * @property {string} [tenant=''] - Identifier of the current tenant.
+ * @property {number} maxGSIK - Maximum GSIK value.
+ * @returns {string[]} List of GSIK values.
+ */
+function listGSIK(config = {}) {
+  var { tenant = '', maxGSIK } = config;
+  var prefix = tenant !== '' ? tenant + '#' : '';
+  if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+  return range(0, maxGSIK < 2 ? 1 : maxGSIK).map(i => prefix + i);
+}
+/**
+ * Applies the hashcode algorithm to turn a string into a number.
+ * @param {string} string - String to encode to a number.
+ * @returns {number} Encoded string
+ */
+function hashCode(string = '') {
+  var hash = 0;
+  for (var i = 0; i < string.length; i++) {
+    hash = (hash << 5) - hash + string.charCodeAt(i);
+    hash |= 0; // Convert to 32bit integer
+  }
+  return hash;
+}
+/**
+ * Returns the GSIK of a node. It follows the same rules used by
+ * `dynamodb-graph` to distribute the nodes.
+ * @param {object} config - GSIK configuration object.
+ * @property {string} [tenant=''] - Identifier of the current tenant.
+ * @property {string} node - Identifier of the node.
+ * @property {number} maxGSIK - Maximum GSIK value.
+ * @returns {string} GSIK value.
+ */
+function calculateGSIK(config = {}) {
+  var { tenant = '', node, maxGSIK } = config;
+  var prefix = tenant !== '' ? tenant + '#' : '';
+  if (node === undefined) throw new Error('Node is undefined');
+  if (maxGSIK === undefined) throw new Error('Max GSIK is undefined');
+  if (maxGSIK < 2) return prefix + 0;
+  return prefix + Math.abs(hashCode(node)) % maxGSIK;
+}
+/**
+ * Returns a new node identifier, prepended with the tenant identifier.
+ * @param {string} [tenant=''] - Identifier of the current tenant.
+ * @returns {string} Node identifier.
+ */
+function createNodeId(tenant = '') {
+  return tenant !== '' ? tenant + '#' + cuid() : cuid();
+}
+/**
+ * Returns the tenant of a node identifier, which is prepended to it by
+ * `createNodeId`.
+ * @param {string} node - Node identifier.
+ * @returns {string} Tenant identifier, or an empty string.
+ */
+function tenantOf(node = '') {
+  var index = node.lastIndexOf('#');
+  return index > -1 ? node.slice(0, index) : '';
+}
+/**
+ * Maps a list through an async function, running at most `limit` calls at
+ * the same time.
+ * @param {any[]} list - List of values.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {function} fn - Function that returns a promise, called with each
+ *                        value and its index.
+ * @returns {Promise} List of results, in the same order as the values.
+ */
+function mapLimit(list, limit, fn) {
+  var results = new Array(list.length);
+  var next = 0;
+
+  function worker() {
+    if (next >= list.length) return Promise.resolve();
+    var index = next++;
+    return Promise.resolve()
+      .then(() => fn(list[index], index))
+      .then(result => {
+        results[index] = result;
+        return worker();
+      });
+  }
+
+  return Promise.all(
+    range(0, Math.min(limit, list.length)).map(() => worker())
+  ).then(() => results);
+}
+/**
+ * Runs a query, following its LastEvaluatedKey until all the items are
+ * returned.
+ * @param {DocumentClientDriver} documentClient - DynamoDB DocumentClient
+ *                                                driver.
+ * @param {object} params - DocumentClient query params.
+ * @returns {Promise} List of items.
+ */
+function queryAll(documentClient, params) {
+  return documentClient
+    .query(params)
+    .promise()
+    .then(response => {
+      if (response.LastEvaluatedKey === undefined) return response.Items;
+      return queryAll(
+        documentClient,
+        Object.assign({}, params, {
+          ExclusiveStartKey: response.LastEvaluatedKey
+        })
+      ).then(items => response.Items.concat(items));
+    });
+}
+/**
+ * Returns the reason of each action of a canceled transaction. The SDK only
+ * lists them on the error message, so they are parsed from it when the
+ * error doesn't have its `CancellationReasons`.
+ * @param {Error} error - TransactionCanceledException error.
+ * @returns {string[]} List of reason codes, like `ConditionalCheckFailed` or
+ *                     `None`, in the order of the actions.
+ */
+function cancellationReasons(error = {}) {
+  if (error.code !== 'TransactionCanceledException') return [];
+  if (Array.isArray(error.CancellationReasons))
+    return error.CancellationReasons.map(reason => reason.Code);
+  var match = /\[([^\]]*)\]\s*$/.exec(error.message || '');
+  return match !== null ? match[1].split(',').map(code => code.trim()) : [];
+}
+/**
+ * Encodes a pagination state into an opaque string.
+ * @param {object} state - Map of GSIK partitions to its LastEvaluatedKey.
+ * @returns {string} Encoded cursor.
+ */
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64');
+}
+/**
+ * Decodes a cursor created with `encodeCursor`.
+ * @param {string} [cursor] - Encoded cursor.
+ * @returns {object} Map of GSIK partitions to its LastEvaluatedKey. It will be
+ *                   empty if the cursor is undefined.
+ */
+function decodeCursor(cursor) {
+  var state;
+  if (cursor === undefined || cursor === null) return {};
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64').toString());
+  } catch (error) {
+    throw new Error('Cursor is not valid');
+  }
+  if (state === null || typeof state !== 'object')
+    throw new Error('Cursor is not valid');
+  return state;
+}
+/**
+ * Builds the key condition used to query the `ByData` index.
+ * @param {object} where - Query condition. Must include only one operator.
+ * @property {any} [equals] - Data is equal to the value.
+ * @property {any} [lt] - Data is less than the value.
+ * @property {any} [lte] - Data is less than or equal to the value.
+ * @property {any} [gt] - Data is greater than the value.
+ * @property {any} [gte] - Data is greater than or equal to the value.
+ * @property {any[]} [between] - Data is between the two values.
+ * @property {string} [beginsWith] - Data begins with the value.
+ * @returns {object} Condition object.
+ * @property {string} expression - Data key condition expression.
+ * @property {object} values - Expression attribute values of the condition.
+ */
+function parseCondition(where = {}) {
+  var operators = Object.keys(OPERATORS).filter(
+    key => where[key] !== undefined
+  );
+
+  if (operators.length === 0) throw new Error('Operator is undefined');
+  if (operators.length > 1) throw new Error('Only one operator can be used');
+
+  var operator = operators[0];
+  var value = where[operator];
+  var values;
+
+  if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2)
+      throw new Error('Between value is not a list of two values');
+    values = { ':a': JSON.stringify(value[0]), ':b': JSON.stringify(value[1]) };
+  } else if (operator === 'beginsWith') {
+    if (typeof value !== 'string')
+      throw new Error('Begins with value is not a string');
+    // Strings are stored as JSON, so the closing quote must be removed.
+    values = { ':a': JSON.stringify(value).slice(0, -1) };
+  } else {
+    values = { ':a': JSON.stringify(value) };
+  }
+
+  return { expression: OPERATORS[operator], values };
+}
+/**
+ * Parses the raw `Data` attribute of an item, as stored by `dynamodb-graph`.
+ * @param {string} data - Stored data.
+ * @returns {any} Parsed data.
+ */
+function parseData(data) {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}